@@ -0,0 +1,208 @@
+/* eslint-disable no-undef */
+import { useState, useEffect } from "react";
+import "../script/utils.js"; // Sets window.ChatGPTUtils
+
+// Same binding helpers as the content scripts: "Mod+Shift+C", Mod = Ctrl or ⌘
+const {
+  isMac,
+  normalizeBinding,
+  bindingFromEvent,
+  formatBinding: toLabels,
+} = window.ChatGPTUtils;
+
+const formatBinding = (binding) =>
+  binding ? toLabels(binding).join(isMac ? " " : " + ") : "Disabled";
+
+const ShortcutSettings = ({ onClose }) => {
+  const [registry, setRegistry] = useState(null);
+  const [overrides, setOverrides] = useState({});
+  const [recordingId, setRecordingId] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!chrome?.storage?.local) {
+      setRegistry({ commands: [], native: [], browser: [] });
+      return;
+    }
+    chrome.storage.local.get(
+      ["shortcutRegistry", "shortcutBindings"],
+      (result) => {
+        setRegistry({
+          commands: [],
+          native: [],
+          browser: [],
+          ...result.shortcutRegistry,
+        });
+        setOverrides(result.shortcutBindings || {});
+      }
+    );
+  }, []);
+
+  const bindingOf = (command) =>
+    command.id in overrides
+      ? normalizeBinding(overrides[command.id])
+      : command.defaultBinding;
+
+  const saveOverrides = (next) => {
+    setOverrides(next);
+    chrome.storage.local.set({ shortcutBindings: next });
+  };
+
+  const setBinding = (command, binding) => {
+    const next = { ...overrides };
+    if (binding === command.defaultBinding) delete next[command.id];
+    else next[command.id] = binding;
+    saveOverrides(next);
+  };
+
+  const handleRecordKeyDown = (e, command) => {
+    e.preventDefault();
+    const plainKey = !e.ctrlKey && !e.metaKey && !e.altKey && !e.shiftKey;
+    if (e.key === "Escape" && plainKey) {
+      setRecordingId(null);
+      setError("");
+      return;
+    }
+    if ((e.key === "Backspace" || e.key === "Delete") && plainKey) {
+      setBinding(command, "");
+      setRecordingId(null);
+      setError("");
+      return;
+    }
+    const binding = bindingFromEvent(e);
+    if (!binding) return; // Only a modifier so far
+    if (!/^(Mod|Alt)\+/.test(binding) && !/^F\d+$/.test(binding)) {
+      setError(`Combine the key with ${isMac ? "⌘" : "Ctrl"} or Alt.`);
+      return;
+    }
+    const reserved = registry.browser.find((b) => b.binding === binding);
+    if (reserved) {
+      setError(
+        `${formatBinding(binding)} is the browser's "${reserved.name}" shortcut.`
+      );
+      return;
+    }
+    const taken = registry.commands.find(
+      (other) => other.id !== command.id && bindingOf(other) === binding
+    );
+    if (taken) {
+      setError(`${formatBinding(binding)} is already used by "${taken.name}".`);
+      return;
+    }
+    setBinding(command, binding);
+    setRecordingId(null);
+    setError("");
+  };
+
+  if (!registry) {
+    return <div className="text-sm">Loading shortcuts...</div>;
+  }
+
+  const buttonStyle = {
+    backgroundColor: "var(--secondary-btn-bg)",
+    color: "var(--secondary-btn-text)",
+  };
+
+  return (
+    <div
+      className="flex flex-col gap-2 text-sm"
+      style={{ color: "var(--ai-msg-text)" }}
+    >
+      <div className="flex items-center justify-between">
+        <h2 className="text-base font-semibold m-0">Keyboard Shortcuts</h2>
+        <div className="flex gap-2">
+          {Object.keys(overrides).length > 0 && (
+            <button
+              className="px-3 py-1 rounded-full"
+              style={buttonStyle}
+              onClick={() => saveOverrides({})}
+            >
+              Reset all
+            </button>
+          )}
+          <button
+            className="px-3 py-1 rounded-full"
+            style={buttonStyle}
+            onClick={onClose}
+          >
+            Done
+          </button>
+        </div>
+      </div>
+      {registry.commands.length === 0 && (
+        <p style={{ color: "var(--text-secondary)" }}>
+          Open ChatGPT with scripting enabled to load the available shortcuts.
+        </p>
+      )}
+      {error && <p className="text-red-500 m-0">{error}</p>}
+      {registry.commands.map((command) => {
+        const binding = bindingOf(command);
+        const native = registry.native.find((n) => n.binding === binding);
+        const reserved = registry.browser.find((b) => b.binding === binding);
+        const isRecording = recordingId === command.id;
+        return (
+          <div
+            key={command.id}
+            className="flex items-center gap-2 border-b py-1"
+            style={{ borderColor: "var(--input-border)" }}
+          >
+            <div className="flex-1 min-w-0">
+              <div className="truncate">{command.name}</div>
+              {native && (
+                <div
+                  className="text-xs"
+                  style={{ color: "var(--text-secondary)" }}
+                >
+                  Overrides ChatGPT: {native.name}
+                </div>
+              )}
+              {reserved && (
+                <div className="text-xs text-red-500">
+                  Overrides the browser: {reserved.name}
+                </div>
+              )}
+            </div>
+            {isRecording ? (
+              <input
+                autoFocus
+                readOnly
+                className="w-40 px-2 py-1 rounded-md border text-center"
+                style={{
+                  borderColor: "var(--input-border)",
+                  backgroundColor: "var(--input-bg)",
+                  color: "var(--input-text)",
+                }}
+                placeholder="Press keys..."
+                title="Esc cancels, Backspace disables"
+                onKeyDown={(e) => handleRecordKeyDown(e, command)}
+                onBlur={() => setRecordingId(null)}
+              />
+            ) : (
+              <button
+                className="w-40 px-2 py-1 rounded-md border font-mono text-xs"
+                style={{ borderColor: "var(--input-border)" }}
+                title="Click to change"
+                onClick={() => {
+                  setError("");
+                  setRecordingId(command.id);
+                }}
+              >
+                {formatBinding(binding)}
+              </button>
+            )}
+            <button
+              className="px-2 py-1 rounded-full text-xs disabled:opacity-40"
+              style={buttonStyle}
+              disabled={!(command.id in overrides)}
+              onClick={() => setBinding(command, command.defaultBinding)}
+            >
+              Reset
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ShortcutSettings;
@@ -1,6 +1,10 @@
 /* eslint-disable no-undef */
 import { useState, useEffect, useRef } from "react";
 import Header from "./header";
+import ShortcutSettings from "./ShortcutSettings";
+import "../script/utils.js"; // Sets window.ChatGPTUtils
+
+const { hexToHsl, generateThemeObject } = window.ChatGPTUtils;
 
 // Helper to get initial dark mode preference from chrome.storage or system settings
 const getInitialDarkMode = (callback) => {
@@ -48,6 +52,7 @@ const ThemeableChatbot = () => {
   const [isMultiLine, setIsMultiLine] = useState(false);
   const [isScriptingEnabled, setIsScriptingEnabled] = useState(false);
   const [isThemeActive, setIsThemeActive] = useState(false);
+  const [isShortcutsOpen, setIsShortcutsOpen] = useState(false);
 //  const [contextWindow, setContextWindow] = useState(0); //  tokens
 //  const [globalSystemPrompt, setGlobalSystemPrompt] = useState("");
 //  const [isPromptModalOpen, setIsPromptModalOpen] = useState(false);
@@ -73,135 +78,6 @@ const ThemeableChatbot = () => {
         .padStart(2, "0");
     };
     return `#${f(0)}${f(8)}${f(4)}`;
-  };
-
-  const hexToHsl = (hex) => {
-    let r = 0,
-      g = 0,
-      b = 0;
-    if (hex.length === 7) {
-      r = parseInt(hex.substring(1, 3), 16);
-      g = parseInt(hex.substring(3, 5), 16);
-      b = parseInt(hex.substring(5, 7), 16);
-    }
-    r /= 255;
-    g /= 255;
-    b /= 255;
-    const cmin = Math.min(r, g, b),
-      cmax = Math.max(r, g, b);
-    const delta = cmax - cmin;
-    let h = 0,
-      s = 0,
-      l = (cmax + cmin) / 2;
-    if (delta !== 0) {
-      s = delta / (1 - Math.abs(2 * l - 1));
-      switch (cmax) {
-        case r:
-          h = ((g - b) / delta) % 6;
-          break;
-        case g:
-          h = (b - r) / delta + 2;
-          break;
-        case b:
-          h = (r - g) / delta + 4;
-          break;
-        default:
-          break;
-      }
-      h = Math.round(h * 60);
-      if (h < 0) h += 360;
-    }
-    return { h, s: s * 100, l: l * 100 };
-  };
-
-  const hexToRgb = (hex) => {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result
-      ? {
-          r: parseInt(result[1], 16),
-          g: parseInt(result[2], 16),
-          b: parseInt(result[3], 16),
-        }
-      : null;
-  }; // --- THEME GENERATION LOGIC ---
-
-  const generateFullThemeObject = (mainColorHex) => {
-    const hsl = hexToHsl(mainColorHex);
-    const rgb = hexToRgb(mainColorHex);
-    if (!rgb) return null;
-    const { h, s, l } = hsl;
-    const isNearBlack = l < 15;
-    const isBlack = l === 0;
-    const isWhite = l === 100;
-    const isGrey = s < 20;
-    const lightTheme = {
-      primary: mainColorHex,
-      "submit-btn-bg": mainColorHex,
-      "submit-btn-text": "#ffffff",
-      "user-msg-bg": isNearBlack ? `hsl(0, 0%, 95%)` : `hsl(${h}, ${s}%, 95%)`,
-      "user-msg-text":
-        isNearBlack || isGrey ? `hsl(0, 0%, 15%)` : `hsl(${h}, 100%, 15%)`,
-      "secondary-btn-bg": isNearBlack
-        ? `hsl(0, 0%, 95%)`
-        : `hsl(${h}, ${s}%, 95%)`,
-      "secondary-btn-text":
-        isNearBlack || isGrey ? `hsl(0, 0%, 15%)` : `hsl(${h}, 100%, 15%)`,
-      "user-selection-bg": `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, 0.35)`,
-    };
-
-    const darkTheme = {
-      primary: mainColorHex,
-      "submit-btn-bg": mainColorHex,
-      "submit-btn-text": "#ffffff",
-      "user-msg-bg": `hsl(${h}, ${s}%, ${l * 0.5}%)`,
-      "user-msg-text":
-        isNearBlack || isGrey ? `hsl(0, 0%, 98%)` : `hsl(${h}, ${s}%, 98%)`,
-      "secondary-btn-bg": `hsl(${h}, ${s}%, ${l * 0.6}%)`,
-      "secondary-btn-text": "#ffffff",
-      "user-selection-bg": `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, 0.6)`,
-    };
-
-    if (isBlack) {
-      const lightThemeBlack = {
-        primary: mainColorHex,
-        "submit-btn-bg": mainColorHex,
-        "submit-btn-text": "#ffffff",
-        "user-msg-bg": `hsl(${h}, ${s}%, ${l * 0.5}%)`,
-        "user-msg-text":
-          isNearBlack || isGrey ? `hsl(0, 0%, 98%)` : `hsl(${h}, ${s}%, 98%)`,
-        "secondary-btn-bg": `hsl(${h}, ${s}%, ${l * 0.6}%)`,
-        "secondary-btn-text": "#ffffff",
-        "user-selection-bg": `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, 0.6)`,
-      };
-      return { light: lightThemeBlack, dark: darkTheme };
-    }
-
-    if (isWhite) {
-      const lightThemeWhite = {
-        primary: mainColorHex,
-        "submit-btn-bg": mainColorHex,
-        "submit-btn-text": "#000",
-        "user-msg-bg": `hsl(${h}, ${s}%, 98%)`,
-        "user-msg-text": `hsl(0, 0%, 0%)`,
-        "secondary-btn-bg": `hsl(${h}, ${s}%, 94%)`,
-        "secondary-btn-text": "#000",
-        "user-selection-bg": `rgba(${rgb.r - 20}, ${rgb.g - 20}, ${
-          rgb.b - 20
-        }, 0.6)`,
-      };
-      const darkThemeWhite = {
-        primary: mainColorHex,
-        "submit-btn-bg": mainColorHex,
-        "submit-btn-text": "#000",
-        "user-msg-bg": `hsl(${h}, ${s}%, 98%)`,
-        "user-msg-text": `hsl(0, 0%, 0%)`,
-        "secondary-btn-bg": `hsl(${h}, ${s}%, ${l}%)`,
-        "secondary-btn-text": "#000",
-        "user-selection-bg": `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, 0.6)`,
-      };
-      return { light: lightThemeWhite, dark: darkThemeWhite };
-    }
-    return { light: lightTheme, dark: darkTheme };
   }; // --- SIDE EFFECTS ---
 
   useEffect(() => {
@@ -249,7 +125,7 @@ const ThemeableChatbot = () => {
   }, []);
 
   useEffect(() => {
-    const newThemeObject = generateFullThemeObject(themeColor);
+    const newThemeObject = generateThemeObject(themeColor);
     setThemeObject(newThemeObject);
 
     if (chrome?.storage?.local && newThemeObject) {
@@ -277,7 +153,7 @@ const ThemeableChatbot = () => {
     }
     if (chrome?.storage?.local) {
       chrome.storage.local.set({ themeColor });
-    } // eslint-disable-next-line react-hooks/exhaustive-deps
+    }
   }, [themeColor, isDarkMode]);
 
   useEffect(() => {
@@ -340,16 +216,26 @@ const ThemeableChatbot = () => {
                   "https://*.chatgpt.com/*",
                 ],
                 js: [
+                  "./script/utils.js",
                   "./script/api.js",
+                  "./script/shortcut.js",
+                  "./script/palette.js",
                   "./script/highlight.min.js",
                   "./script/theme.js",
                  // "./script/token.js",
                   "./script/history.js",
-               //   "./script/label.js",
+                  "./script/label.js",
+                  "./script/zip.js",
+                  "./script/pdf.js",
+                  "./script/docx.js",
                   "./script/export.js",
                   "./script/prompt.js",
-                  "./script/shortcut.js",
-                  "./script/code.js"
+                  "./script/code.js",
+                  "./script/navigate.js",
+                  "./script/outline.js",
+                  "./script/bookmark.js",
+                  "./script/notes.js",
+                  "./script/rules.js"
                 ],
                 runAt: "document_idle",
                 allFrames: true,
@@ -536,7 +422,11 @@ const ThemeableChatbot = () => {
               className="w-8 h-8 p-0 bg-transparent border-none rounded-md cursor-pointer hidden"
             />
 
-            {messages.map((msg) => (
+            {isShortcutsOpen && (
+              <ShortcutSettings onClose={() => setIsShortcutsOpen(false)} />
+            )}
+
+            {!isShortcutsOpen && messages.map((msg) => (
               <>
                 <div
                   key={msg.id}
@@ -666,6 +556,19 @@ const ThemeableChatbot = () => {
               {`Click to set Context Window: ${contextWindow} tokens`}
             </div>
         */}
+            {!isShortcutsOpen && (
+              <div
+                onClick={() => setIsShortcutsOpen(true)}
+                className="inline-block w-full text-center cursor-pointer"
+                style={{
+                  fontSize: "10px",
+                  color: "var(--text-secondary)",
+                  fontWeight: "normal",
+                }}
+              >
+                Keyboard shortcuts
+              </div>
+            )}
             {ua === "firefox" && (
               <div
                 onClick={() => {
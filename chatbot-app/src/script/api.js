@@ -158,19 +158,163 @@ window.ChatGPT = (() => {
     }
   }
 
+  /**
+   * Converts a backend message into export text, replacing citations and
+   * turning inline links into reference-style links.
+   * @param {Object} message - The `message` object of a mapping node
+   * @returns {{text: string, references: Array<{id: number, url: string}>}}
+   */
+  function formatMessage(message) {
+    const parts = message?.content?.parts;
+    let text = (parts || []).filter((p) => typeof p === "string").join("\n");
+    const content_references = message?.metadata?.content_references;
+    const references = [];
+    const urlMap = new Map(); // url -> id
+
+    // Correctly replace citations using API metadata
+    if (content_references && Array.isArray(content_references)) {
+      content_references.forEach((ref) => {
+        if (ref.matched_text && ref.alt) {
+          text = text.replace(ref.matched_text, ref.alt);
+        }
+      });
+    }
+    // Fallback to remove any unprocessed citation characters
+    text = text.replace(/\uE200.*?\uE201/g, "").trim();
+    let id = 1;
+    // Replace markdown links with reference-style links
+    text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (_, label, url) => {
+      let refId;
+      if (urlMap.has(url)) {
+        // Reuse existing id
+        refId = urlMap.get(url);
+      } else {
+        // Assign new id
+        refId = id++;
+        urlMap.set(url, refId);
+        references.push({
+          id: refId,
+          url,
+        });
+      }
+      return `[${label}][${refId}]`;
+    });
+    return { text, references };
+  }
+
+  /**
+   * Checks if a mapping node is a message the user sees in the chat
+   * (a user prompt or a final assistant answer).
+   * @param {Object} node - A node of `conversationApiData.mapping`
+   * @returns {boolean}
+   */
+  function isVisibleMessageNode(node) {
+    const message = node?.message;
+    if (!message) return false;
+    const role = message.author?.role;
+    const contentType = message.content?.content_type;
+    if (role !== "user" && role !== "assistant") return false;
+    if (role === "assistant" && message.recipient !== "all") return false;
+    if (contentType !== "text" && contentType !== "multimodal_text")
+      return false;
+    if (message.metadata?.is_visually_hidden_from_conversation) return false;
+    return (message.content.parts || []).some(
+      (p) => typeof p === "string" && p.trim()
+    );
+  }
+
+  /**
+   * Walks the whole mapping from the root through `children`, keeping every
+   * sibling branch (regenerated answers and edited prompts). Hidden system and
+   * tool nodes are skipped, so each message is linked to its nearest visible
+   * parent.
+   * @param {Object} conversationApiData - Raw backend conversation JSON
+   * @returns {{rootIds: Array<string>, currentNode: string, nodes: Map<string, Object>}}
+   */
+  function buildConversationTree(conversationApiData) {
+    const mapping = conversationApiData?.mapping || {};
+    const nodes = new Map();
+    const rootIds = [];
+
+    // Messages on the path that is currently shown in the UI
+    const currentPath = new Set();
+    let cursor = conversationApiData?.current_node;
+    while (cursor && mapping[cursor]) {
+      currentPath.add(cursor);
+      cursor = mapping[cursor].parent;
+    }
+
+    const roots = Object.keys(mapping).filter(
+      (nodeId) => !mapping[nodeId].parent || !mapping[mapping[nodeId].parent]
+    );
+    // Depth-first walk, carrying the nearest visible ancestor along
+    const stack = roots.reverse().map((nodeId) => ({ nodeId, parent: null }));
+    while (stack.length > 0) {
+      const { nodeId, parent } = stack.pop();
+      const node = mapping[nodeId];
+      if (!node) continue;
+      let nextParent = parent;
+      if (isVisibleMessageNode(node)) {
+        const { text, references } = formatMessage(node.message);
+        nodes.set(nodeId, {
+          id: nodeId,
+          parent,
+          children: [],
+          role: node.message.author.role,
+          text,
+          references,
+          create_time: node.message.create_time,
+          current: currentPath.has(nodeId),
+        });
+        if (parent) nodes.get(parent).children.push(nodeId);
+        else rootIds.push(nodeId);
+        nextParent = nodeId;
+      }
+      [...(node.children || [])]
+        .reverse()
+        .forEach((childId) =>
+          stack.push({ nodeId: childId, parent: nextParent })
+        );
+    }
+
+    return {
+      rootIds,
+      currentNode: conversationApiData?.current_node,
+      nodes,
+    };
+  }
+
   /**
    * Fetchs data from backend-api with caching support
    * @param {string} id conversation id or current conversation
    * @param {boolean} useCache whether to use cached data
    * @param {boolean} forceRefresh whether to force refresh even if cache is valid
+   * @param {Object} options extraction options
+   * @param {'auto' | 'dom' | 'api'} options.source where turns come from:
+   * `dom` reads the rendered chat, `api` follows `current_node` in the backend
+   * JSON, `auto` uses the DOM only for the conversation open in this tab
+   * @param {boolean} options.tree also build `treeData` with every branch
+   * @param {boolean} options.images look up image download URLs; turn off
+   * when only the text is needed
    * @returns {Promise<Object>} API data
    */
-  async function getApiData(id = null, useCache = true, forceRefresh = false) {
+  async function getApiData(
+    id = null,
+    useCache = true,
+    forceRefresh = false,
+    options = {}
+  ) {
     const convId = id || getConversationId();
     if (!convId) {
       console.error("[API Manager] No conversation ID available");
       return null;
     }
+    const { source = "auto", tree = false, images = true } = options;
+    const isOpenConversation =
+      convId === getConversationId() &&
+      !!document.querySelector("[data-turn-id]");
+    const resolvedSource =
+      source === "auto" ? (isOpenConversation ? "dom" : "api") : source;
 
     // Clear expired cache entries periodically
     clearExpiredCache();
@@ -178,9 +322,13 @@ window.ChatGPT = (() => {
     // Check cache first if enabled and not forcing refresh
     if (useCache && !forceRefresh && isCacheValid(convId)) {
       const cachedData = getCacheData(convId);
-      if (cachedData) {
-        apiData = cachedData;
-        return apiData;
+      if (
+        cachedData &&
+        cachedData.source === resolvedSource &&
+        (!tree || cachedData.treeData)
+      ) {
+        if (resolvedSource === "dom") apiData = cachedData;
+        return cachedData;
       }
     }
 
@@ -222,15 +370,18 @@ window.ChatGPT = (() => {
 
     // Correctly find all messages, canvases, and images for each turn.
     const visibleTurnIds = [];
-    document.querySelectorAll("[data-turn-id]").forEach((e) => {
-      const turnId = e.getAttribute("data-turn-id");
-      visibleTurnIds.push(turnId);
-    });
-
-    const messageMapData = new Map();
     const visibleMessageIds = [];
-    processAllMessages();
-    function processAllMessages() {
+    const visibleImageIds = [];
+    if (resolvedSource === "dom") {
+      collectDomIds();
+    } else {
+      collectPathIds();
+    }
+    function collectDomIds() {
+      document.querySelectorAll("[data-turn-id]").forEach((e) => {
+        const turnId = e.getAttribute("data-turn-id");
+        visibleTurnIds.push(turnId);
+      });
       document.querySelectorAll("[data-message-id]").forEach((e) => {
         const turnId = e.closest("article")?.getAttribute("data-turn-id");
         const messageId = e.getAttribute("data-message-id");
@@ -239,48 +390,63 @@ window.ChatGPT = (() => {
           messageId,
         });
       });
+      document.querySelectorAll("article div[id^='image-']").forEach((e) => {
+        visibleImageIds.push({
+          turnId: e.closest("article").getAttribute("data-turn-id"),
+          imageId: e.getAttribute("id").replace("image-", ""),
+        });
+      });
+    }
+    /**
+     * Rebuilds the turns the UI would render by following `current_node`
+     * back to the root. Every user prompt is a turn, and the assistant
+     * messages and generated images after it are grouped into one turn named
+     * after its first node.
+     */
+    function collectPathIds() {
+      const mapping = conversationApiData.mapping || {};
+      const path = [];
+      let nodeId = conversationApiData.current_node;
+      while (nodeId && mapping[nodeId] && !path.includes(nodeId)) {
+        path.unshift(nodeId);
+        nodeId = mapping[nodeId].parent;
+      }
+      let turnId = null;
+      let turnRole = null;
+      path.forEach((nodeId) => {
+        const node = mapping[nodeId];
+        const message = node.message;
+        const role = message?.author?.role;
+        const isImage =
+          role === "tool" &&
+          !!message.content?.parts?.some((part) =>
+            part?.asset_pointer?.startsWith("sediment://")
+          );
+        if (!isImage && !isVisibleMessageNode(node)) return;
+        if (role === "user" || turnRole !== "assistant") {
+          turnId = nodeId;
+          turnRole = role === "user" ? "user" : "assistant";
+          visibleTurnIds.push(turnId);
+        }
+        if (isImage) {
+          visibleImageIds.push({ turnId, imageId: nodeId });
+        } else {
+          visibleMessageIds.push({ turnId, messageId: nodeId });
+        }
+      });
+    }
+
+    const messageMapData = new Map();
+    processAllMessages();
+    function processAllMessages() {
       visibleMessageIds.forEach(async (turn) => {
         try {
           const messageId = turn.messageId;
           const turnId = turn.turnId;
           const node = conversationApiData.mapping[messageId];
           const message = node?.message;
-          const content = node?.message?.content;
           const role = message?.author?.role;
-          const parts = content?.parts;
-          let text = parts?.join("\n");
-          const content_references = message?.metadata?.content_references;
-          const references = [];
-          const urlMap = new Map(); // url -> id
-
-          // Correctly replace citations using API metadata
-          if (content_references && Array.isArray(content_references)) {
-            content_references.forEach((ref) => {
-              if (ref.matched_text && ref.alt) {
-                text = text.replace(ref.matched_text, ref.alt);
-              }
-            });
-          }
-          // Fallback to remove any unprocessed citation characters
-          text = text.replace(/\uE200.*?\uE201/g, "").trim();
-          let id = 1;
-          // Replace markdown links with reference-style links
-          text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (_, label, url) => {
-            let refId;
-            if (urlMap.has(url)) {
-              // Reuse existing id
-              refId = urlMap.get(url);
-            } else {
-              // Assign new id
-              refId = id++;
-              urlMap.set(url, refId);
-              references.push({
-                id: refId,
-                url,
-              });
-            }
-            return `[${label}][${refId}]`;
-          });
+          const { text, references } = formatMessage(message);
 
           const messageData = {
             messageId,
@@ -311,15 +477,8 @@ window.ChatGPT = (() => {
     }
 
     const imageMapData = new Map();
-    const visibleImageIds = [];
     await processAllImages();
     async function processAllImages() {
-      document.querySelectorAll("article div[id^='image-']").forEach((e) => {
-        visibleImageIds.push({
-          turnId: e.closest("article").getAttribute("data-turn-id"),
-          imageId: e.getAttribute("id").replace("image-", ""),
-        });
-      });
       await Promise.all(
         visibleImageIds.map(async (turn) => {
           try {
@@ -333,10 +492,9 @@ window.ChatGPT = (() => {
               "sediment://",
               ""
             );
-            const downloadURL = await getImageDownloadUrl(
-              fileId,
-              conversationId
-            );
+            const downloadURL = images
+              ? await getImageDownloadUrl(fileId, convId)
+              : null;
             const imageData = {
               url: downloadURL,
               imageId: turnId,
@@ -671,11 +829,14 @@ window.ChatGPT = (() => {
       jsonMetaData.update_time = formatTimestamp(
         conversationApiData.update_time
       );
-      jsonMetaData.link = `https://chatgpt.com/c/${conversationId}`;
+      jsonMetaData.link = `https://chatgpt.com/c/${convId}`;
       return jsonMetaData;
     }
     const metaData = getMetaData();
-    apiData = {
+    // Only tree exports need every branch
+    const treeData = tree ? buildConversationTree(conversationApiData) : null;
+    const result = {
+      source: resolvedSource,
       metaData,
       userProfile,
       turnMapData,
@@ -685,22 +846,44 @@ window.ChatGPT = (() => {
       canvasMapData,
       reasoningMapData,
       fileMapData,
+      treeData,
     };
 
-    // Cache the processed data if caching is enabled
-    if (useCache) {
-      setCacheData(convId, apiData);
+    // Only the open conversation replaces the shared `apiData`
+    if (resolvedSource === "dom") apiData = result;
+
+    // Cache the processed data if caching is enabled; data without image
+    // URLs is incomplete for everyone else
+    if (useCache && images) {
+      setCacheData(convId, result);
     }
 
-    return apiData;
+    return result;
   }
 
   let exportData;
+  /**
+   * Converts conversation data into the export formats.
+   * @param {string} id conversation id or current conversation
+   * @param {boolean} useCache whether to use cached data
+   * @param {boolean} forceRefresh whether to force refresh even if cache is valid
+   * @param {Object} options export options
+   * @param {'path' | 'tree'} options.mode `path` exports the visible branch,
+   * `tree` writes every branch into `markdown` and `jsonData`
+   * @param {'auto' | 'dom' | 'api'} options.source passed to `getApiData`
+   * @returns {Promise<Object|null>} export data
+   */
   async function convertExport(
     id = null,
     useCache = true,
-    forceRefresh = false
+    forceRefresh = false,
+    options = {}
   ) {
+    const {
+      mode = "path",
+      source = "auto",
+      includeNotes = window.ChatGPTNotes?.includeInExports ?? false,
+    } = options;
     function formatCanvasContent(canvases) {
       if (!canvases || canvases.length === 0) return "";
       let canvasMarkdown = "";
@@ -717,12 +900,67 @@ window.ChatGPT = (() => {
       return canvasMarkdown;
     }
 
+    /**
+     * Renders every branch of the conversation tree.
+     * Sibling branches get a marker like "Branch 1.2 of 3" so alternate
+     * answers and edited prompts can be told apart.
+     */
+    function renderTree(treeData) {
+      const { rootIds, nodes, currentNode } = treeData;
+      let treeMarkdown = "";
+      const jsonNodes = [];
+      const walk = (ids, label) => {
+        ids.forEach((nodeId, index) => {
+          const node = nodes.get(nodeId);
+          const branch = ids.length > 1 ? `${label}${index + 1}` : label;
+          if (ids.length > 1) {
+            treeMarkdown += `\n\n---\n\n> **Branch ${branch} of ${
+              ids.length
+            }**${node.current ? " (current)" : ""}\n`;
+          }
+          const refs = node.references
+            ?.map((r) => `[${r.id}]: ${r.url}`)
+            .join("\n");
+          treeMarkdown += `\n\n## **${
+            node.role === "user" ? "You" : "ChatGPT"
+          } Said**\n\n${node.text}${refs ? "\n\n" + refs : ""}\n`;
+          const fenceCount = (treeMarkdown.match(/```/g) || []).length;
+          if (fenceCount % 2 !== 0) treeMarkdown += "\n```";
+          jsonNodes.push({
+            id: node.id,
+            parent: node.parent,
+            children: node.children,
+            role: node.role,
+            content: node.text,
+            references: node.references,
+            create_time: node.create_time,
+            current: node.current,
+          });
+          walk(node.children, ids.length > 1 ? `${branch}.` : label);
+        });
+      };
+      walk(rootIds, "");
+      return {
+        treeMarkdown,
+        jsonTree: {
+          current_node: currentNode,
+          root_ids: rootIds,
+          nodes: jsonNodes,
+        },
+      };
+    }
+
     try {
-      const { metaData, turnMapData, canvasMapData } = (await getApiData(
-        id,
-        useCache,
-        forceRefresh
-      )) || {
+      const {
+        source: dataSource,
+        metaData,
+        turnMapData,
+        canvasMapData,
+        treeData,
+      } = (await getApiData(id, useCache, forceRefresh, {
+        source,
+        tree: mode === "tree",
+      })) || {
         metaData: {
           title: document.title + `${window.location.href.includes("temporary-chat=true")? ` (Temporary Chat)`: ``}`,
           create_time: new Date().toISOString(),
@@ -733,7 +971,8 @@ window.ChatGPT = (() => {
         canvasMapData: new Map(),
       };
       
-      if (turnMapData.size === 0) {
+      // The rendered chat only helps when exporting the open conversation
+      if (turnMapData.size === 0 && dataSource !== "api") {
         console.warn("Using fallback data")
         const articles = document.querySelectorAll("article [data-message-id]");
         const messageMapData = new Map();
@@ -764,16 +1003,31 @@ window.ChatGPT = (() => {
         ...data,
       }));
 
+      // Private notes from notes.js go in front of the chat as a quote block
+      const noteId = id || getConversationId();
+      const notes =
+        includeNotes && noteId && window.ChatGPTNotes
+          ? (await window.ChatGPTNotes.getNote(noteId)).trim()
+          : "";
       const header = [
         `# **${metaData.title}**`,
         `**Link:** ${metaData.link}`,
         `**Created:** ${metaData.create_time}`,
         `**Updated:** ${metaData.update_time}`,
+        notes
+          ? `> **Notes**\n>\n${notes
+              .split("\n")
+              .map((line) => `> ${line}`.trimEnd())
+              .join("\n")}`
+          : null,
         "",
-      ].join("\n\n");
+      ]
+        .filter((part) => part !== null)
+        .join("\n\n");
+      const noteFields = notes ? { notes } : {};
 
       let markdown = header;
-      let jsonAPI = { ...metaData, turns: [] };
+      let jsonAPI = { ...metaData, ...noteFields, turns: [] };
       let jsonCopy = { ...metaData, turns: [] };
 
       turns.forEach((turn) => {
@@ -886,7 +1140,12 @@ window.ChatGPT = (() => {
         const fenceCount = (markdown.match(/```/g) || []).length;
         if (fenceCount % 2 !== 0) markdown += "\n```";
       });
-      const jsonData = { ...metaData, messages: turns };
+      let jsonData = { ...metaData, ...noteFields, messages: turns };
+      if (mode === "tree" && treeData) {
+        const { treeMarkdown, jsonTree } = renderTree(treeData);
+        markdown = header + treeMarkdown;
+        jsonData = { ...metaData, ...noteFields, ...jsonTree };
+      }
       exportData = {
         markdown,
         jsonAPI,
@@ -0,0 +1,415 @@
+window.ChatGPTBookmarks = (() => {
+  // Marks live in the History Manager's IndexedDB, listed in its Bookmarks tab
+  const { cacheManager } = ChatGPThistory;
+  const SNIPPET_LENGTH = 140;
+  const SELECTORS = {
+    turn: "article[data-turn-id]",
+    message: "[data-message-id]",
+  };
+  // CSS Custom Highlight names; painting them leaves ChatGPT's DOM untouched
+  const HIGHLIGHT = "cbm-highlight";
+  const NOTED_HIGHLIGHT = "cbm-highlight-note";
+
+  // Marks of the open conversation
+  let loaded = { conversationId: null, bookmarks: [], highlights: [] };
+  let applyTimer = null;
+  let selectionButton = null;
+  let highlightPopover = null;
+  let highlightRanges = new Map(); // highlight id -> Array<Range>
+
+  function injectStyles() {
+    if (document.getElementById("cbm-styles")) return;
+
+    const cssTemplate = `
+      ${SELECTORS.turn} { position: relative; }
+      .cbm-ribbon { position: absolute; top: 8px; left: -28px; z-index: 10; padding: 2px 4px; border-radius: 6px; font-size: 0.875rem; line-height: 1; cursor: pointer; opacity: 0; transition: opacity 0.15s; filter: grayscale(1); }
+      ${SELECTORS.turn}:hover .cbm-ribbon { opacity: 0.6; }
+      .cbm-bookmarked .cbm-ribbon { opacity: 1 !important; filter: none; }
+      ::highlight(${HIGHLIGHT}), ::highlight(${NOTED_HIGHLIGHT}) { background-color: rgba(250, 204, 21, 0.45); }
+      ::highlight(${NOTED_HIGHLIGHT}) { text-decoration: underline dotted rgba(202, 138, 4, 0.9) 2px; }
+      #cbm-highlight-popover { position: fixed; z-index: 10002; max-width: 280px; padding: 8px 10px; border-radius: 8px; font-size: 0.8125rem; background: var(--main-surface-primary); color: var(--text-primary); border: 1px solid var(--border-medium); box-shadow: 0 4px 12px rgba(0,0,0,0.15); }
+      .cbm-popover-note { white-space: pre-wrap; word-break: break-word; margin-bottom: 8px; }
+      .cbm-popover-note.empty { color: var(--text-tertiary); font-style: italic; }
+      .cbm-popover-actions { display: flex; justify-content: flex-end; gap: 6px; }
+      .cbm-popover-actions button { padding: 2px 8px; border-radius: 6px; border: 1px solid var(--border-light); cursor: pointer; }
+      .cbm-popover-actions button:hover { background: var(--surface-hover); }
+      #cbm-selection-btn { position: fixed; z-index: 10002; padding: 4px 10px; border-radius: 8px; font-size: 0.8125rem; background: var(--main-surface-primary); color: var(--text-primary); border: 1px solid var(--border-medium); box-shadow: 0 4px 12px rgba(0,0,0,0.15); cursor: pointer; }
+      #cbm-selection-btn:hover { background: var(--surface-hover); }
+    `;
+
+    const styleSheet = document.createElement("style");
+    styleSheet.id = "cbm-styles";
+    styleSheet.textContent = cssTemplate;
+    document.head.appendChild(styleSheet);
+  }
+
+  async function loadMarks(conversationId) {
+    const [bookmarks, highlights] = await Promise.all([
+      cacheManager.getMarks(cacheManager.BOOKMARK_STORE, conversationId),
+      cacheManager.getMarks(cacheManager.HIGHLIGHT_STORE, conversationId),
+    ]);
+    loaded = { conversationId, bookmarks, highlights };
+  }
+
+  // --- Bookmarks ---
+
+  function isBookmarked(turnId) {
+    return loaded.bookmarks.some((bookmark) => bookmark.turnId === turnId);
+  }
+
+  /**
+   * Bookmarks a turn, or removes its bookmark.
+   * @param {HTMLElement} turn - An `article[data-turn-id]`.
+   * @returns {Promise<boolean>} Whether the turn is now bookmarked.
+   */
+  async function toggleBookmark(turn) {
+    const conversationId = ChatGPT.getConversationId();
+    if (!conversationId) {
+      alert("Only saved conversations can be bookmarked.");
+      return false;
+    }
+    if (loaded.conversationId !== conversationId) {
+      await loadMarks(conversationId);
+    }
+    const turnId = turn.getAttribute("data-turn-id");
+    const id = `${conversationId}:${turnId}`;
+    try {
+      if (isBookmarked(turnId)) {
+        await cacheManager.deleteMark(cacheManager.BOOKMARK_STORE, id);
+      } else {
+        const text = [...turn.querySelectorAll(SELECTORS.message)]
+          .map((message) => message.innerText)
+          .join(" ")
+          .replace(/\s+/g, " ")
+          .trim();
+        await cacheManager.putMark(cacheManager.BOOKMARK_STORE, {
+          id,
+          conversationId,
+          turnId,
+          messageId: turn
+            .querySelector(SELECTORS.message)
+            ?.getAttribute("data-message-id"),
+          title: document.title,
+          snippet: text.slice(0, SNIPPET_LENGTH),
+          createdAt: Date.now(),
+        });
+      }
+      await loadMarks(conversationId);
+    } catch (error) {
+      console.error("❌ [Bookmarks] Could not save bookmark:", error);
+    }
+    applyMarks();
+    return isBookmarked(turnId);
+  }
+
+  function applyBookmarks() {
+    document.querySelectorAll(SELECTORS.turn).forEach((turn) => {
+      let ribbon = turn.querySelector(":scope > .cbm-ribbon");
+      if (!ribbon) {
+        ribbon = document.createElement("button");
+        ribbon.className = "cbm-ribbon";
+        ribbon.textContent = "🔖";
+        ribbon.addEventListener("click", (e) => {
+          e.stopPropagation();
+          toggleBookmark(turn);
+        });
+        turn.appendChild(ribbon);
+      }
+      const marked = isBookmarked(turn.getAttribute("data-turn-id"));
+      turn.classList.toggle("cbm-bookmarked", marked);
+      ribbon.title = marked ? "Remove bookmark" : "Bookmark this turn";
+    });
+  }
+
+  // --- Highlights ---
+
+  function elementOf(node) {
+    return node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  }
+
+  /**
+   * Finds a highlight's range in a message by its character offsets, or by
+   * its text when the message changed since it was saved.
+   * @returns {{start: number, end: number} | null}
+   */
+  function locateHighlight(message, highlight) {
+    const text = message.textContent;
+    if (text.slice(highlight.start, highlight.end) === highlight.text) {
+      return { start: highlight.start, end: highlight.end };
+    }
+    const start = text.indexOf(highlight.text);
+    if (start === -1) return null;
+    return { start, end: start + highlight.text.length };
+  }
+
+  /**
+   * Builds ranges over the text between two character offsets of a message,
+   * one per text node the span crosses.
+   * @returns {Array<Range>}
+   */
+  function rangesFor(message, { start, end }) {
+    const walker = document.createTreeWalker(message, NodeFilter.SHOW_TEXT);
+    const ranges = [];
+    let offset = 0;
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      const length = node.textContent.length;
+      if (offset + length > start && offset < end) {
+        const from = Math.max(start - offset, 0);
+        const to = Math.min(end - offset, length);
+        if (node.textContent.slice(from, to).trim()) {
+          const range = document.createRange();
+          range.setStart(node, from);
+          range.setEnd(node, to);
+          ranges.push(range);
+        }
+      }
+      offset += length;
+      if (offset >= end) break;
+    }
+    return ranges;
+  }
+
+  /**
+   * Paints every highlight of the open chat. React replaces text nodes as
+   * it renders, so the ranges are rebuilt each time rather than kept.
+   */
+  function applyHighlights() {
+    if (!CSS.highlights) return;
+    const plain = new Highlight();
+    const noted = new Highlight();
+    highlightRanges = new Map();
+    loaded.highlights.forEach((highlight) => {
+      const message = document.querySelector(
+        `${SELECTORS.message}[data-message-id="${CSS.escape(
+          highlight.messageId
+        )}"]`
+      );
+      const offsets = message && locateHighlight(message, highlight);
+      if (!offsets) return;
+      const ranges = rangesFor(message, offsets);
+      highlightRanges.set(highlight.id, ranges);
+      ranges.forEach((range) => (highlight.note ? noted : plain).add(range));
+    });
+    CSS.highlights.set(HIGHLIGHT, plain);
+    CSS.highlights.set(NOTED_HIGHLIGHT, noted);
+  }
+
+  /**
+   * Finds the highlight painted under a point, if any.
+   */
+  function highlightAt(x, y) {
+    for (const [id, ranges] of highlightRanges) {
+      const hit = ranges.some((range) =>
+        [...range.getClientRects()].some(
+          (rect) =>
+            x >= rect.left &&
+            x <= rect.right &&
+            y >= rect.top &&
+            y <= rect.bottom
+        )
+      );
+      if (hit) return loaded.highlights.find((h) => h.id === id);
+    }
+    return null;
+  }
+
+  async function addHighlight(range) {
+    const message = elementOf(range.startContainer)?.closest(SELECTORS.message);
+    const turn = message?.closest(SELECTORS.turn);
+    const conversationId = ChatGPT.getConversationId();
+    if (!turn || !conversationId) return;
+
+    const note = prompt("Add a note to this highlight (optional):", "");
+    if (note === null) return;
+
+    const before = document.createRange();
+    before.setStart(message, 0);
+    before.setEnd(range.startContainer, range.startOffset);
+    const start = before.toString().length;
+    const text = range.toString();
+    const highlight = {
+      conversationId,
+      turnId: turn.getAttribute("data-turn-id"),
+      messageId: message.getAttribute("data-message-id"),
+      text,
+      start,
+      end: start + text.length,
+      note: note.trim(),
+      title: document.title,
+      createdAt: Date.now(),
+    };
+    try {
+      highlight.id = await cacheManager.putMark(
+        cacheManager.HIGHLIGHT_STORE,
+        highlight
+      );
+      await loadMarks(conversationId);
+      window.getSelection().removeAllRanges();
+      applyMarks();
+    } catch (error) {
+      console.error("❌ [Bookmarks] Could not save highlight:", error);
+    }
+  }
+
+  async function editHighlightNote(highlight) {
+    const note = prompt("Note for this highlight:", highlight.note || "");
+    if (note === null) return;
+    try {
+      await cacheManager.putMark(cacheManager.HIGHLIGHT_STORE, {
+        ...highlight,
+        note: note.trim(),
+      });
+      await loadMarks(highlight.conversationId);
+      applyHighlights();
+    } catch (error) {
+      console.error("❌ [Bookmarks] Could not save note:", error);
+    }
+  }
+
+  async function removeHighlight(highlight) {
+    try {
+      await cacheManager.deleteMark(cacheManager.HIGHLIGHT_STORE, highlight.id);
+      await loadMarks(highlight.conversationId);
+      applyHighlights();
+    } catch (error) {
+      console.error("❌ [Bookmarks] Could not remove highlight:", error);
+    }
+  }
+
+  function hideHighlightPopover() {
+    highlightPopover?.remove();
+    highlightPopover = null;
+  }
+
+  /**
+   * Shows a highlight's note next to the click, with actions to edit the
+   * note or remove the highlight.
+   */
+  function showHighlightPopover(highlight, x, y) {
+    hideHighlightPopover();
+    highlightPopover = document.createElement("div");
+    highlightPopover.id = "cbm-highlight-popover";
+    highlightPopover.innerHTML = `
+      <div class="cbm-popover-note"></div>
+      <div class="cbm-popover-actions">
+        <button data-action="edit">${highlight.note ? "Edit note" : "Add note"}</button>
+        <button data-action="remove">Remove highlight</button>
+      </div>
+    `;
+    const note = highlightPopover.querySelector(".cbm-popover-note");
+    note.textContent = highlight.note || "No note";
+    note.classList.toggle("empty", !highlight.note);
+    highlightPopover.style.top = `${Math.min(y + 12, window.innerHeight - 120)}px`;
+    highlightPopover.style.left = `${Math.min(x, window.innerWidth - 300)}px`;
+    highlightPopover.addEventListener("click", (e) => {
+      const action = e.target.closest("[data-action]")?.dataset.action;
+      if (!action) return;
+      hideHighlightPopover();
+      if (action === "edit") editHighlightNote(highlight);
+      else removeHighlight(highlight);
+    });
+    document.body.appendChild(highlightPopover);
+  }
+
+  function hideSelectionButton() {
+    selectionButton?.remove();
+    selectionButton = null;
+  }
+
+  /**
+   * Offers a "Highlight" button when text inside a single message is
+   * selected.
+   */
+  function showSelectionButton() {
+    hideSelectionButton();
+    const selection = window.getSelection();
+    if (!selection.rangeCount || selection.isCollapsed) return;
+    const range = selection.getRangeAt(0);
+    const message = elementOf(range.commonAncestorContainer)?.closest(
+      SELECTORS.message
+    );
+    if (!message?.closest(SELECTORS.turn) || !range.toString().trim()) return;
+    if (!ChatGPT.getConversationId()) return;
+
+    injectStyles();
+    const rect = range.getBoundingClientRect();
+    selectionButton = document.createElement("button");
+    selectionButton.id = "cbm-selection-btn";
+    selectionButton.textContent = "🖍️ Highlight";
+    selectionButton.style.top = `${Math.max(rect.top - 36, 8)}px`;
+    selectionButton.style.left = `${rect.left + rect.width / 2 - 45}px`;
+    // Keep the selection alive while the button is pressed
+    selectionButton.addEventListener("mousedown", (e) => e.preventDefault());
+    selectionButton.addEventListener("click", () => {
+      const saved = range.cloneRange();
+      hideSelectionButton();
+      addHighlight(saved);
+    });
+    document.body.appendChild(selectionButton);
+  }
+
+  // --- Applying Marks ---
+
+  async function applyMarks() {
+    const conversationId = ChatGPT.getConversationId();
+    if (!conversationId || !document.querySelector(SELECTORS.turn)) return;
+    injectStyles();
+    try {
+      if (loaded.conversationId !== conversationId) {
+        await loadMarks(conversationId);
+      }
+      applyBookmarks();
+      applyHighlights();
+    } catch (error) {
+      console.error("❌ [Bookmarks] Could not apply marks:", error);
+    }
+  }
+
+  function scheduleApply() {
+    clearTimeout(applyTimer);
+    applyTimer = setTimeout(applyMarks, 800);
+  }
+
+  document.addEventListener("mouseup", (e) => {
+    if (e.target.closest("#cbm-selection-btn")) return;
+    // Wait for the selection to settle after the click
+    setTimeout(showSelectionButton, 0);
+  });
+  document.addEventListener("mousedown", (e) => {
+    if (!e.target.closest("#cbm-selection-btn")) hideSelectionButton();
+    if (!e.target.closest("#cbm-highlight-popover")) hideHighlightPopover();
+  });
+  document.addEventListener("click", (e) => {
+    if (e.target.closest("#cbm-highlight-popover")) return;
+    if (window.getSelection().toString()) return;
+    const highlight = highlightAt(e.clientX, e.clientY);
+    if (highlight) showHighlightPopover(highlight, e.clientX, e.clientY);
+  });
+
+  // Re-apply marks when a chat opens or new turns render
+  const observer = new MutationObserver(scheduleApply);
+  observer.observe(document.body, { childList: true, subtree: true });
+  scheduleApply();
+
+  ChatGPTShortcuts.register({
+    id: "bookmark.toggle",
+    name: "Bookmark turn in view",
+    binding: "Alt+B",
+    keywords: "save favorite turn",
+    handler: () => {
+      const turn =
+        ChatGPTNavigate.getFocusedTurn() ||
+        [...document.querySelectorAll(SELECTORS.turn)].find(
+          (t) => t.getBoundingClientRect().bottom > 80
+        );
+      if (turn) toggleBookmark(turn);
+    },
+  });
+
+  console.log("✅ [Bookmarks] Script loaded successfully.");
+  return {
+    toggleBookmark,
+    isBookmarked,
+  };
+})();
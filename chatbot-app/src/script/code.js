@@ -12,8 +12,8 @@ window.ChatGPTCode = (() => {
       codeRendered: "data-code-rendered",
     },
     shortcuts: {
-      collapse: "c", // Ctrl/Cmd + Shift + C
-      insert: "."
+      collapse: "Mod+Shift+C",
+      insert: "Mod+.",
     },
   };
 
@@ -276,42 +276,36 @@ window.ChatGPTCode = (() => {
   }
 
   function setupGlobalShortcut() {
-    document.addEventListener("keydown", (e) => {
-      if (
-        !(e.metaKey || e.ctrlKey) ||
-        !e.shiftKey ||
-        e.key.toLowerCase() !== CONFIG.shortcuts.collapse
-      ) {
-        return;
-      }
-
-      e.preventDefault();
-
-      const buttons = document.querySelectorAll(
-        CONFIG.selectors.collapseButtons
-      );
-      if (!buttons.length) return;
+    ChatGPTShortcuts.register({
+      id: "code.toggleBlocks",
+      name: "Toggle code blocks",
+      binding: CONFIG.shortcuts.collapse,
+      handler: toggleAllCodeBlocks,
+    });
+    ChatGPTShortcuts.register({
+      id: "code.insertBlock",
+      name: "Add code block",
+      binding: CONFIG.shortcuts.insert,
+      handler: () =>
+        ChatGPTprompt.pasteText("<code-content>\n\n</code-content>"),
+    });
+  }
 
-      // Determine whether to collapse or expand
-      const shouldCollapse = Array.from(buttons).some((btn) => {
-        const code = btn.closest("pre")?.querySelector("code");
-        return code && code.style.display !== "none";
-      });
+  function toggleAllCodeBlocks() {
+    const buttons = document.querySelectorAll(CONFIG.selectors.collapseButtons);
+    if (!buttons.length) return;
 
-      buttons.forEach((btn) => {
-        const code = btn.closest("pre")?.querySelector("code");
-        if (code) {
-          code.style.display = shouldCollapse ? "none" : "block";
-          utils.updateCollapseLabel(btn, code);
-        }
-      });
+    // Determine whether to collapse or expand
+    const shouldCollapse = Array.from(buttons).some((btn) => {
+      const code = btn.closest("pre")?.querySelector("code");
+      return code && code.style.display !== "none";
     });
-    document.addEventListener("keydown", (e) => {
-      if (
-        (e.ctrlKey || e.metaKey) &&
-        e.key.toLowerCase() == CONFIG.shortcuts.insert
-      ) {
-        ChatGPTprompt.pasteText("<code-content>\n\n</code-content>");
+
+    buttons.forEach((btn) => {
+      const code = btn.closest("pre")?.querySelector("code");
+      if (code) {
+        code.style.display = shouldCollapse ? "none" : "block";
+        utils.updateCollapseLabel(btn, code);
       }
     });
   }
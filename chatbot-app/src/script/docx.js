@@ -0,0 +1,663 @@
+window.ChatGPTDocx = (() => {
+  const MAX_IMAGE_WIDTH_EMU = 5486400; // 6 inches, the text width of a Letter page
+  const EMU_PER_PIXEL = 9525;
+  const NAMESPACES =
+    'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" ' +
+    'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" ' +
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+    'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"';
+
+  // --- XML HELPERS ---
+  /**
+   * Escapes text for XML and drops characters XML 1.0 does not allow.
+   */
+  function escapeXML(str) {
+    let out = "";
+    for (const ch of String(str ?? "")) {
+      const code = ch.codePointAt(0);
+      if (code < 32 && code !== 9 && code !== 10 && code !== 13) continue;
+      if (code === 0xfffe || code === 0xffff) continue;
+      out += ch;
+    }
+    return out
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  // --- MARKDOWN PARSING ---
+  const FENCE = /^\s*(```|~~~)\s*([\w+#.-]*)/;
+  const HEADING = /^(#{1,6})\s+(.*)$/;
+  const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+  const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+  const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+  const QUOTE = /^\s*>\s?(.*)$/;
+
+  const isTableStart = (line, next = "") =>
+    line.includes("|") && next.includes("|") && TABLE_DIVIDER.test(next);
+
+  function splitTableRow(line) {
+    return line
+      .trim()
+      .replace(/^\|/, "")
+      .replace(/\|$/, "")
+      .split(/(?<!\\)\|/)
+      .map((cell) => cell.trim().replace(/\\\|/g, "|"));
+  }
+
+  /**
+   * Splits markdown into blocks: `heading`, `paragraph`, `code`, `table`,
+   * `list`, `quote` and `rule`.
+   * @param {string} markdown
+   * @returns {Array<Object>}
+   */
+  function parseMarkdown(markdown) {
+    const lines = String(markdown || "")
+      .replace(/\r\n?/g, "\n")
+      .split("\n");
+    const blocks = [];
+    const startsBlock = (line, next) =>
+      FENCE.test(line) ||
+      HEADING.test(line) ||
+      RULE.test(line) ||
+      LIST_ITEM.test(line) ||
+      QUOTE.test(line) ||
+      isTableStart(line, next);
+
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+      const next = lines[i + 1];
+      let match;
+      if (!line.trim()) {
+        i++;
+      } else if ((match = line.match(FENCE))) {
+        const fence = match[1];
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence)) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++; // Closing fence
+        blocks.push({
+          type: "code",
+          language: match[2],
+          text: code.join("\n"),
+        });
+      } else if ((match = line.match(HEADING))) {
+        blocks.push({
+          type: "heading",
+          level: match[1].length,
+          text: match[2].replace(/\s#+\s*$/, ""),
+        });
+        i++;
+      } else if (RULE.test(line)) {
+        blocks.push({ type: "rule" });
+        i++;
+      } else if (isTableStart(line, next)) {
+        const rows = [splitTableRow(line)];
+        i += 2;
+        while (i < lines.length && lines[i].includes("|") && lines[i].trim()) {
+          rows.push(splitTableRow(lines[i]));
+          i++;
+        }
+        blocks.push({ type: "table", rows });
+      } else if (QUOTE.test(line)) {
+        const quote = [];
+        while (i < lines.length && (match = lines[i].match(QUOTE))) {
+          quote.push(match[1]);
+          i++;
+        }
+        blocks.push({ type: "quote", text: quote.join("\n") });
+      } else if (LIST_ITEM.test(line)) {
+        const items = [];
+        while (i < lines.length) {
+          match = lines[i].match(LIST_ITEM);
+          if (match) {
+            items.push({
+              level: Math.min(Math.floor(match[1].length / 2), 2),
+              ordered: /\d/.test(match[2]),
+              start: parseInt(match[2], 10) || 1,
+              text: match[3],
+            });
+            i++;
+          } else if (lines[i].trim() && /^\s+/.test(lines[i]) && items.length) {
+            items[items.length - 1].text += ` ${lines[i].trim()}`; // Continuation
+            i++;
+          } else {
+            break;
+          }
+        }
+        blocks.push({ type: "list", items });
+      } else {
+        const paragraph = [line];
+        i++;
+        while (
+          i < lines.length &&
+          lines[i].trim() &&
+          !startsBlock(lines[i], lines[i + 1])
+        ) {
+          paragraph.push(lines[i]);
+          i++;
+        }
+        blocks.push({ type: "paragraph", text: paragraph.join("\n") });
+      }
+    }
+    return blocks;
+  }
+
+  const INLINE =
+    /(\*\*|__)(.+?)\1|\*(?!\s)(.+?)\*|(?<!\w)_(?!\s)(.+?)_(?!\w)|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|\[([^\]]+)\]\[([^\]]+)\]/g;
+
+  /**
+   * Splits a line of markdown into runs with bold, italic, code and links.
+   * Reference links (`[label][id]`) are resolved with `references`.
+   * @returns {Array<{text: string, bold?: boolean, italic?: boolean, code?: boolean, link?: string}>}
+   */
+  function parseInline(text, references = []) {
+    const runs = [];
+    let position = 0;
+    text.replace(
+      INLINE,
+      (
+        match,
+        _b,
+        bold,
+        star,
+        underscore,
+        code,
+        label,
+        url,
+        refLabel,
+        refId,
+        offset
+      ) => {
+        if (offset > position)
+          runs.push({ text: text.slice(position, offset) });
+        if (bold !== undefined) runs.push({ text: bold, bold: true });
+        else if (star !== undefined || underscore !== undefined)
+          runs.push({ text: star ?? underscore, italic: true });
+        else if (code !== undefined) runs.push({ text: code, code: true });
+        else if (label !== undefined) runs.push({ text: label, link: url });
+        else {
+          const ref = references.find((r) => String(r.id) === refId);
+          runs.push(ref ? { text: refLabel, link: ref.url } : { text: match });
+        }
+        position = offset + match.length;
+        return match;
+      }
+    );
+    if (position < text.length) runs.push({ text: text.slice(position) });
+    return runs;
+  }
+
+  // --- DOCUMENT WRITER ---
+  /**
+   * Collects body XML, relationships, numbering and media while the
+   * conversation is written.
+   */
+  function createWriter() {
+    const writer = {
+      body: [],
+      relationships: [],
+      media: [],
+      orderedLists: [],
+      nextDrawingId: 1,
+    };
+
+    writer.addRelationship = (type, target, external = false) => {
+      const id = `rId${writer.relationships.length + 10}`;
+      writer.relationships.push({ id, type, target, external });
+      return id;
+    };
+
+    writer.runs = (runs, baseProps = "") =>
+      runs
+        .map((run) => {
+          const props = `${baseProps}${run.bold ? "<w:b/>" : ""}${
+            run.italic ? "<w:i/>" : ""
+          }${run.code ? '<w:rStyle w:val="CodeChar"/>' : ""}${
+            run.link ? '<w:rStyle w:val="Hyperlink"/>' : ""
+          }`;
+          const parts = run.text.split("\n");
+          const xml = `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ""}${parts
+            .map((part) => `<w:t xml:space="preserve">${escapeXML(part)}</w:t>`)
+            .join("<w:br/>")}</w:r>`;
+          if (!run.link) return xml;
+          const id = writer.addRelationship(
+            "http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink",
+            run.link,
+            true
+          );
+          return `<w:hyperlink r:id="${id}">${xml}</w:hyperlink>`;
+        })
+        .join("");
+
+    writer.paragraph = (runsXML, style, extraProps = "") => {
+      writer.body.push(
+        `<w:p><w:pPr>${
+          style ? `<w:pStyle w:val="${style}"/>` : ""
+        }${extraProps}</w:pPr>${runsXML}</w:p>`
+      );
+    };
+
+    writer.code = (text, language) => {
+      if (language) {
+        writer.paragraph(writer.runs([{ text: language }]), "CodeLabel");
+      }
+      writer.paragraph(writer.runs([{ text: text || " " }]), "Code");
+    };
+
+    writer.table = (rows, references) => {
+      const columns = Math.max(...rows.map((row) => row.length));
+      const grid = `<w:tblGrid>${'<w:gridCol w:w="2000"/>'.repeat(
+        columns
+      )}</w:tblGrid>`;
+      const rowsXML = rows
+        .map((row, rowIndex) => {
+          const cells = Array.from({ length: columns }, (_, i) => row[i] ?? "");
+          return `<w:tr>${
+            rowIndex === 0 ? "<w:trPr><w:tblHeader/></w:trPr>" : ""
+          }${cells
+            .map(
+              (cell) =>
+                `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/>${
+                  rowIndex === 0
+                    ? '<w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/>'
+                    : ""
+                }</w:tcPr><w:p>${writer.runs(
+                  parseInline(cell, references),
+                  rowIndex === 0 ? "<w:b/>" : ""
+                )}</w:p></w:tc>`
+            )
+            .join("")}</w:tr>`;
+        })
+        .join("");
+      writer.body.push(
+        `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr>${grid}${rowsXML}</w:tbl>`
+      );
+      writer.paragraph("", null); // Keeps adjacent tables apart
+    };
+
+    writer.list = (items, references) => {
+      let numId = 1; // Shared bullet list
+      items.forEach((item, index) => {
+        if (item.ordered && (index === 0 || !items[index - 1].ordered)) {
+          writer.orderedLists.push(item.start);
+          numId = writer.orderedLists.length + 1; // Restart numbering
+        }
+        writer.paragraph(
+          writer.runs(parseInline(item.text, references)),
+          "ListParagraph",
+          `<w:numPr><w:ilvl w:val="${item.level}"/><w:numId w:val="${
+            item.ordered ? numId : 1
+          }"/></w:numPr>`
+        );
+      });
+    };
+
+    /**
+     * Writes markdown as Word paragraphs. Headings inside a message are moved
+     * down one level so they sit under the turn heading.
+     */
+    writer.markdown = (markdown, references = []) => {
+      parseMarkdown(markdown).forEach((block) => {
+        switch (block.type) {
+          case "heading":
+            writer.paragraph(
+              writer.runs(parseInline(block.text, references)),
+              `Heading${Math.min(block.level + 1, 6)}`
+            );
+            break;
+          case "code":
+            writer.code(block.text, block.language);
+            break;
+          case "table":
+            writer.table(block.rows, references);
+            break;
+          case "list":
+            writer.list(block.items, references);
+            break;
+          case "quote":
+            writer.paragraph(
+              writer.runs(parseInline(block.text, references)),
+              "Quote"
+            );
+            break;
+          case "rule":
+            writer.paragraph(
+              "",
+              null,
+              '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="BFBFBF"/></w:pBdr>'
+            );
+            break;
+          default:
+            writer.paragraph(writer.runs(parseInline(block.text, references)));
+        }
+      });
+    };
+
+    writer.image = ({ data, extension, width, height, description }) => {
+      const index = writer.media.length + 1;
+      const name = `image${index}.${extension}`;
+      writer.media.push({ name, data });
+      const id = writer.addRelationship(
+        "http://schemas.openxmlformats.org/officeDocument/2006/relationships/image",
+        `media/${name}`
+      );
+      let cx = width * EMU_PER_PIXEL;
+      let cy = height * EMU_PER_PIXEL;
+      if (cx > MAX_IMAGE_WIDTH_EMU) {
+        cy = Math.round((cy * MAX_IMAGE_WIDTH_EMU) / cx);
+        cx = MAX_IMAGE_WIDTH_EMU;
+      }
+      const drawingId = writer.nextDrawingId++;
+      writer.paragraph(
+        `<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="${drawingId}" name="Picture ${drawingId}" descr="${escapeXML(
+          description
+        )}"/><a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic><pic:nvPicPr><pic:cNvPr id="${drawingId}" name="${name}"/><pic:cNvPicPr/></pic:nvPicPr><pic:blipFill><a:blip r:embed="${id}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill><pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr></pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>`
+      );
+      if (description) {
+        writer.paragraph(writer.runs([{ text: description }]), "Caption");
+      }
+    };
+
+    return writer;
+  }
+
+  /**
+   * Downloads an image and returns it in a format Word can embed. WebP and
+   * other formats are redrawn as PNG.
+   * @param {string} url
+   * @returns {Promise<{data: ArrayBuffer, extension: string, width: number, height: number}|null>}
+   */
+  async function loadImage(url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) return null;
+      let blob = await response.blob();
+      const bitmap = await createImageBitmap(blob);
+      const { width, height } = bitmap;
+      let extension = {
+        "image/png": "png",
+        "image/jpeg": "jpeg",
+        "image/gif": "gif",
+      }[blob.type];
+      if (!extension) {
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext("2d").drawImage(bitmap, 0, 0);
+        blob = await new Promise((resolve) =>
+          canvas.toBlob(resolve, "image/png")
+        );
+        extension = "png";
+      }
+      bitmap.close();
+      return { data: await blob.arrayBuffer(), extension, width, height };
+    } catch (error) {
+      console.warn("[Docx Export] Failed to embed image:", url, error);
+      return null;
+    }
+  }
+
+  // --- PACKAGE PARTS ---
+  const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+  <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="240"/></w:pPr><w:rPr><w:rFonts w:ascii="Calibri Light" w:hAnsi="Calibri Light"/><w:sz w:val="52"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="40"/></w:pPr><w:rPr><w:color w:val="595959"/><w:sz w:val="20"/></w:rPr></w:style>
+  ${[1, 2, 3, 4, 5, 6]
+    .map(
+      (level) =>
+        `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="${
+          level === 1 ? 360 : 240
+        }" w:after="80"/><w:outlineLvl w:val="${
+          level - 1
+        }"/></w:pPr><w:rPr><w:b/><w:color w:val="${
+          level === 1 ? "10A37F" : "262626"
+        }"/><w:sz w:val="${[32, 28, 26, 24, 22, 22][level - 1]}"/></w:rPr></w:style>`
+    )
+    .join("\n  ")}
+  <w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/><w:spacing w:after="160" w:line="240" w:lineRule="auto"/><w:ind w:left="113" w:right="113"/></w:pPr><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="18"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="CodeLabel"><w:name w:val="Code Label"/><w:basedOn w:val="Code"/><w:pPr><w:keepNext/><w:shd w:val="clear" w:color="auto" w:fill="D9D9D9"/><w:spacing w:after="0"/></w:pPr><w:rPr><w:color w:val="595959"/><w:sz w:val="16"/></w:rPr></w:style>
+  <w:style w:type="character" w:styleId="CodeChar"><w:name w:val="Code Char"/><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/><w:sz w:val="20"/></w:rPr></w:style>
+  <w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="BFBFBF"/></w:pBdr><w:ind w:left="284"/></w:pPr><w:rPr><w:i/><w:color w:val="595959"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Reasoning"><w:name w:val="Reasoning"/><w:basedOn w:val="Quote"/><w:rPr><w:sz w:val="20"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Caption"><w:name w:val="caption"/><w:basedOn w:val="Normal"/><w:qFormat/><w:rPr><w:i/><w:color w:val="595959"/><w:sz w:val="18"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="60"/><w:contextualSpacing/></w:pPr></w:style>
+  <w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders><w:top w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:left w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:bottom w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:right w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:insideH w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/><w:insideV w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/></w:tblBorders><w:tblCellMar><w:left w:w="108" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+
+  function numberingXML(orderedLists) {
+    const levels = (format, texts) =>
+      texts
+        .map(
+          (text, level) =>
+            `<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="${
+              format === "bullet"
+                ? "bullet"
+                : ["decimal", "lowerLetter", "lowerRoman"][level]
+            }"/><w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${
+              720 * (level + 1)
+            }" w:hanging="360"/></w:pPr>${
+              format === "bullet"
+                ? '<w:rPr><w:rFonts w:ascii="Symbol" w:hAnsi="Symbol" w:hint="default"/></w:rPr>'
+                : ""
+            }</w:lvl>`
+        )
+        .join("");
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${levels(
+    "bullet",
+    ["", "o", ""]
+  )}</w:abstractNum>
+  <w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${levels(
+    "decimal",
+    ["%1.", "%2.", "%3."]
+  )}</w:abstractNum>
+  <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+  ${orderedLists
+    .map(
+      (start, i) =>
+        `<w:num w:numId="${
+          i + 2
+        }"><w:abstractNumId w:val="1"/><w:lvlOverride w:ilvl="0"><w:startOverride w:val="${start}"/></w:lvlOverride></w:num>`
+    )
+    .join("\n  ")}
+</w:numbering>`;
+  }
+
+  /**
+   * Builds a .docx from the `convertExport` turn model (`jsonData.messages`).
+   * @param {Object} conversation
+   * @param {Object} conversation.metaData - title, link, create_time, update_time
+   * @param {Array<Object>} conversation.turns - `{messages, images, canvases, reasoning}`
+   * @param {Object} options
+   * @param {boolean} options.user - Include the user's messages.
+   * @param {boolean} options.assistant - Include ChatGPT's answers.
+   * @param {boolean} options.reasoning - Include reasoning summaries.
+   * @param {boolean} options.canvases - Include canvas documents.
+   * @param {boolean} options.images - Download and embed images.
+   * @param {Function} onProgress - Called with (done, total) per turn.
+   * @returns {Promise<Blob>}
+   */
+  async function createDocx(
+    { metaData, turns },
+    {
+      user = true,
+      assistant = true,
+      reasoning = true,
+      canvases = true,
+      images = true,
+    } = {},
+    onProgress = () => {}
+  ) {
+    const writer = createWriter();
+    writer.paragraph(writer.runs([{ text: metaData.title }]), "Title");
+    writer.paragraph(
+      writer.runs([{ text: metaData.link, link: metaData.link }]),
+      "Subtitle"
+    );
+    writer.paragraph(
+      writer.runs([{ text: `Created: ${metaData.create_time}` }]),
+      "Subtitle"
+    );
+    writer.paragraph(
+      writer.runs([{ text: `Updated: ${metaData.update_time}` }]),
+      "Subtitle"
+    );
+
+    for (let i = 0; i < turns.length; i++) {
+      const turn = turns[i];
+      const messages = turn.messages || [];
+      // Same role rule as the markdown export
+      let role = "user";
+      if (
+        turn.reasoning?.length ||
+        turn.canvases?.length ||
+        turn.images?.length
+      ) {
+        role = "assistant";
+      } else if (messages.length > 0) {
+        role = messages[0].role || "assistant";
+      }
+      onProgress(i, turns.length);
+      if ((role === "user" && !user) || (role !== "user" && !assistant)) {
+        continue;
+      }
+
+      writer.paragraph(
+        writer.runs([{ text: role === "user" ? "You said" : "ChatGPT said" }]),
+        "Heading1"
+      );
+
+      if (reasoning && turn.reasoning?.length) {
+        turn.reasoning.forEach((r) =>
+          r.thoughts.forEach((t) => {
+            writer.paragraph(
+              writer.runs(
+                [
+                  t.summary && { text: `${t.summary}\n`, bold: true },
+                  { text: t.content || "" },
+                ].filter(Boolean)
+              ),
+              "Reasoning"
+            );
+          })
+        );
+      }
+
+      messages.forEach((message) =>
+        writer.markdown(message.text, message.references)
+      );
+
+      if (images) {
+        for (const image of turn.images || []) {
+          const loaded = image.url ? await loadImage(image.url) : null;
+          if (loaded) writer.image({ ...loaded, description: image.prompt });
+          else if (image.url) {
+            writer.paragraph(
+              writer.runs([{ text: image.prompt || "Image", link: image.url }])
+            );
+          }
+        }
+      }
+
+      if (canvases) {
+        (turn.canvases || []).forEach((canvas) => {
+          if (!canvas.type) return;
+          writer.paragraph(
+            writer.runs([{ text: `${canvas.title} (v${canvas.version})` }]),
+            "Heading3"
+          );
+          const [kind, language] = canvas.type.split("/");
+          if (kind === "code") writer.code(canvas.content, language);
+          else writer.markdown(canvas.content);
+        });
+      }
+    }
+    onProgress(turns.length, turns.length);
+
+    const relationshipsXML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>
+  ${writer.relationships
+    .map(
+      (rel) =>
+        `<Relationship Id="${rel.id}" Type="${rel.type}" Target="${escapeXML(
+          rel.target
+        )}"${rel.external ? ' TargetMode="External"' : ""}/>`
+    )
+    .join("\n  ")}
+</Relationships>`;
+
+    const documentXML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${NAMESPACES}><w:body>${writer.body.join(
+      ""
+    )}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+    const now = new Date().toISOString().replace(/\.\d+Z$/, "Z");
+    const coreXML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${escapeXML(metaData.title)}</dc:title>
+  <dc:creator>Enhanced ChatGPT Tools</dc:creator>
+  <dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>
+  <dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>
+</cp:coreProperties>`;
+
+    const contentTypesXML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Default Extension="png" ContentType="image/png"/>
+  <Default Extension="jpeg" ContentType="image/jpeg"/>
+  <Default Extension="gif" ContentType="image/gif"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+    const rootRelationshipsXML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+    const zip = ChatGPTZip.createZip([
+      { name: "[Content_Types].xml", content: contentTypesXML },
+      { name: "_rels/.rels", content: rootRelationshipsXML },
+      { name: "docProps/core.xml", content: coreXML },
+      { name: "word/document.xml", content: documentXML },
+      { name: "word/styles.xml", content: STYLES_XML },
+      {
+        name: "word/numbering.xml",
+        content: numberingXML(writer.orderedLists),
+      },
+      { name: "word/_rels/document.xml.rels", content: relationshipsXML },
+      ...writer.media.map((m) => ({
+        name: `word/media/${m.name}`,
+        content: m.data,
+      })),
+    ]);
+    return new Blob([zip], {
+      type: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    });
+  }
+
+  return {
+    createDocx,
+    parseMarkdown,
+  };
+})();
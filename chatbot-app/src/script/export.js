@@ -170,6 +170,10 @@ window.ChatGPTExport = (() => {
         )
         .forEach((el) => el.remove());
       */
+      // Bookmark ribbons and the turn toolbar are page controls, not content
+      area
+        .querySelectorAll(".cbm-ribbon, #cnav-toolbar")
+        .forEach((el) => el.remove());
       if (canceledJobs.has(jobid)) return;
       showStatusBar(jobid, `${action}: Fetching conversation data`, 15, 30);
 
@@ -683,6 +687,52 @@ window.ChatGPTExport = (() => {
             }
           }, 1000);
         }, 200);
+      } else if (action === "Download PDF") {
+        if (canceledJobs.has(jobid)) return;
+        // 6a. The PDF fonts only cover Western European text
+        const unsupported = ChatGPTPdf.findUnsupportedCharacters(
+          `${conversationTitle}\n${area.textContent}`
+        );
+        const examples = unsupported.slice(0, 8).join(" ");
+        if (
+          unsupported.length &&
+          !confirm(
+            `This chat has ${unsupported.length} character(s) the PDF can't show, such as ${examples}. They will appear as "?".\n\n` +
+              "Download the PDF anyway? Cancel to export Markdown instead, which keeps all text."
+          )
+        ) {
+          showStatusBar(jobid, `${action}: Exporting Markdown instead`, 0);
+          downloadMarkdown();
+          return;
+        }
+        showStatusBar(jobid, `${action}: Laying out pages`, 50, 90);
+        // 6b. Read the cleaned clone into text blocks and lay them out.
+        const pdf = ChatGPTPdf.createPdf(
+          {
+            title: conversationTitle,
+            details: [
+              jsonCopy.link,
+              `Created: ${jsonCopy.create_time}`,
+              `Updated: ${jsonCopy.update_time}`,
+              `Exported: ${new Date().toLocaleString()}`,
+            ],
+            sections: buildPdfSections(area, printOptions),
+          },
+          {
+            pageSize: printOptions.pageSize,
+            titlePage: printOptions.titlePage,
+          }
+        );
+
+        if (canceledJobs.has(jobid)) return;
+        // 6c. Trigger the download.
+        downloadFile(
+          pdf,
+          `ChatGPT-${ChatGPTZip.sanitizeFileName(conversationTitle)}.pdf`,
+          "application/pdf",
+          jobid,
+          action
+        );
       }
     } catch (error) {
       console.error(`❌ [Export HTML - ${action}] Failed:`, error);
@@ -698,6 +748,151 @@ window.ChatGPTExport = (() => {
       });
     }
   }
+  /**
+   * Reads the cleaned chat clone into the sections `ChatGPTPdf.createPdf`
+   * lays out: one per visible turn, with its text split into blocks.
+   * @param {HTMLElement} area - The clone prepared by `exportOrPrintHTML`.
+   * @param {Object} printOptions - Options from the dialog.
+   * @returns {Array<Object>} sections
+   */
+  function buildPdfSections(area, printOptions) {
+    const BLOCK_TAGS = new Set([
+      "P",
+      "H1",
+      "H2",
+      "H3",
+      "H4",
+      "H5",
+      "H6",
+      "UL",
+      "OL",
+      "PRE",
+      "BLOCKQUOTE",
+      "TABLE",
+      "HR",
+      "IMG",
+      "DIV",
+      "SECTION",
+    ]);
+    const SKIP = "button, svg, style, script, form, .sr-only";
+    const articles = area.matches("article")
+      ? [area]
+      : Array.from(area.querySelectorAll("article"));
+
+    return articles
+      .filter((article) => article.style.display !== "none")
+      .map((article) => {
+        const blocks = [];
+        collect(article, blocks);
+        const role =
+          article
+            .querySelector("[data-message-author-role]")
+            ?.getAttribute("data-message-author-role") || "assistant";
+        const preview = (
+          blocks.find((b) => b.text && b.type !== "reasoning")?.text || ""
+        )
+          .replace(/\s+/g, " ")
+          .slice(0, 60);
+        const speaker = role === "user" ? "You" : "ChatGPT";
+        return {
+          role,
+          heading: `${speaker} said`,
+          bookmark: preview ? `${speaker}: ${preview}` : speaker,
+          blocks,
+        };
+      })
+      .filter((section) => section.blocks.length > 0);
+
+    function collectList(list, blocks, listLevel) {
+      Array.from(list.children).forEach((item, index) => {
+        const itemText = item.cloneNode(true);
+        itemText.querySelectorAll("ul, ol").forEach((l) => l.remove());
+        blocks.push({
+          type: "list",
+          level: listLevel,
+          ordered: list.tagName === "OL",
+          index: (Number(list.getAttribute("start")) || 1) + index,
+          text: itemText.textContent.trim(),
+        });
+        item
+          .querySelectorAll(":scope > ul, :scope > ol")
+          .forEach((nested) => collectList(nested, blocks, listLevel + 1));
+      });
+    }
+
+    function collect(element, blocks, listLevel = 0) {
+      for (const node of element.children) {
+        if (node.style.display === "none" || node.matches(SKIP)) continue;
+        const text = node.textContent.trim();
+        if (node.classList.contains("thoughts")) {
+          const thoughts = node.querySelector("div.relative.z-0") || node;
+          if (printOptions.reason && thoughts.textContent.trim()) {
+            blocks.push({
+              type: "reasoning",
+              text: thoughts.textContent.trim(),
+            });
+          }
+          continue;
+        }
+        switch (node.tagName) {
+          case "PRE": {
+            const code = node.querySelector("code");
+            blocks.push({
+              type: "code",
+              text: (code || node).textContent.replace(/\n$/, ""),
+              label: code?.className.match(/language-([\w+#-]+)/)?.[1],
+            });
+            break;
+          }
+          case "H1":
+          case "H2":
+          case "H3":
+          case "H4":
+          case "H5":
+          case "H6":
+            if (text)
+              blocks.push({
+                type: "heading",
+                level: Number(node.tagName[1]),
+                text,
+              });
+            break;
+          case "UL":
+          case "OL":
+            collectList(node, blocks, listLevel);
+            break;
+          case "BLOCKQUOTE":
+            if (text) blocks.push({ type: "quote", text });
+            break;
+          case "TABLE":
+            blocks.push({
+              type: "table",
+              rows: Array.from(node.querySelectorAll("tr")).map((row) =>
+                Array.from(row.children).map((cell) => cell.textContent.trim())
+              ),
+            });
+            break;
+          case "HR":
+            blocks.push({ type: "rule" });
+            break;
+          case "IMG":
+            blocks.push({ type: "image", text: node.alt });
+            break;
+          default:
+            if (
+              Array.from(node.children).some((child) =>
+                BLOCK_TAGS.has(child.tagName)
+              )
+            ) {
+              collect(node, blocks, listLevel);
+            } else if (text) {
+              blocks.push({ type: "paragraph", text: node.textContent });
+            }
+        }
+      }
+    }
+  }
+
   function escapeHTML(str) {
     if (!str) return "";
     return str
@@ -733,6 +928,329 @@ window.ChatGPTExport = (() => {
     URL.revokeObjectURL(url);
   }
 
+  // --- DOCX EXPORT ---
+  /**
+   * Downloads the open conversation as a Word document. The file is built
+   * locally from the `convertExport` turns by ChatGPTDocx.
+   * @param {Object} printOptions - Options from the print options dialog.
+   */
+  async function exportDocx(printOptions) {
+    const jobId = Date.now();
+    const action = "Word Document";
+    showStatusBar(jobId, `${action}: Fetching conversation data`, 1, 40);
+    try {
+      const { jsonData, metaData } = (await ChatGPT.convertExport()) || {};
+      if (!metaData) throw new Error("No data returned");
+      const blob = await ChatGPTDocx.createDocx(
+        { metaData, turns: jsonData.messages },
+        {
+          user: printOptions.user,
+          assistant: printOptions.assistant,
+          reasoning: printOptions.reason,
+          canvases: printOptions.replaceCanvas,
+          images: printOptions.saveImages,
+        },
+        (done, total) =>
+          showStatusBar(
+            jobId,
+            `${action}: Writing turn ${Math.min(done + 1, total)} of ${total}`,
+            40 + Math.floor((done / Math.max(total, 1)) * 55)
+          )
+      );
+      if (canceledJobs.has(jobId)) return;
+      downloadFile(
+        blob,
+        `ChatGPT-${ChatGPTZip.sanitizeFileName(metaData.title)}.docx`,
+        blob.type,
+        jobId,
+        action
+      );
+    } catch (error) {
+      console.error("❌ [Docx Export] Failed to create document:", error);
+      showStatusBar(jobId, `${action}: Failed`, 0);
+      alert("Could not create the Word document. Please try again.");
+    }
+  }
+
+  // --- BULK EXPORT ---
+  /**
+   * Exports several conversations into one ZIP, with one file per chat and
+   * an index. Conversations are fetched from the backend one at a time, so
+   * they do not need to be open.
+   * @param {Array<string>} conversationIds - The conversations to export.
+   * @param {'markdown' | 'json' | 'both'} format - Files written for each chat.
+   * @returns {Promise<boolean>} Whether the archive was downloaded.
+   */
+  async function exportConversations(conversationIds, format = "markdown") {
+    const jobId = Date.now();
+    const action = "Bulk export";
+    const total = conversationIds.length;
+    const files = [];
+    const indexRows = [];
+    const failed = [];
+    const pad = String(total).length;
+    injectStyles();
+
+    for (let i = 0; i < total; i++) {
+      if (canceledJobs.has(jobId)) {
+        console.log(`[ChatGPT Exporter] ${action} canceled.`);
+        return false;
+      }
+      const id = conversationIds[i];
+      showStatusBar(
+        jobId,
+        `${action}: Fetching ${i + 1} of ${total}`,
+        Math.max(1, Math.floor((i / total) * 95))
+      );
+      try {
+        const { markdown, jsonData, metaData } =
+          (await ChatGPT.convertExport(id, false, false, {
+            source: "api",
+          })) || {};
+        if (!metaData) throw new Error("No data returned");
+        const baseName = `${String(i + 1).padStart(
+          pad,
+          "0"
+        )} - ${ChatGPTZip.sanitizeFileName(metaData.title)}`;
+        const names = [];
+        if (format !== "json") {
+          files.push({ name: `${baseName}.md`, content: markdown });
+          names.push(`${baseName}.md`);
+        }
+        if (format !== "markdown") {
+          files.push({
+            name: `${baseName}.json`,
+            content: JSON.stringify(jsonData, null, 2),
+          });
+          names.push(`${baseName}.json`);
+        }
+        indexRows.push({ id, metaData, names });
+      } catch (error) {
+        console.error(`❌ [ChatGPT Exporter] Failed to export ${id}:`, error);
+        failed.push(id);
+      }
+    }
+    if (canceledJobs.has(jobId)) return false;
+
+    const index = [
+      "# ChatGPT Export",
+      `**Exported:** ${new Date().toLocaleString()}`,
+      `**Conversations:** ${indexRows.length} of ${total}`,
+      "| # | Title | Updated | Files |\n| --- | --- | --- | --- |\n" +
+        indexRows
+          .map(
+            ({ metaData, names }, i) =>
+              `| ${i + 1} | [${metaData.title.replace(/\|/g, "\\|")}](${
+                metaData.link
+              }) | ${metaData.update_time} | ${names
+                .map((name) => `[${name}](<${name}>)`)
+                .join(", ")} |`
+          )
+          .join("\n"),
+    ];
+    if (failed.length) {
+      index.push(
+        `## Failed\n\n${failed
+          .map((id) => `- https://chatgpt.com/c/${id}`)
+          .join("\n")}`
+      );
+    }
+    files.unshift({ name: "index.md", content: index.join("\n\n") + "\n" });
+
+    showStatusBar(jobId, `${action}: Creating archive`, 97);
+    const zip = ChatGPTZip.createZip(files);
+    downloadFile(
+      zip,
+      `ChatGPT-Export-${new Date().toISOString().slice(0, 10)}.zip`,
+      "application/zip",
+      jobId,
+      action
+    );
+    if (failed.length) {
+      alert(
+        `${failed.length} conversation(s) could not be exported. They are listed in index.md.`
+      );
+    }
+    return true;
+  }
+
+  // --- DATASET EXPORT ---
+  const DATASET_FORMATS = {
+    openai: {
+      label: "OpenAI fine-tuning (JSONL)",
+      extension: "jsonl",
+      mimeType: "application/jsonl",
+    },
+    sharegpt: {
+      label: "ShareGPT conversations (JSON)",
+      extension: "json",
+      mimeType: "application/json",
+    },
+    messages: {
+      label: "Messages array (JSON)",
+      extension: "json",
+      mimeType: "application/json",
+    },
+  };
+  const SHAREGPT_ROLES = { system: "system", user: "human", assistant: "gpt" };
+
+  /**
+   * Turns the `convertExport` turns into `{role, content}` training messages.
+   * Consecutive turns from the same role are merged, and images are left out
+   * because their download links expire.
+   * @param {Array<Object>} turns - `jsonData.messages` from convertExport.
+   * @param {Object} options
+   * @param {boolean} options.reasoning - Keep reasoning in `<think>` tags.
+   * @param {boolean} options.canvases - Keep canvas documents as code blocks.
+   * @param {boolean} options.citations - Keep reference links, else keep only their labels.
+   * @param {string} options.systemMessage - Prepended as a system message.
+   * @returns {Array<{role: string, content: string}>}
+   */
+  function buildDatasetMessages(turns, options) {
+    const messages = [];
+    if (options.systemMessage?.trim()) {
+      messages.push({ role: "system", content: options.systemMessage.trim() });
+    }
+    turns.forEach((turn) => {
+      const { reasoning = [], canvases = [], images = [] } = turn;
+      const turnMessages = turn.messages || [];
+      let role = "user";
+      if (reasoning.length || canvases.length || images.length) {
+        role = "assistant";
+      } else if (turnMessages.length > 0) {
+        role = turnMessages[0].role || "assistant";
+      }
+
+      const parts = [];
+      if (options.reasoning && reasoning.length) {
+        parts.push(
+          `<think>\n${reasoning
+            .map((r) =>
+              r.thoughts
+                .map((t) => `*${t.summary}*\n\n${t.content}`)
+                .join("\n\n")
+            )
+            .join("\n\n")}\n</think>`
+        );
+      }
+      turnMessages.forEach((m) => {
+        if (!options.citations) {
+          parts.push(m.text.replace(/\[([^\]]+)\]\[\d+\]/g, "$1"));
+          return;
+        }
+        const refs = m.references?.map((r) => `[${r.id}]: ${r.url}`).join("\n");
+        parts.push(m.text + (refs ? "\n\n" + refs : ""));
+      });
+      if (options.canvases) {
+        canvases.forEach((canvas) => {
+          if (!canvas.type) return;
+          const typeParts = canvas.type.split("/");
+          let type = typeParts[typeParts.length - 1];
+          if (type.includes("react")) type = "typescript";
+          parts.push(
+            `**${canvas.title}**\n\n\`\`\`${type}\n${canvas.content}\n\`\`\``
+          );
+        });
+      }
+
+      const content = parts.filter(Boolean).join("\n\n").trim();
+      if (!content) return;
+      const last = messages[messages.length - 1];
+      if (last && last.role === role) last.content += `\n\n${content}`;
+      else messages.push({ role, content });
+    });
+    return messages;
+  }
+
+  /**
+   * Shapes one conversation as a record of the chosen dataset format.
+   */
+  function formatDatasetRecord(format, { id, metaData, messages }) {
+    if (format === "openai") return { messages };
+    if (format === "sharegpt") {
+      return {
+        id,
+        conversations: messages.map((m) => ({
+          from: SHAREGPT_ROLES[m.role],
+          value: m.content,
+        })),
+      };
+    }
+    return { id, title: metaData.title, messages };
+  }
+
+  /**
+   * Exports conversations as a fine-tuning or evaluation dataset.
+   * Conversations without an assistant reply are skipped.
+   * @param {Array<string>|null} conversationIds - The chats to export, or null for the open chat.
+   * @param {Object} options - `format` plus the options of buildDatasetMessages.
+   * @returns {Promise<boolean>} Whether the dataset was downloaded.
+   */
+  async function exportDataset(conversationIds, options) {
+    const jobId = Date.now();
+    const action = "Dataset export";
+    const format = DATASET_FORMATS[options.format] ? options.format : "openai";
+    const ids = conversationIds?.length ? conversationIds : [null];
+    const records = [];
+    const skipped = [];
+    let title = "";
+    injectStyles();
+
+    for (let i = 0; i < ids.length; i++) {
+      if (canceledJobs.has(jobId)) return false;
+      showStatusBar(
+        jobId,
+        `${action}: Fetching ${i + 1} of ${ids.length}`,
+        Math.max(1, Math.floor((i / ids.length) * 95))
+      );
+      const id = ids[i] || ChatGPT.getConversationId();
+      try {
+        const { jsonData, metaData } =
+          (ids[i]
+            ? await ChatGPT.convertExport(ids[i], false, false, {
+                source: "api",
+              })
+            : await ChatGPT.convertExport()) || {};
+        if (!metaData) throw new Error("No data returned");
+        const messages = buildDatasetMessages(jsonData.messages, options);
+        if (!messages.some((m) => m.role === "assistant")) {
+          skipped.push(metaData.title || id);
+          continue;
+        }
+        title = metaData.title;
+        records.push(formatDatasetRecord(format, { id, metaData, messages }));
+      } catch (error) {
+        console.error(`❌ [ChatGPT Exporter] Failed to export ${id}:`, error);
+        skipped.push(id);
+      }
+    }
+    if (canceledJobs.has(jobId)) return false;
+    if (!records.length) {
+      showStatusBar(jobId, `${action}: Nothing to export`, 0);
+      alert(
+        "None of the selected conversations have a ChatGPT reply to export."
+      );
+      return false;
+    }
+
+    const { extension, mimeType } = DATASET_FORMATS[format];
+    const content =
+      format === "openai"
+        ? records.map((record) => JSON.stringify(record)).join("\n") + "\n"
+        : JSON.stringify(records, null, 2);
+    const fileName =
+      ids.length === 1
+        ? `ChatGPT-${ChatGPTZip.sanitizeFileName(title)}.${extension}`
+        : `ChatGPT-Dataset-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    downloadFile(content, fileName, mimeType, jobId, action);
+    if (skipped.length) {
+      alert(
+        `${skipped.length} conversation(s) were skipped because they could not be fetched or have no ChatGPT reply.`
+      );
+    }
+    return true;
+  }
+
   // --- UI AND INITIALIZATION ---
 
   /**
@@ -803,6 +1321,7 @@ window.ChatGPTExport = (() => {
         position: fixed;
         bottom: 20px;
         right: 20px;
+        z-index: 10000;
     }
     .export-status-bar {
       background: var(--main-surface-primary);
@@ -1081,6 +1600,23 @@ window.ChatGPTExport = (() => {
     #print-options-footer .btn:hover {
       background-color: var(--main-surface-tertiary);
     }
+
+    .print-option-select,
+    .print-option-textarea {
+      width: 100%;
+      background-color: var(--main-surface-secondary);
+      border: 1px solid var(--border-medium);
+      border-radius: 8px;
+      padding: 8px;
+      font-size: 0.875rem;
+      color: var(--text-primary);
+    }
+
+    .print-option-textarea {
+      min-height: 80px;
+      resize: vertical;
+      font-family: inherit;
+    }
     
   `;
 
@@ -1165,7 +1701,35 @@ window.ChatGPTExport = (() => {
             </div>
           </div>
           <div class="print-option-group" style="${
-            option === "Save Webpage" ? "" : "display: none;"
+            option === "Download PDF" ? "" : "display: none;"
+          }">
+            <label class="print-option-label">Page Layout</label>
+            <div class="print-option-description">
+              The same layout is used for every PDF, with page numbers and a bookmark for each turn.
+            </div>
+            <div class="print-checkbox-group">
+              <label class="print-checkbox-label">
+                <input type="checkbox" id="print-title-page" checked>
+                <div class="print-custom-checkbox"></div>
+                <div class="print-checkbox-content">
+                  <div class="print-checkbox-title">Title Page</div>
+                  <div class="print-checkbox-desc">Start with a page showing the title, link and dates.</div>
+                </div>
+              </label>
+              <label class="print-checkbox-label">
+                <input type="checkbox" id="print-page-letter">
+                <div class="print-custom-checkbox"></div>
+                <div class="print-checkbox-content">
+                  <div class="print-checkbox-title">US Letter</div>
+                  <div class="print-checkbox-desc">Use Letter paper instead of A4.</div>
+                </div>
+              </label>
+            </div>
+          </div>
+          <div class="print-option-group" style="${
+            option === "Save Webpage" || option === "Word Document"
+              ? ""
+              : "display: none;"
           }">
             <label class="print-option-label">Styles and Images</label>
             <div class="print-option-description">
@@ -1181,7 +1745,9 @@ window.ChatGPTExport = (() => {
                 </div>
               </label>
             </div>
-            <div class="print-checkbox-group">
+            <div class="print-checkbox-group" style="${
+              option === "Save Webpage" ? "" : "display: none;"
+            }">
               <label class="print-checkbox-label">
                 <input type="checkbox" id="print-save-styles" checked>
                 <div class="print-custom-checkbox"></div>
@@ -1260,18 +1826,152 @@ window.ChatGPTExport = (() => {
             .checked,
           saveImages: document.getElementById("print-save-images").checked,
           saveStyles: document.getElementById("print-save-styles").checked,
+          titlePage: document.getElementById("print-title-page").checked,
+          pageSize: document.getElementById("print-page-letter").checked
+            ? "letter"
+            : "a4",
         };
 
         closeDialog();
 
         // Call your existing print function with the collected options
-        exportOrPrintHTML(option, options);
+        if (option === "Word Document") exportDocx(options);
+        else exportOrPrintHTML(option, options);
       });
   }
 
   // Export the function for use in your existing code
   window.showPrintOptionsDialog = showPrintOptionsDialog;
 
+  /**
+   * Shows the dataset export options, using the print dialog's layout.
+   * @param {Array<string>|null} conversationIds - Chats to export, or null for the open chat.
+   */
+  function showDatasetOptionsDialog(conversationIds = null) {
+    injectPrintOptionsStyles();
+    document.getElementById("print-options-container")?.remove();
+
+    const checkbox = (id, title, desc, checked) => `
+              <label class="print-checkbox-label">
+                <input type="checkbox" id="${id}" ${checked ? "checked" : ""}>
+                <div class="print-custom-checkbox"></div>
+                <div class="print-checkbox-content">
+                  <div class="print-checkbox-title">${title}</div>
+                  <div class="print-checkbox-desc">${desc}</div>
+                </div>
+              </label>`;
+    const count = conversationIds?.length || 1;
+    const dialogHTML = `
+    <div id="print-options-container" class="ignore-this">
+      <div id="print-options-modal">
+        <div id="print-options-header">
+          <h2 id="print-options-title">Dataset Export Options</h2>
+          <button id="print-options-close-btn" aria-label="Close">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </div>
+
+        <div id="print-options-content">
+          <div class="print-option-group">
+            <label class="print-option-label" for="dataset-format">Format</label>
+            <div class="print-option-description">
+              ${count} conversation(s) will be written to one file, one record per conversation.
+            </div>
+            <select id="dataset-format" class="print-option-select">
+              ${Object.entries(DATASET_FORMATS)
+                .map(
+                  ([value, { label }]) =>
+                    `<option value="${value}">${label}</option>`
+                )
+                .join("")}
+            </select>
+          </div>
+          <div class="print-option-group">
+            <label class="print-option-label">Include Content</label>
+            <div class="print-option-description">
+              Choose what stays in each message. Images are never included.
+            </div>
+            <div class="print-checkbox-group">
+              ${checkbox(
+                "dataset-include-reasoning",
+                "Reasoning/Thinking",
+                "Keep reasoning summaries inside &lt;think&gt; tags.",
+                false
+              )}
+              ${checkbox(
+                "dataset-include-canvases",
+                "Canvas Documents",
+                "Append canvas documents as code blocks.",
+                true
+              )}
+              ${checkbox(
+                "dataset-include-citations",
+                "Citations",
+                "Keep reference links. When off, only the link text is kept.",
+                false
+              )}
+            </div>
+          </div>
+          <div class="print-option-group">
+            <label class="print-option-label" for="dataset-system-message">System Message</label>
+            <div class="print-option-description">
+              Optional. Added as the first message of every record.
+            </div>
+            <textarea id="dataset-system-message" class="print-option-textarea" placeholder="You are a helpful assistant."></textarea>
+          </div>
+        </div>
+
+        <div id="print-options-footer">
+          <button class="btn" id="print-options-cancel">Cancel</button>
+          <button class="btn" id="print-options-confirm">Export Dataset</button>
+        </div>
+      </div>
+    </div>
+  `;
+    document.body.insertAdjacentHTML("beforeend", dialogHTML);
+    const container = document.getElementById("print-options-container");
+    requestAnimationFrame(() => container.classList.add("visible"));
+
+    const handleEscape = (e) => {
+      if (e.key === "Escape") closeDialog();
+    };
+    const closeDialog = () => {
+      document.removeEventListener("keydown", handleEscape);
+      container.classList.remove("visible");
+      setTimeout(() => container.remove(), 200);
+    };
+    document.addEventListener("keydown", handleEscape);
+    document
+      .getElementById("print-options-close-btn")
+      .addEventListener("click", closeDialog);
+    document
+      .getElementById("print-options-cancel")
+      .addEventListener("click", closeDialog);
+    container.addEventListener("click", (e) => {
+      if (e.target === container) closeDialog();
+    });
+
+    document
+      .getElementById("print-options-confirm")
+      .addEventListener("click", () => {
+        const options = {
+          format: document.getElementById("dataset-format").value,
+          reasoning: document.getElementById("dataset-include-reasoning")
+            .checked,
+          canvases: document.getElementById("dataset-include-canvases").checked,
+          citations: document.getElementById("dataset-include-citations")
+            .checked,
+          systemMessage: document.getElementById("dataset-system-message")
+            .value,
+        };
+        closeDialog();
+        exportDataset(conversationIds, options);
+      });
+  }
+
   /**
    * Creates and injects the "Export" menu button(s) for desktop and mobile.
    */
@@ -1330,6 +2030,14 @@ window.ChatGPTExport = (() => {
       <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-code-icon lucide-code"><path d="m16 18 6-6-6-6"/><path d="m8 6-6 6 6 6"/></svg>
       <span>Save Webpage</span>
     </button>
+    <button class="export-menu-item" id="pdf-chat-item">
+      <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-file-text-icon lucide-file-text"><path d="M15 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7Z"/><path d="M14 2v4a2 2 0 0 0 2 2h4"/><path d="M10 9H8"/><path d="M16 13H8"/><path d="M16 17H8"/></svg>
+      <span>Download PDF</span>
+    </button>
+    <button class="export-menu-item" id="docx-chat-item">
+      <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-file-type-icon lucide-file-type"><path d="M15 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7Z"/><path d="M14 2v4a2 2 0 0 0 2 2h4"/><path d="M9 13v-1h6v1"/><path d="M12 12v6"/><path d="M11 18h2"/></svg>
+      <span>Word Document</span>
+    </button>
     <button class="export-menu-item" id="export-md-item">
       <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M15 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7Z" /><path d="M14 2v4a2 2 0 0 0 2 2h4" /></svg>
       <span>Markdown</span>
@@ -1342,6 +2050,18 @@ window.ChatGPTExport = (() => {
       <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-braces-icon lucide-braces"><path d="M8 3H7a2 2 0 0 0-2 2v5a2 2 0 0 1-2 2 2 2 0 0 1 2 2v5c0 1.1.9 2 2 2h1"/><path d="M16 21h1a2 2 0 0 0 2-2v-5c0-1.1.9-2 2-2a2 2 0 0 1-2-2V5a2 2 0 0 0-2-2h-1"/></svg>
       <span>Output JSON</span>
     </button>
+    <button class="export-menu-item" id="export-md-tree-item">
+      <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-git-branch-icon lucide-git-branch"><line x1="6" x2="6" y1="3" y2="15"/><circle cx="18" cy="6" r="3"/><circle cx="6" cy="18" r="3"/><path d="M18 9a9 9 0 0 1-9 9"/></svg>
+      <span>Markdown (All Branches)</span>
+    </button>
+    <button class="export-menu-item" id="export-json-tree-item">
+      <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-git-branch-icon lucide-git-branch"><line x1="6" x2="6" y1="3" y2="15"/><circle cx="18" cy="6" r="3"/><circle cx="6" cy="18" r="3"/><path d="M18 9a9 9 0 0 1-9 9"/></svg>
+      <span>JSON (All Branches)</span>
+    </button>
+    <button class="export-menu-item" id="export-dataset-item">
+      <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-database-icon lucide-database"><ellipse cx="12" cy="5" rx="9" ry="3"/><path d="M3 5V19A9 3 0 0 0 21 19V5"/><path d="M3 12A9 3 0 0 0 21 12"/></svg>
+      <span>Fine-tuning Dataset</span>
+    </button>
   </div>
 `;
 
@@ -1366,22 +2086,69 @@ window.ChatGPTExport = (() => {
           showPrintOptionsDialog("Save Webpage");
           dropdown.classList.remove("show");
         });
+      dropdown
+        .querySelector("#pdf-chat-item")
+        .addEventListener("click", () => {
+          showPrintOptionsDialog("Download PDF");
+          dropdown.classList.remove("show");
+        });
+      dropdown
+        .querySelector("#docx-chat-item")
+        .addEventListener("click", () => {
+          showPrintOptionsDialog("Word Document");
+          dropdown.classList.remove("show");
+        });
       dropdown
         .querySelector("#export-md-item")
+        .addEventListener("click", async () => {
+          await downloadMarkdown();
+          dropdown.classList.remove("show");
+        });
+      dropdown
+        .querySelector("#export-json-chat-item")
+        .addEventListener("click", async () => {
+          await downloadOutputJSON();
+          dropdown.classList.remove("show");
+        });
+      dropdown
+        .querySelector("#export-json-item")
+        .addEventListener("click", async () => {
+          const id = Date.now();
+          showStatusBar(id, "Download JSON: Fetching conversation data", 1, 60);
+          const { jsonAPI, metaData } = await ChatGPT.convertExport();
+          showStatusBar(id, "Processing Data", 60, 95);
+          if (jsonAPI) {
+            downloadFile(
+              JSON.stringify(jsonAPI, null, 2),
+              `ChatGPT-Input-${metaData.title}.json`,
+              "application/json",
+              id,
+              "Download JSON"
+            );
+          }
+          dropdown.classList.remove("show");
+        });
+      dropdown
+        .querySelector("#export-md-tree-item")
         .addEventListener("click", async () => {
           const id = Date.now();
           showStatusBar(
             id,
-            "Download markdown: Fetching conversation data",
+            "Download markdown: Fetching conversation tree",
             1,
             60
           );
-          const { markdown, metaData } = await ChatGPT.convertExport();
+          const { markdown, metaData } = await ChatGPT.convertExport(
+            null,
+            true,
+            false,
+            { mode: "tree" }
+          );
           showStatusBar(id, "Processing Data", 60, 95);
           if (markdown) {
             downloadFile(
               markdown,
-              `ChatGPT-${metaData.title}.md`,
+              `ChatGPT-Branches-${metaData.title}.md`,
               "text/markdown",
               id,
               "Download markdown"
@@ -1390,16 +2157,21 @@ window.ChatGPTExport = (() => {
           dropdown.classList.remove("show");
         });
       dropdown
-        .querySelector("#export-json-chat-item")
+        .querySelector("#export-json-tree-item")
         .addEventListener("click", async () => {
           const id = Date.now();
-          showStatusBar(id, "Download JSON: Fetching conversation data", 1, 60);
-          const { jsonData, metaData } = await ChatGPT.convertExport();
+          showStatusBar(id, "Download JSON: Fetching conversation tree", 1, 60);
+          const { jsonData, metaData } = await ChatGPT.convertExport(
+            null,
+            true,
+            false,
+            { mode: "tree" }
+          );
           showStatusBar(id, "Processing Data", 60, 95);
           if (jsonData) {
             downloadFile(
               JSON.stringify(jsonData, null, 2),
-              `ChatGPT-Output-${metaData.title}.json`,
+              `ChatGPT-Branches-${metaData.title}.json`,
               "application/json",
               id,
               "Download JSON"
@@ -1408,21 +2180,9 @@ window.ChatGPTExport = (() => {
           dropdown.classList.remove("show");
         });
       dropdown
-        .querySelector("#export-json-item")
-        .addEventListener("click", async () => {
-          const id = Date.now();
-          showStatusBar(id, "Download JSON: Fetching conversation data", 1, 60);
-          const { jsonAPI, metaData } = await ChatGPT.convertExport();
-          showStatusBar(id, "Processing Data", 60, 95);
-          if (jsonAPI) {
-            downloadFile(
-              JSON.stringify(jsonAPI, null, 2),
-              `ChatGPT-Input-${metaData.title}.json`,
-              "application/json",
-              id,
-              "Download JSON"
-            );
-          }
+        .querySelector("#export-dataset-item")
+        .addEventListener("click", () => {
+          showDatasetOptionsDialog();
           dropdown.classList.remove("show");
         });
 
@@ -1502,19 +2262,88 @@ window.ChatGPTExport = (() => {
     }
   }
 
-  // Override Ctrl+P to use custom print function
-  document.addEventListener("keydown", (event) => {
-    if ((event.ctrlKey || event.metaKey) && event.key === "p") {
-      event.preventDefault();
-      showPrintOptionsDialog("Print Chat");
+  /**
+   * Downloads the current conversation as Markdown.
+   */
+  async function downloadMarkdown() {
+    const id = Date.now();
+    showStatusBar(id, "Download markdown: Fetching conversation data", 1, 60);
+    const { markdown, metaData } = await ChatGPT.convertExport();
+    showStatusBar(id, "Processing Data", 60, 95);
+    if (markdown) {
+      downloadFile(
+        markdown,
+        `ChatGPT-${metaData.title}.md`,
+        "text/markdown",
+        id,
+        "Download markdown"
+      );
+    }
+  }
+
+  /**
+   * Downloads the current conversation's processed (output) JSON.
+   */
+  async function downloadOutputJSON() {
+    const id = Date.now();
+    showStatusBar(id, "Download JSON: Fetching conversation data", 1, 60);
+    const { jsonData, metaData } = await ChatGPT.convertExport();
+    showStatusBar(id, "Processing Data", 60, 95);
+    if (jsonData) {
+      downloadFile(
+        JSON.stringify(jsonData, null, 2),
+        `ChatGPT-Output-${metaData.title}.json`,
+        "application/json",
+        id,
+        "Download JSON"
+      );
     }
+  }
+
+  // Override Ctrl+P to use custom print function
+  ChatGPTShortcuts.register({
+    id: "export.print",
+    name: "Print",
+    binding: "Mod+P",
+    handler: () => showPrintOptionsDialog("Print Chat"),
   });
   // Override Ctrl+S to use custom html function
-  document.addEventListener("keydown", (event) => {
-    if ((event.ctrlKey || event.metaKey) && event.key === "s") {
-      event.preventDefault();
-      showPrintOptionsDialog("Save Webpage");
-    }
+  ChatGPTShortcuts.register({
+    id: "export.saveWebpage",
+    name: "Save webpage",
+    keywords: "export html",
+    binding: "Mod+S",
+    handler: () => showPrintOptionsDialog("Save Webpage"),
+  });
+  // Palette-only commands
+  ChatGPTShortcuts.register({
+    id: "export.pdf",
+    name: "Download PDF",
+    handler: () => showPrintOptionsDialog("Download PDF"),
+  });
+  ChatGPTShortcuts.register({
+    id: "export.docx",
+    name: "Download Word document",
+    keywords: "docx",
+    handler: () => showPrintOptionsDialog("Word Document"),
+  });
+  ChatGPTShortcuts.register({
+    id: "export.markdown",
+    name: "Export Markdown",
+    keywords: "md download",
+    handler: downloadMarkdown,
+  });
+  ChatGPTShortcuts.register({
+    id: "export.json",
+    name: "Export JSON",
+    keywords: "download",
+    handler: downloadOutputJSON,
+  });
+  ChatGPTShortcuts.register({
+    id: "export.dataset",
+    name: "Export fine-tuning dataset",
+    keywords: "jsonl training",
+    handler: () => showDatasetOptionsDialog(),
   });
 
   // --- SCRIPT INITIALIZATION AND NAVIGATION HANDLING ---
@@ -1544,6 +2373,9 @@ window.ChatGPTExport = (() => {
   console.log("✅ [ChatGPT Exporter] Script loaded successfully.");
   return {
     exportOrPrintHTML,
+    exportConversations,
+    exportDataset,
+    showDatasetOptionsDialog,
   };
 })();
 
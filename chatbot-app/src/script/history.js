@@ -1,14 +1,24 @@
 window.ChatGPThistory = (() => {
+  const { escapeHTML } = ChatGPTUtils;
   let allConversations = []; // This now holds only the conversations for the *current* view
+  let notesById = new Map(); // Conversation ID -> note text, for the list indicator
   let currentView = "history";
   let uiInjected = false; // --- IndexedDB Cache Manager --- // This object handles all interactions with the local database.
 
   const cacheManager = {
     DB_NAME: "ConversationManagerDB",
-    DB_VERSION: 3, // Incremented version to force schema upgrade for all users
+    DB_VERSION: 8, // Incremented version to force schema upgrade for all users
     CONVERSATION_STORE: "conversations",
     METADATA_STORE: "metadata",
+    SEARCH_STORE: "search_index",
+    ACTION_LOG_STORE: "action_log",
+    BOOKMARK_STORE: "bookmarks",
+    HIGHLIGHT_STORE: "highlights",
+    NOTES_STORE: "notes",
     CACHE_EXPIRATION_MS: 60 * 1000, // 1 minute
+    RECONCILE_INTERVAL_MS: 24 * 60 * 60 * 1000, // Full pass to drop deleted chats
+    LOCK_TTL_MS: 5 * 60 * 1000, // A tab that closes mid-task frees its locks
+    instanceId: crypto.randomUUID(), // Owner of the locks this tab takes
     db: null,
     /**
      * Opens and initializes the IndexedDB database.
@@ -53,6 +63,59 @@ window.ChatGPThistory = (() => {
             dbInstance.createObjectStore(this.METADATA_STORE, {
               keyPath: "key",
             });
+          } // --- Search Index Store Setup ---
+
+          if (!dbInstance.objectStoreNames.contains(this.SEARCH_STORE)) {
+            const searchStore = dbInstance.createObjectStore(
+              this.SEARCH_STORE,
+              { keyPath: "id" }
+            );
+            searchStore.createIndex("terms", "terms", {
+              unique: false,
+              multiEntry: true,
+            });
+            searchStore.createIndex("update_time", "update_time", {
+              unique: false,
+            });
+            console.log("[History Manager] Created search index store.");
+          } // --- Action Log Store Setup ---
+
+          const actionLogStore = dbInstance.objectStoreNames.contains(
+            this.ACTION_LOG_STORE
+          )
+            ? transaction.objectStore(this.ACTION_LOG_STORE)
+            : dbInstance.createObjectStore(this.ACTION_LOG_STORE, {
+                keyPath: "id",
+              });
+          // IDs are random, so the log is ordered by this index
+          if (!actionLogStore.indexNames.contains("createdAt")) {
+            actionLogStore.createIndex("createdAt", "createdAt", {
+              unique: false,
+            });
+          } // --- Bookmark and Highlight Stores Setup ---
+
+          if (!dbInstance.objectStoreNames.contains(this.BOOKMARK_STORE)) {
+            dbInstance
+              .createObjectStore(this.BOOKMARK_STORE, { keyPath: "id" })
+              .createIndex("conversationId", "conversationId", {
+                unique: false,
+              });
+          }
+          if (!dbInstance.objectStoreNames.contains(this.HIGHLIGHT_STORE)) {
+            dbInstance
+              .createObjectStore(this.HIGHLIGHT_STORE, {
+                keyPath: "id",
+                autoIncrement: true,
+              })
+              .createIndex("conversationId", "conversationId", {
+                unique: false,
+              });
+          } // --- Notes Store Setup ---
+
+          if (!dbInstance.objectStoreNames.contains(this.NOTES_STORE)) {
+            dbInstance.createObjectStore(this.NOTES_STORE, {
+              keyPath: "conversationId",
+            });
           }
         };
       });
@@ -147,6 +210,21 @@ window.ChatGPThistory = (() => {
       const store = transaction.objectStore(this.CONVERSATION_STORE);
       ids.forEach((id) => store.delete(id));
     },
+    /**
+     * Retrieves the IDs of every cached conversation, archived or not.
+     * @returns {Promise<Array<string>>}
+     */
+    async getAllConversationIds() {
+      const db = await this.openDB();
+      return new Promise((resolve) => {
+        const transaction = db.transaction(this.CONVERSATION_STORE, "readonly");
+        const request = transaction
+          .objectStore(this.CONVERSATION_STORE)
+          .getAllKeys();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve([]);
+      });
+    },
     /**
      * Clears all conversations from the database. Used during a full sync.
      */
@@ -155,6 +233,315 @@ window.ChatGPThistory = (() => {
       const transaction = db.transaction(this.CONVERSATION_STORE, "readwrite");
       transaction.objectStore(this.CONVERSATION_STORE).clear();
     },
+    /**
+     * Maps each indexed conversation ID to the update_time it was indexed at,
+     * without loading the indexed text.
+     * @returns {Promise<Map<string, string>>}
+     */
+    async getSearchStamps() {
+      const db = await this.openDB();
+      return new Promise((resolve) => {
+        const stamps = new Map();
+        const transaction = db.transaction(this.SEARCH_STORE, "readonly");
+        const index = transaction
+          .objectStore(this.SEARCH_STORE)
+          .index("update_time");
+        const request = index.openKeyCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return resolve(stamps);
+          stamps.set(cursor.primaryKey, cursor.key);
+          cursor.continue();
+        };
+        request.onerror = () => resolve(stamps);
+      });
+    },
+    /**
+     * Adds or replaces the search document of a conversation.
+     * @param {object} doc - { id, title, update_time, turns, terms }
+     */
+    async putSearchDoc(doc) {
+      const db = await this.openDB();
+      const transaction = db.transaction(this.SEARCH_STORE, "readwrite");
+      transaction.objectStore(this.SEARCH_STORE).put(doc);
+      return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+    },
+    /**
+     * Retrieves the search documents for the given conversation IDs.
+     * @param {Array<string>} ids
+     * @returns {Promise<Array<object>>}
+     */
+    async getSearchDocs(ids) {
+      const db = await this.openDB();
+      const transaction = db.transaction(this.SEARCH_STORE, "readonly");
+      const store = transaction.objectStore(this.SEARCH_STORE);
+      const docs = await Promise.all(
+        ids.map(
+          (id) =>
+            new Promise((resolve) => {
+              const request = store.get(id);
+              request.onsuccess = () => resolve(request.result);
+              request.onerror = () => resolve(null);
+            })
+        )
+      );
+      return docs.filter(Boolean);
+    },
+    /**
+     * Finds conversations containing a word that starts with `term`.
+     * @param {string} term - A lowercase search term.
+     * @returns {Promise<Set<string>>} Matching conversation IDs.
+     */
+    async findSearchIds(term) {
+      const db = await this.openDB();
+      return new Promise((resolve) => {
+        const transaction = db.transaction(this.SEARCH_STORE, "readonly");
+        const index = transaction.objectStore(this.SEARCH_STORE).index("terms");
+        const request = index.getAllKeys(
+          IDBKeyRange.bound(term, term + "\uffff")
+        );
+        request.onsuccess = () => resolve(new Set(request.result));
+        request.onerror = () => resolve(new Set());
+      });
+    },
+    /**
+     * Deletes the search documents of the given conversations.
+     * @param {Array<string>} ids
+     */
+    async deleteSearchDocs(ids) {
+      const db = await this.openDB();
+      const transaction = db.transaction(this.SEARCH_STORE, "readwrite");
+      const store = transaction.objectStore(this.SEARCH_STORE);
+      ids.forEach((id) => store.delete(id));
+    },
+    /**
+     * Adds or updates an entry of the bulk action log.
+     * @param {object} entry - { id, action, ids, results, status, createdAt }
+     */
+    async putActionLog(entry) {
+      const db = await this.openDB();
+      const transaction = db.transaction(this.ACTION_LOG_STORE, "readwrite");
+      transaction.objectStore(this.ACTION_LOG_STORE).put(entry);
+      return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+    },
+    /**
+     * Retrieves one entry of the bulk action log.
+     * @param {string|number} id
+     * @returns {Promise<object|null>}
+     */
+    async getActionLog(id) {
+      const db = await this.openDB();
+      return new Promise((resolve) => {
+        const transaction = db.transaction(this.ACTION_LOG_STORE, "readonly");
+        const request = transaction.objectStore(this.ACTION_LOG_STORE).get(id);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => resolve(null);
+      });
+    },
+    /**
+     * Retrieves the most recent entries of the bulk action log.
+     * @param {number} limit
+     * @returns {Promise<Array<object>>} Newest first.
+     */
+    async getActionLogs(limit = 20) {
+      const db = await this.openDB();
+      return new Promise((resolve) => {
+        const transaction = db.transaction(this.ACTION_LOG_STORE, "readonly");
+        const request = transaction
+          .objectStore(this.ACTION_LOG_STORE)
+          .index("createdAt")
+          .openCursor(null, "prev");
+        const entries = [];
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor || entries.length >= limit) return resolve(entries);
+          entries.push(cursor.value);
+          cursor.continue();
+        };
+        request.onerror = () => resolve(entries);
+      });
+    },
+    /**
+     * Deletes all but the newest `keep` entries of the bulk action log.
+     * @param {number} keep
+     */
+    async pruneActionLogs(keep = 100) {
+      const db = await this.openDB();
+      const transaction = db.transaction(this.ACTION_LOG_STORE, "readwrite");
+      const request = transaction
+        .objectStore(this.ACTION_LOG_STORE)
+        .index("createdAt")
+        .openCursor(null, "prev");
+      let seen = 0;
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        if (++seen > keep) cursor.delete();
+        cursor.continue();
+      };
+      return new Promise((resolve) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => resolve();
+      });
+    },
+    /**
+     * Retrieves bookmarks or highlights, optionally of one conversation.
+     * @param {string} storeName - BOOKMARK_STORE or HIGHLIGHT_STORE.
+     * @param {string} [conversationId] - All conversations if omitted.
+     * @returns {Promise<Array<object>>}
+     */
+    async getMarks(storeName, conversationId = null) {
+      const db = await this.openDB();
+      return new Promise((resolve) => {
+        const store = db
+          .transaction(storeName, "readonly")
+          .objectStore(storeName);
+        const request = conversationId
+          ? store.index("conversationId").getAll(conversationId)
+          : store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve([]);
+      });
+    },
+    /**
+     * Adds or updates a bookmark or highlight.
+     * @param {string} storeName - BOOKMARK_STORE or HIGHLIGHT_STORE.
+     * @param {object} mark - Bookmarks: { id: "<conversationId>:<turnId>",
+     * conversationId, turnId, messageId, snippet, createdAt }. Highlights:
+     * { conversationId, turnId, messageId, text, start, end, note, createdAt }.
+     * @returns {Promise<string|number>} The key of the stored mark.
+     */
+    async putMark(storeName, mark) {
+      const db = await this.openDB();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, "readwrite");
+        const request = transaction.objectStore(storeName).put(mark);
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+      });
+    },
+    /**
+     * Deletes a bookmark or highlight by its key.
+     * @param {string} storeName - BOOKMARK_STORE or HIGHLIGHT_STORE.
+     * @param {string|number} id
+     */
+    async deleteMark(storeName, id) {
+      const db = await this.openDB();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, "readwrite");
+        transaction.objectStore(storeName).delete(id);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+    },
+    /**
+     * Retrieves the note of a conversation.
+     * @param {string} conversationId
+     * @returns {Promise<object|null>} { conversationId, text, updatedAt }
+     */
+    async getNote(conversationId) {
+      const db = await this.openDB();
+      return new Promise((resolve) => {
+        const request = db
+          .transaction(this.NOTES_STORE, "readonly")
+          .objectStore(this.NOTES_STORE)
+          .get(conversationId);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => resolve(null);
+      });
+    },
+    /**
+     * Retrieves every conversation note.
+     * @returns {Promise<Array<object>>}
+     */
+    async getAllNotes() {
+      const db = await this.openDB();
+      return new Promise((resolve) => {
+        const request = db
+          .transaction(this.NOTES_STORE, "readonly")
+          .objectStore(this.NOTES_STORE)
+          .getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve([]);
+      });
+    },
+    /**
+     * Saves a conversation note. An empty note is deleted instead.
+     * @param {string} conversationId
+     * @param {string} text - Markdown.
+     */
+    async putNote(conversationId, text) {
+      const db = await this.openDB();
+      const transaction = db.transaction(this.NOTES_STORE, "readwrite");
+      const store = transaction.objectStore(this.NOTES_STORE);
+      if (text.trim()) {
+        store.put({ conversationId, text, updatedAt: Date.now() });
+      } else {
+        store.delete(conversationId);
+      }
+      return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+    },
+    /**
+     * Takes a lock shared by every tab and frame, so only one of them runs a
+     * task. The read and write share one transaction, which IndexedDB runs
+     * alone, so two tabs can't both take it.
+     * @param {string} name - Metadata key of the lock.
+     * @returns {Promise<boolean>} Whether this tab now holds the lock.
+     */
+    async acquireLock(name) {
+      const db = await this.openDB();
+      return new Promise((resolve) => {
+        const transaction = db.transaction(this.METADATA_STORE, "readwrite");
+        const store = transaction.objectStore(this.METADATA_STORE);
+        let acquired = false;
+        const request = store.get(name);
+        request.onsuccess = () => {
+          const lock = request.result?.value;
+          if (
+            lock &&
+            lock.owner !== this.instanceId &&
+            Date.now() - lock.takenAt < this.LOCK_TTL_MS
+          ) {
+            return;
+          }
+          store.put({
+            key: name,
+            value: { owner: this.instanceId, takenAt: Date.now() },
+          });
+          acquired = true;
+        };
+        transaction.oncomplete = () => resolve(acquired);
+        transaction.onerror = () => resolve(false);
+      });
+    },
+    /**
+     * Releases a lock taken with `acquireLock`, if this tab still holds it.
+     * @param {string} name
+     */
+    async releaseLock(name) {
+      const db = await this.openDB();
+      return new Promise((resolve) => {
+        const transaction = db.transaction(this.METADATA_STORE, "readwrite");
+        const store = transaction.objectStore(this.METADATA_STORE);
+        const request = store.get(name);
+        request.onsuccess = () => {
+          if (request.result?.value?.owner === this.instanceId) {
+            store.delete(name);
+          }
+        };
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => resolve();
+      });
+    },
   }; // --- End of Cache Manager ---
 
   let is_fetching = false;
@@ -246,10 +633,27 @@ window.ChatGPThistory = (() => {
 
       console.log(
         `[History Manager] Fetched a total of ${allItems.length} conversations. Updating cache.`
-      ); // Perform a clean sync: clear old data, add new data, and set the timestamp
+      ); // A full sync reconciles: anything cached but no longer on the server was deleted
 
       if (!hasSkip) {
-        if (fullLoad === 999) await cacheManager.clearConversations();
+        if (fullLoad === 999) {
+          const serverIds = new Set(allItems.map((item) => item.id));
+          const staleIds = (
+            await cacheManager.getAllConversationIds()
+          ).filter((id) => !serverIds.has(id));
+          if (staleIds.length > 0) {
+            await cacheManager.deleteConversations(staleIds);
+            await cacheManager.deleteSearchDocs(staleIds);
+            console.log(
+              `[History Manager] Removed ${staleIds.length} deleted conversations from cache.`
+            );
+          }
+          await cacheManager.setMetadata(
+            "syncCursor",
+            getNewestUpdateTime(allItems)
+          );
+          await cacheManager.setMetadata("lastReconcileTimestamp", Date.now());
+        }
         if (fullLoad > 0)
           await cacheManager.setMetadata("lastSyncTimestamp", Date.now()); // Refresh the current view with the newly synced data
       }
@@ -266,6 +670,136 @@ window.ChatGPThistory = (() => {
     } finally {
       hideLoader();
     }
+    // Let enabled rules label and archive the freshly cached conversations
+    if (status) window.ChatGPTRules?.runEnabledRules();
+    return status;
+  }
+  /**
+   * Returns the newest update_time (in ms) among the given conversations.
+   * @param {Array<object>} items
+   * @param {number} since - Value to return if nothing is newer.
+   * @returns {number}
+   */
+  function getNewestUpdateTime(items, since = 0) {
+    return items.reduce(
+      (newest, item) =>
+        Math.max(newest, new Date(item.update_time).getTime() || 0),
+      since
+    );
+  }
+
+  /**
+   * Fetches only the conversations updated since the stored `syncCursor`.
+   * Pages are ordered by update time, so paging stops at the first item that
+   * is not newer than the cursor. Deletions can't be seen this way, so a full
+   * reconcile pass runs when `RECONCILE_INTERVAL_MS` has passed, or when
+   * there is no cursor yet. Only the tab holding the reconcile lock runs it;
+   * the others skip it and do a delta sync if there is a cursor.
+   * @returns {Promise<boolean>} True when successful.
+   */
+  async function syncConversationDelta() {
+    const cursor = await cacheManager.getMetadata("syncCursor");
+    const lastReconcile = await cacheManager.getMetadata(
+      "lastReconcileTimestamp"
+    );
+    if (
+      !cursor ||
+      !lastReconcile ||
+      Date.now() - lastReconcile > cacheManager.RECONCILE_INTERVAL_MS
+    ) {
+      if (await cacheManager.acquireLock("reconcileLock")) {
+        try {
+          return await syncAllConversationsWithServer(999);
+        } finally {
+          await cacheManager.releaseLock("reconcileLock");
+        }
+      }
+      console.log(
+        "[History Manager] Another tab is reconciling the cache. Skipping full sync."
+      );
+      if (!cursor) return false;
+    }
+    if (is_fetching) {
+      console.log(
+        `[History Manager] Already fetching data elsewhere. Aborting delta sync.`
+      );
+      return false;
+    }
+
+    let status;
+    showLoader("Checking for updated conversations...");
+    const token = await ChatGPT.getAccessToken();
+    if (!token) {
+      hideLoader();
+      return false;
+    }
+    const isNewer = (item) => new Date(item.update_time).getTime() > cursor;
+
+    try {
+      is_fetching = true;
+      const changedItems = [];
+      // Chats inside projects (gizmos) are not part of the main listing
+      const response = await fetch(
+        "https://chatgpt.com/backend-api/gizmos/snorlax/sidebar?conversations_per_gizmo=20",
+        { headers: { authorization: `Bearer ${token}` } }
+      );
+      if (!response.ok) {
+        throw new Error(`API request failed with status ${response.status}`);
+      }
+      const data = await response.json();
+      (data.items || []).forEach(({ conversations }) => {
+        changedItems.push(...(conversations?.items || []).filter(isNewer));
+      });
+
+      for (const isArchived of [false, true]) {
+        let offset = 0;
+        let hasMore = true;
+        while (hasMore) {
+          const response = await fetch(
+            `https://chatgpt.com/backend-api/conversations?offset=${offset}&limit=100&order=updated&is_archived=${isArchived}`,
+            { headers: { authorization: `Bearer ${token}` } }
+          );
+          if (!response.ok) {
+            throw new Error(
+              `API request failed with status ${response.status}`
+            );
+          }
+          const data = await response.json();
+          const items = data.items || [];
+          const newer = items.filter(isNewer);
+          changedItems.push(...newer);
+
+          offset += items.length;
+          // Stop once a page reaches conversations we already have
+          hasMore =
+            newer.length === items.length &&
+            items.length > 0 &&
+            offset < data.total;
+        }
+      }
+
+      console.log(
+        `[History Manager] Delta sync found ${changedItems.length} updated conversations.`
+      );
+      if (changedItems.length > 0) {
+        await cacheManager.bulkAddConversations(changedItems);
+      }
+      await cacheManager.setMetadata(
+        "syncCursor",
+        getNewestUpdateTime(changedItems, cursor)
+      );
+      await cacheManager.setMetadata("lastSyncTimestamp", Date.now());
+      await loadConversationsForView(currentView);
+      status = true;
+    } catch (error) {
+      status = false;
+      console.error("❌ [History Manager] Delta sync failed:", error);
+    } finally {
+      is_fetching = false;
+      hideLoader();
+    }
+    // Updated conversations may now match a rule too
+    if (status) window.ChatGPTRules?.runEnabledRules();
     return status;
   }
   /**
@@ -334,7 +868,7 @@ window.ChatGPThistory = (() => {
         #chm-footer > div { display: flex; gap: 12px; }
         #chm-loader { position: absolute; inset: 0; background: transparent; display: flex; flex-direction: column; align-items: center; justify-content: center; gap: 8px; color: var(--text-primary); }
         #chm-loader div { width: 24px; height: 24px; border: 4px solid var(--border-light); border-top-color: var(--text-primary); border-radius: 50%; animation: spin 1s linear infinite; }
-        #chm-time-filter { background-color: var(--main-surface-secondary); border: 1px solid var(--border-medium); border-radius: 8px; padding: 8px; font-size: 0.875rem; color: var(--text-primary); }
+        #chm-time-filter, #chm-export-format, .chm-label-filter { background-color: var(--main-surface-secondary); border: 1px solid var(--border-medium); border-radius: 8px; padding: 8px; font-size: 0.875rem; color: var(--text-primary); }
         @keyframes spin { to { transform: rotate(360deg); } }
         .chm-checkbox-label { display: flex; align-items: center; cursor: pointer; user-select: none; gap: 8px; }
         .chm-checkbox-label input[type="checkbox"] { position: absolute; opacity: 0; height: 0; width: 0; }
@@ -343,6 +877,23 @@ window.ChatGPThistory = (() => {
         .chm-checkbox-label input[type="checkbox"]:checked + .chm-custom-checkbox { background-color: var(--accent-primary, #10a37f); border-color: var(--accent-primary, #10a37f); }
         .chm-custom-checkbox::after { content: ''; position: absolute; display: none; left: 6px; top: 2px; width: 4px; height: 9px; border: solid white; border-width: 0 2px 2px 0; transform: rotate(45deg); }
         .chm-checkbox-label input[type="checkbox"]:checked + .chm-custom-checkbox::after { display: block; }
+        #chm-search-input { flex-grow: 1; min-width: 0; background-color: var(--main-surface-secondary); border: 1px solid var(--border-medium); border-radius: 8px; padding: 8px 12px; font-size: 0.875rem; color: var(--text-primary); }
+        #searchView .chm-action-bar-group:first-child { flex-grow: 1; }
+        #chm-search-status { font-size: 0.8rem; color: var(--text-tertiary); white-space: nowrap; }
+        .chm-search-result { align-items: flex-start; }
+        .chm-search-result .chm-search-body { flex-grow: 1; min-width: 0; margin: 0 12px 0 0; }
+        .chm-search-result .title { display: block; margin: 0; font-weight: 500; }
+        .chm-search-snippet { margin-top: 4px; font-size: 0.8rem; color: var(--text-secondary); display: -webkit-box; -webkit-line-clamp: 3; -webkit-box-orient: vertical; overflow: hidden; }
+        .chm-search-snippet mark, .chm-search-result .title mark { background-color: var(--accent-primary, #10a37f); color: #fff; border-radius: 3px; padding: 0 2px; }
+        #chm-toast-container { position: fixed; bottom: 20px; left: 50%; transform: translateX(-50%); z-index: 10001; display: flex; flex-direction: column; gap: 8px; }
+        .chm-toast { position: relative; display: flex; align-items: center; gap: 16px; padding: 12px 16px; border-radius: 12px; overflow: hidden; background-color: var(--main-surface-primary, #fff); color: var(--text-primary); border: 1px solid var(--border-medium); box-shadow: 0 8px 24px rgba(0,0,0,0.15); font-size: 0.875rem; }
+        .chm-toast-progress { position: absolute; left: 0; bottom: 0; height: 3px; width: 100%; background-color: var(--accent-primary, #10a37f); animation-name: chm-countdown; animation-timing-function: linear; animation-fill-mode: forwards; }
+        @keyframes chm-countdown { to { width: 0; } }
+        #activityList .chm-btn, #bookmarksList .chm-btn { margin-right: 12px; padding: 4px 12px; }
+        #activityList .title .chm-search-snippet { display: block; }
+        .chm-note-indicator { margin-left: 6px; font-size: 0.8rem; cursor: help; }
+        .chm-label-pill { display: inline-block; margin-left: 6px; padding: 0 6px; border-radius: 999px; font-size: 0.7rem; color: white; vertical-align: middle; }
+        .chm-badge { display: inline-block; margin-left: 8px; padding: 0 6px; border-radius: 6px; font-size: 0.7rem; font-weight: 400; color: var(--text-tertiary); border: 1px solid var(--border-medium); }
     `;
 
     const styleSheet = document.createElement("style");
@@ -358,6 +909,9 @@ window.ChatGPThistory = (() => {
         <div id="chm-tabs">
           <button id="historyTab" class="active">History</button>
           <button id="archivedTab">Archived</button>
+          <button id="searchTab">Search</button>
+          <button id="activityTab">Activity</button>
+          <button id="bookmarksTab">Bookmarks</button>
         </div>
         <div id="chm-content">
           <div id="historyView">
@@ -377,10 +931,12 @@ window.ChatGPThistory = (() => {
                   <option value="30d">Last 30 days</option>
                   <option value="all" selected>All time</option>
                 </select>
+                <select class="chm-label-filter" title="Filter by label" style="display: none;"></select>
               </div>
               <div class="chm-action-bar-group">
                 <span id="chm-last-updated" class="hidden md:block" style="font-size: 0.8rem; color: var(--text-tertiary); margin-right: 12px;"></span>
-                <button id="chm-refresh-btn" class="chm-btn action-secondary btn flex gap-1.5">
+                <button id="chm-rules-btn" class="chm-btn action-secondary" title="Label and archive conversations automatically">Rules</button>
+                <button id="chm-refresh-btn" class="chm-btn action-secondary btn flex gap-1.5" title="Shift+click for a full sync">
                 <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-refresh-cw-icon lucide-refresh-cw"><path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8"/><path d="M21 3v5h-5"/><path d="M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16"/><path d="M8 16H3v5"/></svg>
                 <span class="hidden md:block">Refresh</span>
                 </button>
@@ -396,12 +952,42 @@ window.ChatGPThistory = (() => {
                   <span class="chm-custom-checkbox"></span>
                   <span>Select All</span>
                 </label>
+                <select class="chm-label-filter" title="Filter by label" style="display: none;"></select>
               </div>
             </div>
             <div id="archivedList"></div>
           </div>
+          <div id="searchView" style="display: none;">
+            <div class="chm-action-bar">
+              <div class="chm-action-bar-group">
+                <input type="search" id="chm-search-input" placeholder="Search the content of your conversations..." autocomplete="off">
+              </div>
+              <div class="chm-action-bar-group">
+                <span id="chm-search-status"></span>
+              </div>
+            </div>
+            <div id="searchList"></div>
+          </div>
+          <div id="activityView" style="display: none;">
+            <div id="activityList"></div>
+          </div>
+          <div id="bookmarksView" style="display: none;">
+            <div id="bookmarksList"></div>
+          </div>
         </div>
         <div id="chm-footer">
+          <div id="export-actions">
+            <select id="chm-export-format" title="Export format">
+              <option value="markdown" selected>Markdown</option>
+              <option value="json">JSON</option>
+              <option value="both">Markdown + JSON</option>
+              <option value="dataset">Fine-tuning dataset</option>
+            </select>
+            <button id="exportSelectedBtn" class="chm-btn action-secondary">Export</button>
+          </div>
+          <div id="label-actions" style="display: none;">
+            <button id="labelSelectedBtn" class="chm-btn action-secondary">Label</button>
+          </div>
           <div id="history-actions">
             <button id="archiveSelectedBtn" class="chm-btn action-secondary">Archive</button>
             <button id="deleteSelectedBtn" class="chm-btn action-delete">Delete</button>
@@ -422,6 +1008,7 @@ window.ChatGPThistory = (() => {
     container.style.display = "none";
     uiInjected = true;
     addEventListeners();
+    refreshLabels();
   }
   /**
    * Adds event listeners to the UI elements.
@@ -441,6 +1028,57 @@ window.ChatGPThistory = (() => {
     document
       .getElementById("archivedTab")
       .addEventListener("click", () => switchView("archived"));
+    document
+      .getElementById("searchTab")
+      .addEventListener("click", () => switchView("search"));
+    document
+      .getElementById("activityTab")
+      .addEventListener("click", () => switchView("activity"));
+    document
+      .getElementById("bookmarksTab")
+      .addEventListener("click", () => switchView("bookmarks"));
+    document
+      .getElementById("bookmarksList")
+      .addEventListener("click", async (e) => {
+        const button = e.target.closest("[data-mark-remove]");
+        if (!button) return;
+        const item = button.closest("[data-mark-id]");
+        const store = item.getAttribute("data-mark-store");
+        const id = item.getAttribute("data-mark-id");
+        await cacheManager.deleteMark(
+          store,
+          store === cacheManager.HIGHLIGHT_STORE ? Number(id) : id
+        );
+        renderBookmarks();
+      });
+    document
+      .getElementById("activityList")
+      .addEventListener("click", async (e) => {
+        const button = e.target.closest("[data-log-action]");
+        if (!button) return;
+        const logId = button
+          .closest("[data-log-id]")
+          .getAttribute("data-log-id");
+        // Entries logged before IDs were UUIDs have numeric keys
+        const entry =
+          (await cacheManager.getActionLog(logId)) ||
+          (await cacheManager.getActionLog(Number(logId)));
+        if (!entry) return;
+        button.disabled = true;
+        if (button.dataset.logAction === "resume") {
+          await runActionLogEntry(entry);
+        } else {
+          await reverseActionLogEntry(entry);
+        }
+        renderActivity();
+      });
+    let searchTimeout;
+    document
+      .getElementById("chm-search-input")
+      .addEventListener("input", (e) => {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(() => runSearch(e.target.value), 250);
+      });
     document
       .getElementById("archiveSelectedBtn")
       .addEventListener("click", () => handleBulkAction("archive"));
@@ -453,6 +1091,19 @@ window.ChatGPThistory = (() => {
     document
       .getElementById("deletePermanentBtn")
       .addEventListener("click", () => handleBulkAction("delete"));
+    document
+      .getElementById("exportSelectedBtn")
+      .addEventListener("click", () => handleBulkAction("export"));
+    document
+      .getElementById("labelSelectedBtn")
+      .addEventListener("click", () => handleBulkAction("label"));
+    document.querySelectorAll(".chm-label-filter").forEach((select) =>
+      select.addEventListener("change", () => {
+        applyFilterAndRender();
+        document.getElementById("selectAllHistory").checked = false;
+        document.getElementById("selectAllArchived").checked = false;
+      })
+    );
     document
       .getElementById("chm-time-filter")
       .addEventListener("change", () => {
@@ -473,8 +1124,13 @@ window.ChatGPThistory = (() => {
           .querySelectorAll('#archivedList input[type="checkbox"]')
           .forEach((cb) => (cb.checked = e.target.checked));
       });
-    document.getElementById("chm-refresh-btn").addEventListener("click", () => {
-      syncAllConversationsWithServer(999); // Force a full sync
+    document
+      .getElementById("chm-rules-btn")
+      .addEventListener("click", () => ChatGPTRules.open());
+    document.getElementById("chm-refresh-btn").addEventListener("click", (e) => {
+      // Shift+click forces a full sync that also drops deleted conversations
+      if (e.shiftKey) syncAllConversationsWithServer(999);
+      else syncConversationDelta();
     }); // Event delegation for dynamically added group checkboxes
 
     document.addEventListener("change", (e) => {
@@ -513,6 +1169,7 @@ window.ChatGPThistory = (() => {
         container.classList.add("visible");
         switchView(currentView); // Load data when shown
       }, 10);
+      searchIndexer.run(); // Keep the full-text index fresh in the background
     } else {
       container.classList.remove("visible");
       setTimeout(() => {
@@ -602,7 +1259,20 @@ window.ChatGPThistory = (() => {
                   item.id
                 }" target="_blank" rel="noopener noreferrer">${
             item.title || "Untitled"
-          }</a>
+          }</a>${
+            notesById.has(item.id)
+              ? `<span class="chm-note-indicator" title="${escapeHTML(
+                  notesById.get(item.id).slice(0, 200)
+                )}">📝</span>`
+              : ""
+          }${(window.ChatGPTLabel?.getLabelsFor(item.id) || [])
+            .map(
+              (label) =>
+                `<span class="chm-label-pill" style="background-color: ${
+                  label.color
+                };">${escapeHTML(label.name)}</span>`
+            )
+            .join("")}
               </span>
               <span class="time">${
                 ["Today", "Yesterday"].find((e) => e === groupName)
@@ -653,6 +1323,12 @@ window.ChatGPThistory = (() => {
       const isHistory = view === "history";
       const conversations = await cacheManager.getConversations(isHistory);
       allConversations = conversations; // Update global state for the current view
+      notesById = new Map(
+        (await cacheManager.getAllNotes()).map((note) => [
+          note.conversationId,
+          note.text,
+        ])
+      );
       applyFilterAndRender();
       await updateLastUpdatedStatus();
     } catch (error) {
@@ -675,23 +1351,60 @@ window.ChatGPThistory = (() => {
     document
       .getElementById("archivedTab")
       .classList.toggle("active", view === "archived");
+    document
+      .getElementById("searchTab")
+      .classList.toggle("active", view === "search");
+    document
+      .getElementById("activityTab")
+      .classList.toggle("active", view === "activity");
+    document
+      .getElementById("bookmarksTab")
+      .classList.toggle("active", view === "bookmarks");
     document.getElementById("historyView").style.display =
       view === "history" ? "block" : "none";
     document.getElementById("archivedView").style.display =
       view === "archived" ? "block" : "none";
+    document.getElementById("searchView").style.display =
+      view === "search" ? "block" : "none";
+    document.getElementById("activityView").style.display =
+      view === "activity" ? "block" : "none";
+    document.getElementById("bookmarksView").style.display =
+      view === "bookmarks" ? "block" : "none";
     document.getElementById("history-actions").style.display =
       view === "history" ? "flex" : "none";
     document.getElementById("archived-actions").style.display =
       view === "archived" ? "flex" : "none";
+    document.getElementById("export-actions").style.display =
+      view === "history" || view === "archived" ? "flex" : "none";
+    document.getElementById("label-actions").style.display =
+      window.ChatGPTLabel && (view === "history" || view === "archived")
+        ? "flex"
+        : "none";
     document.getElementById("selectAllHistory").checked = false;
     document.getElementById("selectAllArchived").checked = false;
 
+    if (view === "search") {
+      updateSearchStatus();
+      const input = document.getElementById("chm-search-input");
+      input.focus();
+      if (input.value) runSearch(input.value);
+      return;
+    }
+    if (view === "activity") {
+      renderActivity();
+      return;
+    }
+    if (view === "bookmarks") {
+      renderBookmarks();
+      return;
+    }
+
     const lastSync = await cacheManager.getMetadata("lastSyncTimestamp");
     await loadConversationsForView(view);
     if (!lastSync || Date.now() - lastSync > cacheManager.CACHE_EXPIRATION_MS) {
       console.log("[History Manager] Cache is stale or missing. Forcing sync.");
 
-      await syncAllConversationsWithServer(1); // Perform a partial sync
+      await syncConversationDelta(); // Only fetch what changed since the last sync
     } else {
       console.log("[History Manager] Cache is fresh. Loading from IndexedDB.");
     }
@@ -703,7 +1416,9 @@ window.ChatGPThistory = (() => {
     if (!uiInjected) return;
     const isArchived = currentView === "archived";
     const listId = isArchived ? "archivedList" : "historyList";
-    let conversationsToRender = [...allConversations];
+    let conversationsToRender = allConversations.filter(
+      (c) => !pendingIds.has(c.id)
+    );
 
     if (!isArchived) {
       const range = document.getElementById("chm-time-filter").value;
@@ -734,11 +1449,54 @@ window.ChatGPThistory = (() => {
       }
     }
 
+    // Label facet: a path also matches the labels nested under it
+    const labelFilter = document.querySelector(
+      `#${isArchived ? "archivedView" : "historyView"} .chm-label-filter`
+    ).value;
+    if (window.ChatGPTLabel && labelFilter && labelFilter !== "all") {
+      conversationsToRender = conversationsToRender.filter((c) =>
+        labelFilter === "unlabeled"
+          ? !ChatGPTLabel.getLabelsFor(c.id).length
+          : ChatGPTLabel.hasLabel(c.id, labelFilter)
+      );
+    }
+
     const grouped = groupAndSortConversations(conversationsToRender);
     renderConversations(grouped, listId);
   }
+
+  /**
+   * Rebuilds the label filter options from the Label Explorer's labels and
+   * re-renders the list. Called by label.js whenever labels change.
+   */
+  function refreshLabels() {
+    if (!uiInjected || !window.ChatGPTLabel) return;
+    const tree = ChatGPTLabel.getLabelTree();
+    document.querySelectorAll(".chm-label-filter").forEach((select) => {
+      const current = select.value || "all";
+      select.innerHTML = `
+        <option value="all">All labels</option>
+        <option value="unlabeled">Unlabeled</option>
+        ${tree
+          .map(
+            ({ path, depth }) =>
+              `<option value="${escapeHTML(path)}">${"\u00a0\u00a0".repeat(
+                depth
+              )}${escapeHTML(path.split("/").pop())}</option>`
+          )
+          .join("")}
+      `;
+      select.value = [...select.options].some((o) => o.value === current)
+        ? current
+        : "all";
+      select.style.display = tree.length ? "" : "none";
+    });
+    document.getElementById("label-actions").style.display =
+      currentView === "history" || currentView === "archived" ? "flex" : "none";
+    applyFilterAndRender();
+  }
   /**
-   * Handles bulk actions like archive, delete, and restore.
+   * Handles bulk actions like archive, delete, restore, export, and label.
    */
   async function handleBulkAction(action) {
     const listId = currentView === "history" ? "#historyList" : "#archivedList";
@@ -752,53 +1510,741 @@ window.ChatGPThistory = (() => {
       return;
     }
 
-    let confirmMsg, payload, localChanges;
-    switch (action) {
-      case "archive":
-        confirmMsg = `Are you sure you want to archive ${targetIds.length} conversation(s)?`;
-        payload = { is_archived: true };
-        localChanges = { is_archived: 1 };
-        break;
-      case "restore":
-        confirmMsg = `Are you sure you want to restore ${targetIds.length} conversation(s)?`;
-        payload = { is_archived: false };
-        localChanges = { is_archived: 0 };
-        break;
-      case "delete":
-        confirmMsg = `This is IRREVERSIBLE. Are you sure you want to permanently delete ${targetIds.length} conversation(s)?`;
-        payload = { is_visible: false };
-        break;
-    }
-
-    if (!confirm(confirmMsg)) return;
-
-    showLoader(`Processing ${targetIds.length} item(s)...`);
-    const promises = targetIds.map((id) =>
-      updateConversationOnServer(id, payload)
-    );
-    const results = await Promise.allSettled(promises);
+    if (action === "export") {
+      const format = document.getElementById("chm-export-format").value;
+      if (format === "dataset") {
+        ChatGPTExport.showDatasetOptionsDialog(targetIds);
+        return;
+      }
+      await ChatGPTExport.exportConversations(targetIds, format);
+      return;
+    }
+
+    if (action === "label") {
+      ChatGPTLabel.showLabelAssignmentPopover(targetIds);
+      return;
+    }
+
+    queueBulkAction(action, targetIds);
+  }
+  // --- Pending Actions Queue ---
+
+  const UNDO_DELAY_MS = 6000; // How long a batch waits for "Undo"
+  const ACTION_CONCURRENCY = 4;
+  const ACTION_RETRIES = 3;
+  const BULK_ACTIONS = {
+    archive: {
+      label: "Archived",
+      payload: { is_archived: true },
+      localChanges: { is_archived: 1 },
+      reverse: "restore",
+    },
+    restore: {
+      label: "Restored",
+      payload: { is_archived: false },
+      localChanges: { is_archived: 0 },
+      reverse: "archive",
+    },
+    delete: {
+      label: "Deleted",
+      payload: { is_visible: false },
+      localChanges: null,
+      reverse: null, // Deleted chats can't be brought back
+    },
+  };
+  const pendingIds = new Set(); // Hidden from the lists until run or undone
 
-    const successfulIds = results
-      .map((res, i) =>
-        res.status === "fulfilled" && res.value ? targetIds[i] : null
+  /**
+   * Hides the conversations, logs the batch, and shows an "Undo" toast. The
+   * batch only reaches the server once the toast runs out. Actions that
+   * can't be reversed later are confirmed first.
+   * @param {'archive' | 'restore' | 'delete'} action
+   * @param {Array<string>} ids
+   */
+  async function queueBulkAction(action, ids) {
+    if (
+      !BULK_ACTIONS[action].reverse &&
+      !confirm(
+        `This is IRREVERSIBLE. Are you sure you want to permanently delete ${ids.length} conversation(s)?`
       )
-      .filter(Boolean);
+    ) {
+      return;
+    }
+    const entry = {
+      id: crypto.randomUUID(),
+      action,
+      ids,
+      results: {},
+      status: "pending",
+      createdAt: Date.now(),
+    };
+    await cacheManager.putActionLog(entry);
+    await cacheManager.pruneActionLogs();
+    ids.forEach((id) => pendingIds.add(id));
+    applyFilterAndRender();
 
-    if (successfulIds.length > 0) {
-      if (action === "delete") {
-        await cacheManager.deleteConversations(successfulIds);
-      } else {
-        await Promise.all(
-          successfulIds.map((id) =>
-            cacheManager.updateConversation(id, localChanges)
-          )
+    const label = `${BULK_ACTIONS[action].label} ${ids.length} conversation(s).`;
+    showUndoToast(label, UNDO_DELAY_MS, {
+      onUndo: async () => {
+        ids.forEach((id) => pendingIds.delete(id));
+        entry.status = "canceled";
+        await cacheManager.putActionLog(entry);
+        applyFilterAndRender();
+      },
+      onTimeout: () => runActionLogEntry(entry),
+    });
+  }
+
+  /**
+   * Sends one PATCH, retrying with exponential backoff.
+   * @returns {Promise<boolean>}
+   */
+  async function updateWithRetry(conversationId, payload) {
+    for (let attempt = 0; attempt < ACTION_RETRIES; attempt++) {
+      if (await updateConversationOnServer(conversationId, payload)) return true;
+      await new Promise((resolve) => setTimeout(resolve, 500 * 2 ** attempt));
+    }
+    return false;
+  }
+
+  /**
+   * Runs `task` on every item, with at most `limit` running at once.
+   */
+  async function runWithConcurrency(items, limit, task) {
+    let next = 0;
+    const workers = Array.from(
+      { length: Math.min(limit, items.length) },
+      async () => {
+        while (next < items.length) {
+          const index = next++;
+          await task(items[index], index);
+        }
+      }
+    );
+    await Promise.all(workers);
+  }
+
+  /**
+   * Runs (or resumes) a logged batch. Conversations already marked done are
+   * skipped, and every result is written back to the log as it arrives.
+   * @param {object} entry - An `action_log` entry.
+   */
+  async function runActionLogEntry(entry) {
+    // Another tab may be resuming the same batch
+    const lock = `actionLock:${entry.id}`;
+    if (!(await cacheManager.acquireLock(lock))) {
+      showUndoToast(
+        "This batch is already running in another tab.",
+        UNDO_DELAY_MS
+      );
+      return;
+    }
+    try {
+      await runLockedActionLogEntry(entry, lock);
+    } finally {
+      await cacheManager.releaseLock(lock);
+    }
+  }
+
+  async function runLockedActionLogEntry(entry, lock) {
+    // Pick up results another tab saved since this copy was read
+    Object.assign(entry, await cacheManager.getActionLog(entry.id));
+    const { payload, localChanges } = BULK_ACTIONS[entry.action];
+    const remaining = entry.ids.filter((id) => entry.results[id] !== "done");
+    entry.status = "running";
+    await cacheManager.putActionLog(entry);
+
+    await runWithConcurrency(remaining, ACTION_CONCURRENCY, async (id) => {
+      await cacheManager.acquireLock(lock); // Keeps the lock from expiring
+      const ok = await updateWithRetry(id, payload);
+      entry.results[id] = ok ? "done" : "failed";
+      if (ok) {
+        if (entry.action === "delete") {
+          await cacheManager.deleteConversations([id]);
+          await cacheManager.deleteSearchDocs([id]);
+        } else {
+          await cacheManager.updateConversation(id, localChanges);
+        }
+      }
+      await cacheManager.putActionLog(entry);
+    });
+
+    const failed = entry.ids.filter((id) => entry.results[id] !== "done");
+    entry.status = failed.length === 0 ? "done" : "partial";
+    entry.finishedAt = Date.now();
+    await cacheManager.putActionLog(entry);
+    entry.ids.forEach((id) => pendingIds.delete(id));
+
+    if (failed.length > 0) {
+      console.error(
+        `❌ [History Manager] ${failed.length} conversation(s) failed to ${entry.action}.`
+      );
+      showUndoToast(
+        `${failed.length} of ${entry.ids.length} failed. Resume them from the Activity tab.`,
+        UNDO_DELAY_MS
+      );
+    }
+    if (uiInjected) {
+      if (currentView === "activity") renderActivity();
+      else await loadConversationsForView(currentView); // Refresh from local DB
+    }
+  }
+
+  /**
+   * Restores the previous archive state of every conversation a finished
+   * batch changed, by running the opposite action as a new batch.
+   * @param {object} entry - An `action_log` entry.
+   */
+  async function reverseActionLogEntry(entry) {
+    const reverse = BULK_ACTIONS[entry.action].reverse;
+    const ids = entry.ids.filter((id) => entry.results[id] === "done");
+    if (!reverse || ids.length === 0) return;
+    entry.reversed = true;
+    await cacheManager.putActionLog(entry);
+    await runActionLogEntry({
+      id: crypto.randomUUID(),
+      action: reverse,
+      ids,
+      results: {},
+      reverses: entry.id,
+      createdAt: Date.now(),
+    });
+  }
+
+  /**
+   * Shows a toast with an optional "Undo" button and a countdown bar.
+   * @param {string} text
+   * @param {number} duration - Milliseconds before the toast closes.
+   * @param {{onUndo?: Function, onTimeout?: Function}} callbacks
+   */
+  function showUndoToast(text, duration, { onUndo, onTimeout } = {}) {
+    let container = document.getElementById("chm-toast-container");
+    if (!container) {
+      container = document.createElement("div");
+      container.id = "chm-toast-container";
+      document.body.appendChild(container);
+    }
+    const toast = document.createElement("div");
+    toast.className = "chm-toast";
+    toast.innerHTML = `
+      <span class="chm-toast-text"></span>
+      ${onUndo ? `<button class="chm-btn action-secondary">Undo</button>` : ""}
+      <div class="chm-toast-progress" style="animation-duration: ${duration}ms;"></div>
+    `;
+    toast.querySelector(".chm-toast-text").textContent = text;
+    container.appendChild(toast);
+
+    const timer = setTimeout(() => {
+      toast.remove();
+      if (onTimeout) onTimeout();
+    }, duration);
+    toast.querySelector("button")?.addEventListener("click", () => {
+      clearTimeout(timer);
+      toast.remove();
+      onUndo();
+    });
+  }
+
+  /**
+   * Renders the action log into the Activity tab, with "Resume" for batches
+   * that did not finish and "Reverse" for finished archives and restores.
+   */
+  async function renderActivity() {
+    const container = document.getElementById("activityList");
+    if (!container) return;
+    const entries = await cacheManager.getActionLogs();
+    const titles = new Map();
+    [
+      ...(await cacheManager.getConversations(true)),
+      ...(await cacheManager.getConversations(false)),
+    ].forEach((c) => titles.set(c.id, c.title || "Untitled"));
+
+    if (entries.length === 0) {
+      container.innerHTML = `<p style="text-align: center; padding: 20px; color: var(--text-tertiary);">No bulk actions yet.</p>`;
+      return;
+    }
+    container.innerHTML = entries
+      .map((entry) => {
+        const done = entry.ids.filter(
+          (id) => entry.results[id] === "done"
+        ).length;
+        // Anything still pending or running in the log was cut off by a closed tab
+        const interrupted =
+          ["pending", "running"].includes(entry.status) &&
+          !entry.ids.some((id) => pendingIds.has(id));
+        const canResume = entry.status === "partial" || interrupted;
+        const canReverse =
+          BULK_ACTIONS[entry.action].reverse && done > 0 && !entry.reversed;
+        const names = entry.ids
+          .slice(0, 3)
+          .map((id) => escapeHTML(titles.get(id) || id))
+          .join(", ");
+        return `
+          <div class="chm-conversation-item" data-log-id="${entry.id}">
+            <span class="title">
+              <strong>${BULK_ACTIONS[entry.action].label}</strong> ${done} of ${
+          entry.ids.length
+        } · ${interrupted ? "interrupted" : entry.status}${
+          entry.reversed ? " · reversed" : ""
+        }
+              <span class="chm-search-snippet">${names}${
+          entry.ids.length > 3 ? ` and ${entry.ids.length - 3} more` : ""
+        }</span>
+            </span>
+            ${
+              canResume
+                ? `<button class="chm-btn action-secondary" data-log-action="resume">Resume</button>`
+                : ""
+            }
+            ${
+              canReverse
+                ? `<button class="chm-btn action-secondary" data-log-action="reverse">Reverse</button>`
+                : ""
+            }
+            <span class="time">${new Date(entry.createdAt).toLocaleString([], {
+              hour: "numeric",
+              minute: "2-digit",
+              month: "short",
+              day: "numeric",
+            })}</span>
+          </div>
+        `;
+      })
+      .join("");
+  }
+  /**
+   * Renders every saved bookmark and highlight, newest first, with links
+   * that open the conversation at the saved turn.
+   */
+  async function renderBookmarks() {
+    const container = document.getElementById("bookmarksList");
+    if (!container) return;
+    const marks = [
+      ...(await cacheManager.getMarks(cacheManager.BOOKMARK_STORE)).map(
+        (mark) => ({ ...mark, store: cacheManager.BOOKMARK_STORE })
+      ),
+      ...(await cacheManager.getMarks(cacheManager.HIGHLIGHT_STORE)).map(
+        (mark) => ({ ...mark, store: cacheManager.HIGHLIGHT_STORE })
+      ),
+    ].sort((a, b) => b.createdAt - a.createdAt);
+    const conversations = new Map();
+    [
+      ...(await cacheManager.getConversations(true)),
+      ...(await cacheManager.getConversations(false)),
+    ].forEach((c) => conversations.set(c.id, c));
+
+    if (marks.length === 0) {
+      container.innerHTML = `<p style="text-align: center; padding: 20px; color: var(--text-tertiary);">No bookmarks yet. Bookmark a turn or highlight text in a chat to see it here.</p>`;
+      return;
+    }
+    container.innerHTML = marks
+      .map((mark) => {
+        const conversation = conversations.get(mark.conversationId);
+        const isHighlight = mark.store === cacheManager.HIGHLIGHT_STORE;
+        const href = `/c/${mark.conversationId}#chm-turn=${encodeURIComponent(
+          mark.turnId
+        )}`;
+        return `
+          <div class="chm-conversation-item chm-search-result" data-mark-store="${
+            mark.store
+          }" data-mark-id="${escapeHTML(String(mark.id))}">
+            <div class="chm-search-body">
+              <a class="title" href="${href}" target="_blank" rel="noopener noreferrer">${escapeHTML(
+                conversation?.title || mark.title || "Untitled"
+              )}<span class="chm-badge">${
+          isHighlight ? "Highlight" : "Bookmark"
+        }</span>${
+          conversation?.is_archived
+            ? `<span class="chm-badge">Archived</span>`
+            : ""
+        }</a>
+              <div class="chm-search-snippet">${escapeHTML(
+                isHighlight ? `“${mark.text}”` : mark.snippet
+              )}</div>
+              ${
+                mark.note
+                  ? `<div class="chm-search-snippet"><strong>Note:</strong> ${escapeHTML(
+                      mark.note
+                    )}</div>`
+                  : ""
+              }
+            </div>
+            <button class="chm-btn action-secondary" data-mark-remove>Remove</button>
+            <span class="time">${new Date(mark.createdAt).toLocaleDateString(
+              [],
+              { month: "short", day: "numeric", year: "numeric" }
+            )}</span>
+          </div>
+        `;
+      })
+      .join("");
+  }
+  // --- Full-Text Search ---
+
+  const SEARCH_INDEX_DELAY_MS = 1500; // Pause between fetches to avoid rate limits
+  const SEARCH_RESULT_LIMIT = 50;
+
+  /**
+   * Splits text into unique lowercase words for the search index.
+   * @param {string} text
+   * @returns {Array<string>}
+   */
+  function tokenize(text) {
+    const words = (text || "")
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((word) => word.length > 1);
+    return [...new Set(words)];
+  }
+
+  /**
+   * Fetches a conversation from the backend and builds its search document.
+   * Each turn keeps the ID of its first message so a result can jump to it.
+   * @param {object} convo - A conversation from the cache.
+   * @returns {Promise<object|null>}
+   */
+  async function buildSearchDoc(convo) {
+    const data = await ChatGPT.getApiData(convo.id, false, false, {
+      source: "api",
+      images: false, // The index only keeps text
+    });
+    if (!data) return null;
+    const turns = [];
+    data.turnMapData.forEach(({ messages = [], canvases = [] }, turnId) => {
+      const text = [
+        ...messages.map((m) => m.text),
+        ...canvases.map((c) => `${c.title}\n${c.content}`),
+      ]
+        .join("\n\n")
+        .trim();
+      if (!text) return;
+      turns.push({
+        messageId: messages[0]?.messageId || turnId,
+        role: messages[0]?.role || "assistant",
+        text,
+      });
+    });
+    return {
+      id: convo.id,
+      title: convo.title || "Untitled",
+      update_time: convo.update_time,
+      turns,
+      terms: tokenize([convo.title, ...turns.map((t) => t.text)].join(" ")),
+      indexed_at: Date.now(),
+    };
+  }
+
+  /**
+   * Indexes new and updated conversations one at a time in the background.
+   * Only one run is active per tab, and it stops after repeated failures.
+   */
+  const searchIndexer = {
+    running: false,
+    indexed: 0,
+    total: 0,
+    async run() {
+      if (this.running || guestMode()) return;
+      this.running = true;
+      try {
+        const conversations = [
+          ...(await cacheManager.getConversations(true)),
+          ...(await cacheManager.getConversations(false)),
+        ];
+        const stamps = await cacheManager.getSearchStamps();
+        const queue = conversations
+          .filter((c) => stamps.get(c.id) !== c.update_time)
+          .sort((a, b) => new Date(b.update_time) - new Date(a.update_time));
+        this.total = conversations.length;
+        this.indexed = this.total - queue.length;
+        updateSearchStatus();
+
+        let failures = 0;
+        for (const convo of queue) {
+          try {
+            const doc = await buildSearchDoc(convo);
+            if (doc) await cacheManager.putSearchDoc(doc);
+            failures = 0;
+          } catch (error) {
+            console.error(
+              `❌ [History Manager] Failed to index conversation ${convo.id}:`,
+              error
+            );
+            if (++failures >= 3) break;
+          }
+          this.indexed++;
+          updateSearchStatus();
+          await new Promise((resolve) =>
+            setTimeout(resolve, SEARCH_INDEX_DELAY_MS)
+          );
+        }
+        console.log(
+          `✅ [History Manager] Search index covers ${this.indexed} of ${this.total} conversations.`
         );
+      } catch (error) {
+        console.error("❌ [History Manager] Search indexing failed:", error);
+      } finally {
+        this.running = false;
+        updateSearchStatus();
       }
+    },
+  };
+
+  function updateSearchStatus() {
+    const statusEl = document.getElementById("chm-search-status");
+    if (!statusEl) return;
+    if (searchIndexer.total === 0) {
+      statusEl.textContent = searchIndexer.running ? "Indexing..." : "";
+      return;
     }
+    statusEl.textContent = `${searchIndexer.running ? "Indexing: " : ""}${
+      searchIndexer.indexed
+    } of ${searchIndexer.total} indexed`;
+  }
 
-    await loadConversationsForView(currentView); // Refresh from local DB
-    hideLoader();
+  /**
+   * Counts how often each term appears in the text.
+   * @returns {number}
+   */
+  function countMatches(text, terms) {
+    const lower = text.toLowerCase();
+    let count = 0;
+    terms.forEach((term) => {
+      let index = lower.indexOf(term);
+      while (index !== -1) {
+        count++;
+        index = lower.indexOf(term, index + term.length);
+      }
+    });
+    return count;
   }
+
+  /**
+   * Escapes text and wraps every occurrence of the terms in <mark>.
+   * @returns {string} HTML
+   */
+  function highlightTerms(text, terms) {
+    const lower = text.toLowerCase();
+    const ranges = [];
+    terms.forEach((term) => {
+      let index = lower.indexOf(term);
+      while (index !== -1) {
+        ranges.push([index, index + term.length]);
+        index = lower.indexOf(term, index + term.length);
+      }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+    let html = "";
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+      if (start < position) return; // Overlaps the previous match
+      html += escapeHTML(text.slice(position, start));
+      html += `<mark>${escapeHTML(text.slice(start, end))}</mark>`;
+      position = end;
+    });
+    return html + escapeHTML(text.slice(position));
+  }
+
+  /**
+   * Cuts a window of text around the first match of any term.
+   * @returns {string} HTML snippet
+   */
+  function buildSnippet(text, terms, radius = 80) {
+    const lower = text.toLowerCase();
+    const first = Math.min(
+      ...terms.map((term) => lower.indexOf(term)).filter((i) => i !== -1)
+    );
+    const center = Number.isFinite(first) ? first : 0;
+    const start = Math.max(0, center - radius);
+    const end = Math.min(text.length, center + radius * 2);
+    const slice = text.slice(start, end).replace(/\s+/g, " ");
+    return `${start > 0 ? "…" : ""}${highlightTerms(slice, terms)}${
+      end < text.length ? "…" : ""
+    }`;
+  }
+
+  /**
+   * Searches the index and ranks conversations. Every query word must match
+   * the start of a word in the conversation or in its note. Title hits and
+   * exact phrase matches rank higher, and the best matching turn is used for
+   * the snippet.
+   * @param {string} query
+   * @returns {Promise<Array<object>>}
+   */
+  async function searchConversations(query) {
+    const terms = tokenize(query);
+    if (terms.length === 0) return [];
+
+    let candidates = null;
+    for (const term of terms) {
+      const ids = await cacheManager.findSearchIds(term);
+      candidates = candidates
+        ? new Set([...candidates].filter((id) => ids.has(id)))
+        : ids;
+      if (candidates.size === 0) break;
+    }
+    // Notes are few, so they are matched directly instead of indexed
+    const noteMatches = new Map();
+    (await cacheManager.getAllNotes()).forEach((note) => {
+      const words = tokenize(note.text);
+      if (terms.every((term) => words.some((word) => word.startsWith(term)))) {
+        noteMatches.set(note.conversationId, note.text);
+      }
+    });
+    const ids = new Set([...candidates, ...noteMatches.keys()]);
+    if (ids.size === 0) return [];
+
+    const known = new Map();
+    [
+      ...(await cacheManager.getConversations(true)),
+      ...(await cacheManager.getConversations(false)),
+    ].forEach((c) => known.set(c.id, c));
+    const phrase = query.trim().toLowerCase();
+    const docs = await cacheManager.getSearchDocs([...ids]);
+    // A note can match a conversation that is not indexed yet
+    noteMatches.forEach((_, id) => {
+      if (known.has(id) && !docs.some((doc) => doc.id === id)) {
+        docs.push({ id, title: known.get(id).title, turns: [] });
+      }
+    });
+
+    return docs
+      .filter((doc) => known.has(doc.id)) // Skip conversations deleted since indexing
+      .map((doc) => {
+        let bestTurn = null;
+        let bestHits = 0;
+        const note = noteMatches.get(doc.id) || null;
+        let score = countMatches(doc.title, terms) * 10;
+        if (note) score += countMatches(note, terms) * 5;
+        doc.turns.forEach((turn) => {
+          let hits = countMatches(turn.text, terms);
+          if (terms.length > 1 && turn.text.toLowerCase().includes(phrase)) {
+            hits += 20;
+          }
+          score += hits;
+          if (hits > bestHits) {
+            bestHits = hits;
+            bestTurn = turn;
+          }
+        });
+        return {
+          doc,
+          conversation: known.get(doc.id),
+          score,
+          bestTurn,
+          note,
+          terms,
+        };
+      })
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          new Date(b.conversation.update_time) -
+            new Date(a.conversation.update_time)
+      )
+      .slice(0, SEARCH_RESULT_LIMIT);
+  }
+
+  /**
+   * Runs a search and renders the results into the Search tab.
+   */
+  async function runSearch(query) {
+    const container = document.getElementById("searchList");
+    if (!container) return;
+    if (!query.trim()) {
+      container.innerHTML = "";
+      return;
+    }
+    try {
+      const results = await searchConversations(query);
+      if (results.length === 0) {
+        container.innerHTML = `<p style="text-align: center; padding: 20px; color: var(--text-tertiary);">No matches found${
+          searchIndexer.running ? " yet. Indexing is still in progress" : ""
+        }.</p>`;
+        return;
+      }
+      container.innerHTML = results
+        .map(({ doc, conversation, bestTurn, note, terms }) => {
+          const href = `/c/${doc.id}${
+            bestTurn ? `#chm-msg=${encodeURIComponent(bestTurn.messageId)}` : ""
+          }`;
+          return `
+            <div class="chm-conversation-item chm-search-result">
+              <div class="chm-search-body">
+                <a class="title" href="${href}" target="_blank" rel="noopener noreferrer">${highlightTerms(
+                  conversation.title || doc.title,
+                  terms
+                )}${
+            conversation.is_archived
+              ? `<span class="chm-badge">Archived</span>`
+              : ""
+          }</a>
+                ${
+                  note
+                    ? `<div class="chm-search-snippet"><strong>Note:</strong> ${buildSnippet(
+                        note,
+                        terms
+                      )}</div>`
+                    : ""
+                }
+                ${
+                  bestTurn
+                    ? `<div class="chm-search-snippet"><strong>${
+                        bestTurn.role === "user" ? "You" : "ChatGPT"
+                      }:</strong> ${buildSnippet(bestTurn.text, terms)}</div>`
+                    : ""
+                }
+              </div>
+              <span class="time">${new Date(
+                conversation.update_time
+              ).toLocaleDateString([], {
+                month: "short",
+                day: "numeric",
+                year: "numeric",
+              })}</span>
+            </div>
+          `;
+        })
+        .join("");
+    } catch (error) {
+      console.error("❌ [History Manager] Search failed:", error);
+    }
+  }
+
+  /**
+   * Scrolls to the message named in a `#chm-msg=<messageId>` hash, which is
+   * how search results link to the matching turn. Bookmarks link to a turn
+   * with `#chm-turn=<turnId>` instead.
+   */
+  function jumpToHashMessage() {
+    const match = window.location.hash.match(/^#chm-(msg|turn)=([^&]+)/);
+    if (!match) return;
+    const id = CSS.escape(decodeURIComponent(match[2]));
+    const selector =
+      match[1] === "turn"
+        ? `article[data-turn-id="${id}"]`
+        : `[data-message-id="${id}"]`;
+    let attempts = 0;
+    const interval = setInterval(() => {
+      const target = document.querySelector(selector);
+      if (!target && ++attempts < 40) return;
+      clearInterval(interval);
+      if (!target) return;
+      const article = target.closest("article") || target;
+      article.scrollIntoView({ behavior: "smooth", block: "center" });
+      article.style.outline = "2px solid var(--accent-primary, #10a37f)";
+      article.style.borderRadius = "12px";
+      setTimeout(() => {
+        article.style.outline = "";
+        article.style.borderRadius = "";
+      }, 3000);
+      history.replaceState(
+        null,
+        "",
+        window.location.pathname + window.location.search
+      );
+    }, 500);
+  }
+
   function showLoader(text = "") {
     if (!uiInjected) return;
     document.getElementById("chm-loader-text").textContent = text;
@@ -894,11 +2340,27 @@ window.ChatGPThistory = (() => {
     return true;
   } // --- Initialization and Event Listeners ---
 
+  ChatGPTShortcuts.register({
+    id: "history.open",
+    name: "Manage history",
+    binding: "Mod+H",
+    handler: () => toggleUiVisibility(true),
+  });
+  ChatGPTShortcuts.register({
+    id: "history.archiveCurrent",
+    name: "Archive current chat",
+    handler: () => {
+      const id = ChatGPT.getConversationId();
+      if (!id) {
+        alert("Open a conversation to archive it.");
+        return;
+      }
+      injectUI(); // Styles for the undo toast
+      queueBulkAction("archive", [id]);
+    },
+  });
   document.addEventListener("keydown", (e) => {
-    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "h") {
-      e.preventDefault();
-      toggleUiVisibility(true);
-    } else if (e.key === "Escape") {
+    if (e.key === "Escape") {
       toggleUiVisibility(false);
     }
   }); // Use MutationObserver to inject the button reliably
@@ -906,11 +2368,20 @@ window.ChatGPThistory = (() => {
   const observer = new MutationObserver(injectSidebarButton);
   observer.observe(document, { childList: true, subtree: true });
 
+  window.addEventListener("hashchange", jumpToHashMessage);
+  jumpToHashMessage();
+
   console.log("✅ [History Manager] Script loaded. Press Ctrl+H to open.");
-  document.addEventListener(
-    "DOMContentLoaded",
-    syncAllConversationsWithServer(1, true)
-  );
+  // Frames share the top page's cache, so only the top page syncs on load.
+  // Content scripts run at document_idle, usually after DOMContentLoaded.
+  const syncOnLoad = () => {
+    if (window === window.top) syncConversationDelta();
+  };
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", syncOnLoad);
+  } else {
+    syncOnLoad();
+  }
   return {
     get cacheManager() {
       return cacheManager;
@@ -919,5 +2390,16 @@ window.ChatGPThistory = (() => {
       return allConversations;
     },
     syncAllConversationsWithServer,
+    syncConversationDelta,
+    refreshLabels,
+    /**
+     * Archives conversations through the undoable bulk-action queue, which
+     * logs the batch and PATCHes each one with `updateConversationOnServer`.
+     * @param {Array<string>} ids
+     */
+    archiveConversations(ids) {
+      injectUI(); // Styles for the undo toast
+      return queueBulkAction("archive", ids);
+    },
   };
 })();
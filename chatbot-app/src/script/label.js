@@ -1,19 +1,37 @@
 window.ChatGPTLabel = (() => {
   console.log(
-    "🚀 [Label Explorer] Content script loaded. Press Ctrl+L to open."
+    "🚀 [Label Explorer] Content script loaded. Press Alt+L to open."
   );
 
+  // Labels nest by path: "client/acme/billing" sits under "client/acme"
+  const LABEL_SEPARATOR = "/";
+
   // --- Configuration & State ---
   let appState = {
     data: { labels: {}, chatLabels: {} },
     uiInjected: false,
+    loaded: false, // Stays false if reading fails, so empty data isn't trusted
   };
 
   // --- 1. CORE LOGIC & DATA MANAGEMENT ---
 
   // --- Chrome Storage Sync Helper for Label Data ---
-  const STORAGE_KEY = "labelExplorerData";
-  const MAX_STORAGE_SIZE = 102400; // Chrome storage.sync limit is ~100KB per item
+  // Label data is compressed into one JSON string and sharded across
+  // chrome.storage.sync items, with an index key written in the same call.
+  // When it no longer fits the sync quota it is saved to chrome.storage.local
+  // instead; loading picks whichever copy is newer.
+  const STORAGE_KEY = "labelExplorerData"; // Unsharded data, migrated on load
+  const INDEX_KEY = "labelExplorerIndex";
+  const SHARD_PREFIX = "labelExplorerShard_";
+  const UUID_PATTERN = /^[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}$/;
+  const PACKED_ID_LENGTH = 22; // A UUID's 16 bytes in unpadded base64
+  const { storageCall, chunkForSync, getSyncSpace, isQuotaError } =
+    ChatGPTUtils;
+  const instanceId = crypto.randomUUID(); // Tells our own writes apart
+  let storageArea = "sync"; // Where the data was last read from or saved to
+  let readFailed = false; // Saving is refused until the data is read again
+  let pendingSaves = 0;
+  let reloadAfterSave = false; // Another tab wrote while we were saving
   let idCounter = 0; // For generating short IDs
 
   // Initialize ID counter from existing data
@@ -32,33 +50,176 @@ window.ChatGPTLabel = (() => {
     return `l${++idCounter}`;
   }
 
+  function hasChromeStorage() {
+    return (
+      typeof chrome !== "undefined" && chrome.storage && chrome.storage.sync
+    );
+  }
+
+  function shardKeys(count) {
+    return Array.from({ length: count }, (_, i) => `${SHARD_PREFIX}${i}`);
+  }
+
+  function packId(id) {
+    const bytes = id
+      .replace(/-/g, "")
+      .match(/../g)
+      .map((hex) => parseInt(hex, 16));
+    return btoa(String.fromCharCode(...bytes)).slice(0, PACKED_ID_LENGTH);
+  }
+
+  function unpackId(packed) {
+    const hex = [...atob(`${packed}==`)]
+      .map((c) => c.charCodeAt(0).toString(16).padStart(2, "0"))
+      .join("");
+    return hex.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, "$1-$2-$3-$4-$5");
+  }
+
+  /**
+   * Compresses the assignment map: chats are grouped by their set of labels,
+   * so each chat is stored once, and each conversation UUID becomes 22
+   * characters of base64, concatenated without separators. IDs that aren't
+   * UUIDs are kept as they are.
+   */
+  function packData({ labels, chatLabels }) {
+    const packed = { v: 2, labels, ids: {}, other: {} };
+    for (const [chatId, labelIds] of Object.entries(chatLabels)) {
+      if (!UUID_PATTERN.test(chatId)) {
+        packed.other[chatId] = labelIds;
+        continue;
+      }
+      const labelSet = [...labelIds].sort().join(",");
+      packed.ids[labelSet] = (packed.ids[labelSet] || "") + packId(chatId);
+    }
+    return packed;
+  }
+
+  function unpackData(packed) {
+    const chatLabels = { ...packed.other };
+    for (const [labelSet, ids] of Object.entries(packed.ids)) {
+      for (let i = 0; i < ids.length; i += PACKED_ID_LENGTH) {
+        chatLabels[unpackId(ids.slice(i, i + PACKED_ID_LENGTH))] =
+          labelSet.split(",");
+      }
+    }
+    return { labels: packed.labels, chatLabels };
+  }
+
+  /**
+   * Reads the sharded data of one storage area.
+   * @param {'sync' | 'local'} area
+   * @returns {Promise<{index: object, data: object | null} | null>} Null if
+   *   the area holds no label data; `data` is null if its shards won't parse.
+   */
+  async function readShards(area) {
+    const { [INDEX_KEY]: index } = await storageCall(area, "get", [INDEX_KEY]);
+    if (!index) return null;
+    const keys = shardKeys(index.shards);
+    const items = await storageCall(area, "get", keys);
+    const json = keys.map((key) => items[key] || "").join("");
+    try {
+      return { index, data: unpackData(JSON.parse(json)) };
+    } catch (error) {
+      // An interrupted write, or shards that haven't all synced yet
+      console.warn(`[Label Explorer] ${area} label data is unreadable:`, error);
+      return { index, data: null };
+    }
+  }
+
+  /**
+   * Writes shards and their index in one call, then drops shards the previous
+   * write used but this one doesn't. For sync, the quota left over by other
+   * keys (such as the prompt library) is checked first.
+   * @param {string} area
+   * @param {Object} items
+   * @param {Array<string>} [replacedKeys] - Other keys this data replaces,
+   *   counted as free space.
+   * @throws {Error} If the data doesn't fit or the write fails.
+   */
+  async function writeShards(area, items, replacedKeys = []) {
+    const { [INDEX_KEY]: previous } = await storageCall(area, "get", [
+      INDEX_KEY,
+    ]);
+    const previousKeys = shardKeys(previous?.shards || 0);
+    if (area === "sync") {
+      const { needed, available } = await getSyncSpace(items, [
+        INDEX_KEY,
+        ...previousKeys,
+        ...replacedKeys,
+      ]);
+      if (needed > available) {
+        throw new DOMException(
+          `labels need ${Math.ceil(needed / 1024)} KB, but only ${Math.floor(
+            available / 1024
+          )} KB of sync storage is free`,
+          "QuotaExceededError"
+        );
+      }
+    }
+    await storageCall(area, "set", items);
+    const staleKeys = previousKeys.slice(items[INDEX_KEY].shards);
+    if (staleKeys.length) await storageCall(area, "remove", staleKeys);
+  }
+
+  async function clearShards(area) {
+    const { [INDEX_KEY]: index } = await storageCall(area, "get", [INDEX_KEY]);
+    if (!index) return;
+    await storageCall(area, "remove", [INDEX_KEY, ...shardKeys(index.shards)]);
+  }
+
+  /**
+   * Moves data saved under the old single `labelExplorerData` key into shards.
+   * The old key is only removed once the shards are in sync storage; if they
+   * only fit on this device, other devices still need it to migrate.
+   */
+  async function migrateLegacyData() {
+    const { [STORAGE_KEY]: legacy } = await storageCall("sync", "get", [
+      STORAGE_KEY,
+    ]);
+    if (!legacy?.labels || !legacy?.chatLabels) {
+      return { labels: {}, chatLabels: {} };
+    }
+    try {
+      await saveStoredData(legacy, [STORAGE_KEY]);
+      if (storageArea !== "sync") return legacy;
+      await storageCall("sync", "remove", [STORAGE_KEY]);
+      console.log(
+        `[Label Explorer] Migrated ${
+          Object.keys(legacy.chatLabels).length
+        } labelled chats to sharded storage`
+      );
+    } catch (error) {
+      // Keep the old key so the next load tries again
+      console.error("[Label Explorer] Could not migrate label data:", error);
+    }
+    return legacy;
+  }
+
   // Storage helper functions using Chrome Storage Sync
   async function getStoredData() {
     try {
       // Check if we're in a Chrome extension environment
-      if (
-        typeof chrome !== "undefined" &&
-        chrome.storage &&
-        chrome.storage.sync
-      ) {
-        return new Promise((resolve) => {
-          chrome.storage.sync.get([STORAGE_KEY], (result) => {
-            if (chrome.runtime.lastError) {
-              console.error(
-                "[Label Explorer] Chrome storage error:",
-                chrome.runtime.lastError
-              );
-              resolve({ labels: {}, chatLabels: {} });
-            } else {
-              const data = result[STORAGE_KEY];
-              if (data && data.labels && data.chatLabels) {
-                resolve(data);
-              } else {
-                resolve({ labels: {}, chatLabels: {} });
-              }
-            }
-          });
-        });
+      if (hasChromeStorage()) {
+        // Another device may have synced newer data than this one kept locally
+        const [synced, local] = await Promise.all([
+          readShards("sync"),
+          readShards("local"),
+        ]);
+        const newest = [synced, local]
+          .filter(Boolean)
+          .sort((a, b) => b.index.updatedAt - a.index.updatedAt)[0];
+        if (!newest) {
+          readFailed = false;
+          return await migrateLegacyData();
+        }
+        if (!newest.data) {
+          throw new Error(
+            "The latest label data is unreadable, so it won't be replaced"
+          );
+        }
+        storageArea = newest === local ? "local" : "sync";
+        readFailed = false;
+        return newest.data;
       } else {
         // Fallback to localStorage for development/testing
         console.warn(
@@ -81,12 +242,24 @@ window.ChatGPTLabel = (() => {
         return { labels: {}, chatLabels: {} };
       }
     } catch (e) {
+      // Empty data here would be saved over the real labels
+      readFailed = true;
       console.error("[Label Explorer] Error reading from storage:", e);
-      return { labels: {}, chatLabels: {} };
+      throw e;
     }
   }
 
-  async function saveStoredData(data) {
+  /**
+   * Saves to sync storage, or to this device when sync is full.
+   * @param {Object} data
+   * @param {Array<string>} [replacedKeys] - Sync keys this save makes obsolete,
+   *   such as the legacy key during migration.
+   */
+  async function saveStoredData(data, replacedKeys = []) {
+    if (readFailed) {
+      throw new Error("Label data could not be loaded, so it was not saved");
+    }
+    pendingSaves++;
     try {
       // check to make sure if there is a chatlabel with an empty array, we remove it
       for (const chatId in data.chatLabels) {
@@ -97,36 +270,39 @@ window.ChatGPTLabel = (() => {
           delete data.chatLabels[chatId];
         }
       }
-      // Validate data size before saving
-      const dataSize = JSON.stringify(data).length;
-      if (dataSize > MAX_STORAGE_SIZE) {
-        console.warn(
-          `[Label Explorer] Data size (${dataSize} bytes) exceeds Chrome storage limit. Consider cleaning up old labels.`
-        );
-        // Could implement data cleanup logic here
-      }
 
-      if (
-        typeof chrome !== "undefined" &&
-        chrome.storage &&
-        chrome.storage.sync
-      ) {
-        return new Promise((resolve, reject) => {
-          chrome.storage.sync.set({ [STORAGE_KEY]: data }, () => {
-            if (chrome.runtime.lastError) {
-              console.error(
-                "[Label Explorer] Error saving to Chrome storage:",
-                chrome.runtime.lastError
-              );
-              reject(chrome.runtime.lastError);
-            } else {
-              console.log(
-                "[Label Explorer] Data successfully synced to Chrome storage"
-              );
-              resolve();
-            }
-          });
-        });
+      if (hasChromeStorage()) {
+        const shards = chunkForSync(
+          JSON.stringify(packData(data)),
+          SHARD_PREFIX
+        );
+        const items = {
+          [INDEX_KEY]: {
+            shards: shards.length,
+            updatedAt: Date.now(),
+            instanceId,
+          },
+        };
+        shards.forEach((shard, i) => (items[`${SHARD_PREFIX}${i}`] = shard));
+        try {
+          await writeShards("sync", items, replacedKeys);
+          await clearShards("local");
+          storageArea = "sync";
+          console.log(
+            "[Label Explorer] Data successfully synced to Chrome storage"
+          );
+        } catch (error) {
+          if (!isQuotaError(error)) throw error;
+          // The synced copy stays for other devices; the newer local one wins
+          console.warn(
+            `[Label Explorer] Sync storage is full (${
+              error.message || error
+            }). Saving labels on this device only.`
+          );
+          await writeShards("local", items);
+          storageArea = "local";
+        }
+        ChatGPThistory.refreshLabels();
       } else {
         // Fallback to localStorage
         console.warn(
@@ -138,37 +314,53 @@ window.ChatGPTLabel = (() => {
     } catch (e) {
       console.error("[Label Explorer] Error saving to storage:", e);
       throw e;
+    } finally {
+      pendingSaves--;
+      if (pendingSaves === 0 && reloadAfterSave) {
+        reloadAfterSave = false;
+        reloadStoredData();
+      }
+    }
+  }
+
+  async function reloadStoredData() {
+    console.log("[Label Explorer] Storage sync detected, updating local state");
+    try {
+      appState.data = await getStoredData();
+      appState.loaded = true;
+      await initializeIdCounter(); // Labels may have been added elsewhere
+    } catch {
+      return; // Already logged; keep what this tab has
+    }
+    ChatGPThistory.refreshLabels();
+
+    // Refresh UI if modal is open
+    const container = document.getElementById("le-modal-container");
+    if (container && container.style.display !== "none") {
+      const searchInput = document.getElementById("le-search-input");
+      if (searchInput && searchInput.value.trim()) {
+        handleSearch();
+      } else {
+        showAvailableLabels();
+      }
     }
   }
 
   // Listen for storage changes from other instances (tabs/devices)
   function initializeStorageListener() {
-    if (
-      typeof chrome !== "undefined" &&
-      chrome.storage &&
-      chrome.storage.sync
-    ) {
+    if (hasChromeStorage()) {
       chrome.storage.onChanged.addListener((changes, areaName) => {
-        if (areaName === "sync" && changes[STORAGE_KEY]) {
-          console.log(
-            "[Label Explorer] Storage sync detected, updating local state"
-          );
-          appState.data = changes[STORAGE_KEY].newValue || {
-            labels: {},
-            chatLabels: {},
-          };
-
-          // Refresh UI if modal is open
-          const container = document.getElementById("le-modal-container");
-          if (container && container.style.display !== "none") {
-            const searchInput = document.getElementById("le-search-input");
-            if (searchInput && searchInput.value.trim()) {
-              handleSearch();
-            } else {
-              showAvailableLabels();
-            }
-          }
-        }
+        if (areaName !== "sync" && areaName !== "local") return;
+        const index = changes[INDEX_KEY]?.newValue;
+        // Shards that sync after their index can make unreadable data whole
+        const retry =
+          readFailed &&
+          Object.keys(changes).some((key) => key.startsWith(SHARD_PREFIX));
+        // Removals come with a write to the other area
+        if (!retry && (!index || index.instanceId === instanceId)) return;
+        // Don't replace data this tab is still saving
+        if (pendingSaves > 0) reloadAfterSave = true;
+        else reloadStoredData();
       });
     } else {
       // Fallback: listen for localStorage changes (same-origin only)
@@ -203,6 +395,96 @@ window.ChatGPTLabel = (() => {
 
   // --- End of Chrome Storage Sync Helper ---
 
+  // --- Label Paths ---
+
+  /**
+   * Trims each segment of a label path and drops empty ones.
+   * @param {string} path - e.g. " client / acme/ billing "
+   * @returns {string} e.g. "client/acme/billing"
+   */
+  function normalizeLabelPath(path) {
+    return (path || "")
+      .split(LABEL_SEPARATOR)
+      .map((segment) => segment.trim())
+      .filter(Boolean)
+      .join(LABEL_SEPARATOR);
+  }
+
+  function isWithinPath(name, path) {
+    return name === path || name.startsWith(path + LABEL_SEPARATOR);
+  }
+
+  /**
+   * Lists every label path in tree order, including parents that only exist
+   * because a nested label names them.
+   * @returns {Array<{path: string, depth: number, id: string|null, color: string|null}>}
+   */
+  function getLabelTree() {
+    const byPath = new Map();
+    Object.entries(appState.data.labels).forEach(([id, { name, color }]) => {
+      const segments = name.split(LABEL_SEPARATOR);
+      segments.forEach((_, i) => {
+        const path = segments.slice(0, i + 1).join(LABEL_SEPARATOR);
+        if (!byPath.has(path)) {
+          byPath.set(path, { path, depth: i, id: null, color: null });
+        }
+      });
+      Object.assign(byPath.get(name), { id, color });
+    });
+    // Compare segment by segment so children always follow their parent
+    const compare = (a, b) => {
+      const left = a.path.split(LABEL_SEPARATOR);
+      const right = b.path.split(LABEL_SEPARATOR);
+      for (let i = 0; i < Math.min(left.length, right.length); i++) {
+        const order = left[i].localeCompare(right[i], undefined, {
+          sensitivity: "base",
+        });
+        if (order) return order;
+      }
+      return left.length - right.length;
+    };
+    return [...byPath.values()].sort(compare);
+  }
+
+  /**
+   * Finds the color a new label inherits from its closest existing parent.
+   */
+  function getInheritedColor(path) {
+    const segments = path.split(LABEL_SEPARATOR);
+    for (let i = segments.length - 1; i > 0; i--) {
+      const parent = segments.slice(0, i).join(LABEL_SEPARATOR);
+      const label = Object.values(appState.data.labels).find(
+        (l) => l.name === parent
+      );
+      if (label) return label.color;
+    }
+    return hslToHex(Math.random() * 360, 70, 50);
+  }
+
+  /**
+   * Returns the labels assigned to a conversation.
+   * @param {string} conversationId
+   * @returns {Array<{id: string, name: string, color: string}>}
+   */
+  function getLabelsFor(conversationId) {
+    return (appState.data.chatLabels[conversationId] || [])
+      .map(
+        (id) => appState.data.labels[id] && { id, ...appState.data.labels[id] }
+      )
+      .filter(Boolean);
+  }
+
+  /**
+   * Whether a conversation has the label at `path` or one nested under it.
+   * @param {string} conversationId
+   * @param {string} path
+   */
+  function hasLabel(conversationId, path) {
+    return getLabelsFor(conversationId).some((label) =>
+      isWithinPath(label.name, path)
+    );
+  }
+
   /**
    * Fetches ALL conversations from the History Manager's local cache.
    */
@@ -363,7 +645,7 @@ window.ChatGPTLabel = (() => {
       .le-label-pill-clickable { cursor: pointer; transition: all 0.2s ease; padding: 8px 12px; font-size: 0.85rem; gap: 6px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
       .le-label-pill-clickable:hover { transform: translateY(-1px); box-shadow: 0 4px 8px rgba(0,0,0,0.2); }
       .le-label-count { padding: 2px 6px; border-radius: 50%; font-size: 1rem; font-weight: 600; margin-left: 6px; }
-      .le-available-labels-grid { display: flex; flex-wrap: wrap; gap: 12px; justify-content: center; max-width: 600px; margin: 0 auto; }
+      .le-available-labels-grid { display: flex; flex-direction: column; align-items: flex-start; gap: 8px; max-width: 600px; margin: 0 auto; }
       .le-label-pill.in-search { cursor: pointer; }
       .le-label-pills-container { display: flex; gap: 6px; flex-wrap: wrap; }
       .le-sidebar-btn { color: var(--text-secondary); margin-left: auto; padding: 4px; border-radius: 4px; transition: background-color 0.2s, color 0.2s; background: none; border: none; cursor: pointer; display: flex; align-items: center; }
@@ -460,8 +742,14 @@ window.ChatGPTLabel = (() => {
 
     switch (status) {
       case "synced":
+        // Labels that outgrew sync storage are only saved on this device
         syncStatusEl.className = `${sync} synced btn`;
-        syncStatusEl.textContent = "Synced ✓";
+        syncStatusEl.textContent =
+          storageArea === "local" ? "Saved on this device ✓" : "Synced ✓";
+        syncStatusEl.title =
+          storageArea === "local"
+            ? "Labels no longer fit in Chrome sync storage, so they aren't synced to your other devices."
+            : "";
         break;
       case "syncing":
         syncStatusEl.className = `${sync} btn`;
@@ -627,8 +915,17 @@ window.ChatGPTLabel = (() => {
     }
 
     const { labels, chatLabels } = appState.data;
+    // A full path also finds its nested labels; anything else is a substring
+    const path = normalizeLabelPath(query);
+    const isPath = getLabelTree().some(
+      (node) => node.path.toLowerCase() === path
+    );
     const matchingLabelIds = Object.entries(labels)
-      .filter(([, { name }]) => name.toLowerCase().includes(query))
+      .filter(([, { name }]) =>
+        isPath
+          ? isWithinPath(name.toLowerCase(), path)
+          : name.toLowerCase().includes(query)
+      )
       .map(([id]) => id);
 
     const filteredConversations = allConversations.filter((convo) => {
@@ -641,30 +938,42 @@ window.ChatGPTLabel = (() => {
     renderSearchResults(filteredConversations);
   }
 
-  function showLabelAssignmentPopover(conversationId) {
+  /**
+   * Opens the popover that applies labels to one or more conversations.
+   * A label only some of them have shows as a mixed checkbox.
+   * @param {string|Array<string>} conversationIds
+   */
+  function showLabelAssignmentPopover(conversationIds) {
     closeLabelAssignmentPopover();
-    const { labels, chatLabels } = appState.data;
-    const assignedLabelIds = new Set(chatLabels[conversationId] || []);
+    const ids = [].concat(conversationIds);
+    const { chatLabels } = appState.data;
+    const countOf = (labelId) =>
+      ids.filter((id) => (chatLabels[id] || []).includes(labelId)).length;
 
     let labelItemsHTML = "";
-    const labelEntries = Object.entries(labels);
-
-    if (labelEntries.length > 0) {
-      labelItemsHTML = labelEntries
-        .map(
-          ([id, { name, color }]) => `
-        <div class="le-popover-label-item ignore-this">
+    const labelNodes = getLabelTree().filter((node) => node.id);
+
+    if (labelNodes.length > 0) {
+      labelItemsHTML = labelNodes
+        .map(({ id, path, depth, color }) => {
+          const count = countOf(id);
+          return `
+        <div class="le-popover-label-item ignore-this" style="padding-left: ${
+          depth * 16
+        }px;">
           <input type="checkbox" id="le-cb-${id}" data-label-id="${id}" ${
-            assignedLabelIds.has(id) ? "checked" : ""
-          }>
-          <label for="le-cb-${id}">${escapeHTML(name)}</label>
+            count === ids.length ? "checked" : ""
+          } ${count > 0 && count < ids.length ? "data-mixed" : ""}>
+          <label for="le-cb-${id}" title="${escapeHTML(path)}">${escapeHTML(
+            path.split(LABEL_SEPARATOR).pop()
+          )}</label>
           <label class="le-color-swatch-label" title="Change label color">
             <input type="color" class="le-color-picker-input" data-label-id="${id}" value="${color}">
             <span class="le-color-swatch" style="background-color: ${color};"></span>
           </label>
         </div>
-      `
-        )
+      `;
+        })
         .join("");
     } else {
       labelItemsHTML = `
@@ -681,14 +990,16 @@ window.ChatGPTLabel = (() => {
       <div id="le-popover" class="le-popover">
         <button class="le-popover-close-btn">×</button>
         <div class="le-popover-section">
-          <h4>Apply Labels</h4>
+          <h4>Apply Labels${
+            ids.length > 1 ? ` to ${ids.length} conversations` : ""
+          }</h4>
           <div class="le-popover-labels-list">
             ${labelItemsHTML}
           </div>
         </div>
         <div class="le-popover-section">
           <h4>Create New Label</h4>
-          <input type="text" id="le-new-label-input" placeholder="Enter label name..." class="le-popover-new-label-input">
+          <input type="text" id="le-new-label-input" placeholder="Label name, or a path like client/acme..." class="le-popover-new-label-input">
         </div>
       </div>
     `;
@@ -716,26 +1027,11 @@ window.ChatGPTLabel = (() => {
 
     // Checkbox event listeners
     popover.querySelectorAll('input[type="checkbox"]').forEach((cb) => {
+      cb.indeterminate = cb.hasAttribute("data-mixed");
       cb.addEventListener("change", async () => {
         updateSyncStatus("syncing");
         try {
-          const labelId = cb.dataset.labelId;
-          const currentChatLabels =
-            appState.data.chatLabels[conversationId] || [];
-
-          if (cb.checked) {
-            if (!currentChatLabels.includes(labelId)) {
-              appState.data.chatLabels[conversationId] = [
-                ...currentChatLabels,
-                labelId,
-              ];
-            }
-          } else {
-            appState.data.chatLabels[conversationId] = currentChatLabels.filter(
-              (id) => id !== labelId
-            );
-          }
-
+          setLabelAssigned(ids, cb.dataset.labelId, cb.checked);
           await saveStoredData(appState.data);
           updateSyncStatus("synced");
         } catch (error) {
@@ -773,18 +1069,16 @@ window.ChatGPTLabel = (() => {
     // New label input
     const newLabelInput = popover.querySelector("#le-new-label-input");
     newLabelInput.addEventListener("keydown", async (e) => {
-      if (e.key === "Enter" && newLabelInput.value.trim()) {
+      // Keep typing from reaching page shortcuts; Escape still closes
+      if (e.key !== "Escape") e.stopPropagation();
+      const newName = normalizeLabelPath(newLabelInput.value);
+      if (e.key === "Enter" && newName) {
         updateSyncStatus("syncing");
         try {
-          const newName = newLabelInput.value.trim();
-          const newId = generateShortId();
-          const randomHue = Math.random() * 360;
-          const newColor = hslToHex(randomHue, 70, 50);
-
-          appState.data.labels[newId] = { name: newName, color: newColor };
+          setLabelAssigned(ids, ensureLabel(newName), true);
           await saveStoredData(appState.data);
           updateSyncStatus("synced");
-          closeLabelAssignmentPopover();
+          showLabelAssignmentPopover(ids);
         } catch (error) {
           console.error("[Label Explorer] Error creating new label:", error);
           updateSyncStatus("error");
@@ -795,6 +1089,46 @@ window.ChatGPTLabel = (() => {
     setTimeout(() => newLabelInput.focus(), 100);
   }
 
+  /**
+   * Returns the ID of the label at `path`, creating it if needed. Paths match
+   * case-insensitively so "Finance" and "finance" stay one label.
+   */
+  function ensureLabel(path) {
+    let labelId = Object.keys(appState.data.labels).find(
+      (id) => appState.data.labels[id].name.toLowerCase() === path.toLowerCase()
+    );
+    if (!labelId) {
+      labelId = generateShortId();
+      appState.data.labels[labelId] = {
+        name: path,
+        color: getInheritedColor(path),
+      };
+    }
+    return labelId;
+  }
+
+  /**
+   * Adds a label to conversations without opening any UI.
+   * @param {Array<string>} conversationIds
+   * @param {string} path - Label path, created if it doesn't exist.
+   */
+  async function assignLabel(conversationIds, path) {
+    const name = normalizeLabelPath(path);
+    if (!name || conversationIds.length === 0) return;
+    setLabelAssigned(conversationIds, ensureLabel(name), true);
+    await saveStoredData(appState.data);
+  }
+
+  function setLabelAssigned(conversationIds, labelId, assigned) {
+    const { chatLabels } = appState.data;
+    conversationIds.forEach((id) => {
+      const current = (chatLabels[id] || []).filter((l) => l !== labelId);
+      if (assigned) chatLabels[id] = [...current, labelId];
+      else if (current.length) chatLabels[id] = current;
+      else delete chatLabels[id];
+    });
+  }
+
   function hslToHex(h, s, l) {
     l /= 100;
     const a = (s * Math.min(l, 1 - l)) / 100;
@@ -859,10 +1193,9 @@ window.ChatGPTLabel = (() => {
 
   function showAvailableLabels() {
     const contentArea = document.getElementById("le-content");
-    const { labels } = appState.data;
-    const labelEntries = Object.entries(labels);
+    const labelNodes = getLabelTree();
 
-    if (labelEntries.length === 0) {
+    if (labelNodes.length === 0) {
       contentArea.innerHTML = `
         <div style="text-align: center; color: var(--text-tertiary); padding: 2rem;">
           <p style="margin-bottom: 1rem;">No labels created yet.</p>
@@ -873,17 +1206,25 @@ window.ChatGPTLabel = (() => {
       return;
     }
 
-    const pillsHTML = labelEntries
-      .map(([id, { name, color }]) => {
-        const escapedName = escapeHTML(name);
+    // Parents without a label of their own are shown greyed out
+    const pillsHTML = labelNodes
+      .map(({ id, path, depth, color }) => {
+        const escapedPath = escapeHTML(path);
+        const escapedName = escapeHTML(path.split(LABEL_SEPARATOR).pop());
         return `
-      <div class="le-label-pill le-label-pill-clickable" 
-           style="background-color: ${color};" 
-           data-label-id="${id}" 
-           data-label-name="${escapedName}" 
-           title="Single-click to search.">
-        ${escapedName}
-        <span class="le-label-count" title="Delete ${escapedName}">×</span>
+      <div class="le-label-tree-row" style="padding-left: ${depth * 24}px;">
+        <div class="le-label-pill le-label-pill-clickable"
+             style="background-color: ${color || "var(--text-tertiary)"};"
+             data-label-id="${id || ""}"
+             data-label-name="${escapedPath}"
+             title="Click to search ${escapedPath} and the labels under it.">
+          ${escapedName}
+          ${
+            id
+              ? `<span class="le-label-count" title="Delete ${escapedPath}">×</span>`
+              : ""
+          }
+        </div>
       </div>
     `;
       })
@@ -914,7 +1255,7 @@ window.ChatGPTLabel = (() => {
 
       // Delete button
       const deleteBtn = pill.querySelector(".le-label-count");
-      deleteBtn.addEventListener("click", (e) => {
+      deleteBtn?.addEventListener("click", (e) => {
         e.stopPropagation();
         handleDeleteLabel(pill.dataset.labelId);
       });
@@ -978,7 +1319,7 @@ window.ChatGPTLabel = (() => {
                  data-convo-id="${convo.id}" 
                  style="background-color: ${label.color};" 
                  title="Double-click to remove label">
-              ${label.name}
+              ${escapeHTML(label.name)}
             </div>
           `;
           })
@@ -989,9 +1330,9 @@ window.ChatGPTLabel = (() => {
         <div class="le-conversation-item">
           <a class="title" href="/c/${
             convo.id
-          }" target="_blank" style="opacity: ${convo.is_archive ? 0.5 : 1};">${
-          convo.title
-        }</a>
+          }" target="_blank" style="opacity: ${convo.is_archive ? 0.5 : 1};">${escapeHTML(
+            convo.title
+          )}</a>
           <div class="le-label-pills-container">
             ${pillsHTML}
           </div>
@@ -1131,21 +1472,23 @@ window.ChatGPTLabel = (() => {
   }
 
   async function main() {
+    // Set up storage sync listener; it also retries a failed load
+    initializeStorageListener();
+
     try {
       // Load data from Chrome Storage Sync
       appState.data = await getStoredData();
+      appState.loaded = true;
 
       // Initialize ID counter based on existing data
       await initializeIdCounter();
 
-      // Set up storage sync listener
-      initializeStorageListener();
-
       console.log(
         `[Label Explorer] Initialized with ${
           Object.keys(appState.data.labels).length
         } labels, ID counter at ${idCounter}`
       );
+      ChatGPThistory.refreshLabels();
     } catch (error) {
       console.error("[Label Explorer] Initialization error:", error);
       appState.data = { labels: {}, chatLabels: {} };
@@ -1153,9 +1496,12 @@ window.ChatGPTLabel = (() => {
 
     injectStyles();
 
-    document.addEventListener("keydown", (e) => {
-      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "l") {
-        e.preventDefault();
+    ChatGPTShortcuts.register({
+      id: "label.open",
+      name: "Open Label Manager",
+      binding: "Alt+L",
+      keywords: "tags folders",
+      handler: () => {
         const container = document.getElementById("le-modal-container");
         const isVisible = container && container.style.display !== "none";
 
@@ -1168,7 +1514,10 @@ window.ChatGPTLabel = (() => {
         injectionLogic();
 
         toggleModalVisibility(!isVisible);
-      } else if (e.key === "Escape") {
+      },
+    });
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
         closeLabelAssignmentPopover();
         toggleModalVisibility(false);
       }
@@ -1180,7 +1529,13 @@ window.ChatGPTLabel = (() => {
 
   main();
   return {
+    isLoaded: () => appState.loaded,
     getStoredData,
     validateChatlabels,
+    showLabelAssignmentPopover,
+    assignLabel,
+    getLabelTree,
+    getLabelsFor,
+    hasLabel,
   };
 })();
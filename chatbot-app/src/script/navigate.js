@@ -0,0 +1,295 @@
+window.ChatGPTNavigate = (() => {
+  const SELECTORS = {
+    turn: "article[data-turn-id]",
+    message: "[data-message-author-role]",
+    codeBlock: "article[data-turn-id] pre",
+  };
+  const FOCUS_CLASS = "cnav-focused";
+  const COLLAPSED_CLASS = "cnav-collapsed";
+
+  let focusedTurn = null;
+  let focusedCode = null;
+
+  function injectStyles() {
+    if (document.getElementById("cnav-styles")) return;
+
+    const cssTemplate = `
+      .${FOCUS_CLASS} { outline: 2px solid var(--accent-primary, #10a37f); outline-offset: 4px; border-radius: 12px; position: relative; }
+      pre.${FOCUS_CLASS} { outline-offset: 2px; }
+      .${COLLAPSED_CLASS} [data-message-author-role] { max-height: 4.5em; overflow: hidden; -webkit-mask-image: linear-gradient(to bottom, #000 40%, transparent); mask-image: linear-gradient(to bottom, #000 40%, transparent); }
+      #cnav-toolbar { position: absolute; top: 4px; right: 4px; z-index: 20; display: flex; gap: 2px; padding: 2px; background: var(--main-surface-primary); border: 1px solid var(--border-medium); border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); }
+      #cnav-toolbar button { padding: 4px 8px; border-radius: 6px; font-size: 0.75rem; color: var(--text-secondary); cursor: pointer; }
+      #cnav-toolbar button:hover { background: var(--surface-hover); color: var(--text-primary); }
+      #cnav-notice { position: fixed; bottom: 20px; left: 50%; transform: translateX(-50%); z-index: 10001; padding: 8px 14px; border-radius: 10px; background: var(--main-surface-primary); color: var(--text-primary); border: 1px solid var(--border-medium); box-shadow: 0 8px 24px rgba(0,0,0,0.15); font-size: 0.875rem; }
+    `;
+
+    const styleSheet = document.createElement("style");
+    styleSheet.id = "cnav-styles";
+    styleSheet.textContent = cssTemplate;
+    document.head.appendChild(styleSheet);
+  }
+
+  function showNotice(text) {
+    document.getElementById("cnav-notice")?.remove();
+    const notice = document.createElement("div");
+    notice.id = "cnav-notice";
+    notice.textContent = text;
+    document.body.appendChild(notice);
+    setTimeout(() => notice.remove(), 1800);
+  }
+
+  function getTurns() {
+    return [...document.querySelectorAll(SELECTORS.turn)];
+  }
+
+  function getRole(turn) {
+    return turn
+      .querySelector(SELECTORS.message)
+      ?.getAttribute("data-message-author-role");
+  }
+
+  /**
+   * The turn navigation starts from: the focused one if it is still on the
+   * page, otherwise the first turn at the top of the viewport.
+   */
+  function getCurrentTurn() {
+    if (focusedTurn?.isConnected) return focusedTurn;
+    return (
+      getTurns().find((turn) => turn.getBoundingClientRect().bottom > 80) ||
+      null
+    );
+  }
+
+  function clearFocus() {
+    document
+      .querySelectorAll(`.${FOCUS_CLASS}`)
+      .forEach((element) => element.classList.remove(FOCUS_CLASS));
+    document.getElementById("cnav-toolbar")?.remove();
+    focusedTurn = null;
+    focusedCode = null;
+  }
+
+  /**
+   * Moves the focus ring to a turn and shows its action toolbar.
+   * @param {HTMLElement} turn - An `article[data-turn-id]`.
+   */
+  function focusTurn(turn) {
+    if (!turn) return;
+    injectStyles();
+    clearFocus();
+    focusedTurn = turn;
+    turn.classList.add(FOCUS_CLASS);
+    turn.setAttribute("tabindex", "-1");
+    turn.focus({ preventScroll: true });
+    turn.scrollIntoView({ behavior: "smooth", block: "start" });
+    addToolbar(turn);
+  }
+
+  function addToolbar(turn) {
+    const toolbar = document.createElement("div");
+    toolbar.id = "cnav-toolbar";
+    toolbar.innerHTML = `
+      <button data-action="copy" title="Copy this turn">Copy</button>
+      <button data-action="collapse" title="Collapse or expand this turn">${
+        turn.classList.contains(COLLAPSED_CLASS) ? "Expand" : "Collapse"
+      }</button>
+      <button data-action="export" title="Save this turn as a webpage">Export</button>
+      <button data-action="bookmark" title="Bookmark or unbookmark this turn">Bookmark</button>
+      <button data-action="link" title="Copy a link that jumps back to this turn">Link</button>
+    `;
+    toolbar.addEventListener("click", (e) => {
+      const action = e.target.closest("[data-action]")?.dataset.action;
+      if (action) TURN_ACTIONS[action]();
+    });
+    turn.appendChild(toolbar);
+  }
+
+  /**
+   * Focuses the next (or previous) turn, optionally only turns of one role.
+   * @param {1 | -1} direction
+   * @param {'user' | 'assistant' | null} role
+   */
+  function moveFocus(direction, role = null) {
+    const turns = getTurns();
+    const current = getCurrentTurn();
+    let index = current ? turns.indexOf(current) : -1;
+    // Without a focused turn, the first step lands on the current one
+    if (!focusedTurn?.isConnected && current) index -= direction;
+    for (
+      let i = index + direction;
+      i >= 0 && i < turns.length;
+      i += direction
+    ) {
+      if (!role || getRole(turns[i]) === role) {
+        focusTurn(turns[i]);
+        return;
+      }
+    }
+    showNotice(
+      `No ${direction > 0 ? "next" : "previous"} ${role || ""} turn`.replace(
+        /\s+/g,
+        " "
+      )
+    );
+  }
+
+  function focusEdge(last) {
+    const turns = getTurns();
+    focusTurn(last ? turns[turns.length - 1] : turns[0]);
+  }
+
+  function focusNextCodeBlock() {
+    const blocks = [...document.querySelectorAll(SELECTORS.codeBlock)];
+    if (!blocks.length) {
+      showNotice("No code blocks in this chat");
+      return;
+    }
+    let next;
+    if (focusedCode?.isConnected) {
+      next = blocks[blocks.indexOf(focusedCode) + 1];
+    } else {
+      // First block below the focused turn's top, or below the viewport top
+      const top = focusedTurn?.isConnected
+        ? focusedTurn.getBoundingClientRect().top
+        : 0;
+      next = blocks.find((block) => block.getBoundingClientRect().top > top);
+    }
+    next ||= blocks[0]; // Wrap around
+
+    focusTurn(next.closest(SELECTORS.turn));
+    focusedCode = next;
+    next.classList.add(FOCUS_CLASS);
+    next.scrollIntoView({ behavior: "smooth", block: "center" });
+  }
+
+  function requireFocusedTurn() {
+    if (focusedTurn?.isConnected) return focusedTurn;
+    showNotice("Move to a turn first");
+    return null;
+  }
+
+  const TURN_ACTIONS = {
+    async copy() {
+      const turn = requireFocusedTurn();
+      if (!turn) return;
+      const text = [...turn.querySelectorAll(SELECTORS.message)]
+        .map((message) => message.innerText.trim())
+        .join("\n\n");
+      try {
+        await navigator.clipboard.writeText(text);
+        showNotice("Turn copied");
+      } catch (error) {
+        console.error("❌ [Navigator] Could not copy turn:", error);
+        showNotice("Could not copy this turn");
+      }
+    },
+    collapse() {
+      const turn = requireFocusedTurn();
+      if (!turn) return;
+      turn.classList.toggle(COLLAPSED_CLASS);
+      focusTurn(turn);
+    },
+    export() {
+      const turn = requireFocusedTurn();
+      if (!turn) return;
+      const id = turn.getAttribute("data-turn-id");
+      ChatGPTExport.exportOrPrintHTML(
+        "Save Webpage",
+        {
+          user: true,
+          assistant: true,
+          reason: false,
+          replaceCanvas: true,
+          saveImages: true,
+          saveStyles: false,
+        },
+        `article[data-turn-id='${id}']`
+      );
+    },
+    async bookmark() {
+      const turn = requireFocusedTurn();
+      if (!turn) return;
+      const marked = await ChatGPTBookmarks.toggleBookmark(turn);
+      showNotice(marked ? "Turn bookmarked" : "Bookmark removed");
+    },
+    // A link history.js opens by scrolling to the message
+    async link() {
+      const turn = requireFocusedTurn();
+      if (!turn) return;
+      const messageId = turn
+        .querySelector("[data-message-id]")
+        ?.getAttribute("data-message-id");
+      if (!messageId) return;
+      const url = `${window.location.origin}${
+        window.location.pathname
+      }#chm-msg=${encodeURIComponent(messageId)}`;
+      try {
+        await navigator.clipboard.writeText(url);
+        showNotice("Link to this turn copied");
+      } catch (error) {
+        console.error("❌ [Navigator] Could not copy link:", error);
+        showNotice("Could not copy the link");
+      }
+    },
+  };
+
+  const COMMANDS = [
+    ["nextUser", "Next user turn", "Alt+J", () => moveFocus(1, "user")],
+    [
+      "previousUser",
+      "Previous user turn",
+      "Alt+K",
+      () => moveFocus(-1, "user"),
+    ],
+    [
+      "nextAssistant",
+      "Next assistant turn",
+      "Alt+Shift+J",
+      () => moveFocus(1, "assistant"),
+    ],
+    [
+      "previousAssistant",
+      "Previous assistant turn",
+      "Alt+Shift+K",
+      () => moveFocus(-1, "assistant"),
+    ],
+    ["firstTurn", "First turn", "Alt+Home", () => focusEdge(false)],
+    ["lastTurn", "Last turn", "Alt+End", () => focusEdge(true)],
+    ["nextCodeBlock", "Next code block", "Alt+C", focusNextCodeBlock],
+    ["copyTurn", "Copy focused turn", "Alt+Shift+C", TURN_ACTIONS.copy],
+    [
+      "collapseTurn",
+      "Collapse focused turn",
+      "Alt+Shift+H",
+      TURN_ACTIONS.collapse,
+    ],
+    ["exportTurn", "Export focused turn", "Alt+Shift+E", TURN_ACTIONS.export],
+    ["copyLink", "Copy link to focused turn", "Alt+Shift+L", TURN_ACTIONS.link],
+  ];
+
+  COMMANDS.forEach(([id, name, binding, handler]) =>
+    ChatGPTShortcuts.register({
+      id: `navigate.${id}`,
+      name,
+      binding,
+      group: "Navigate",
+      keywords: "jump turn message",
+      handler,
+    })
+  );
+
+  // Escape drops the focus ring; clicking outside the turn drops it too
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && focusedTurn) clearFocus();
+  });
+  document.addEventListener("mousedown", (e) => {
+    if (!focusedTurn || e.target.closest("#cnav-toolbar")) return;
+    if (!focusedTurn.contains(e.target)) clearFocus();
+  });
+
+  return {
+    focusTurn,
+    getFocusedTurn: () => (focusedTurn?.isConnected ? focusedTurn : null),
+    clearFocus,
+  };
+})();
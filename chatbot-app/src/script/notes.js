@@ -0,0 +1,274 @@
+window.ChatGPTNotes = (() => {
+  // Notes live in the History Manager's IndexedDB so its list can show them
+  const { cacheManager } = ChatGPThistory;
+  const { escapeHTML } = ChatGPTUtils;
+  const EXPORT_KEY = "notesInExports";
+  const SAVE_DELAY_MS = 600;
+
+  let conversationId = null;
+  let savedText = "";
+  let saveTimer = null;
+  let includeInExports = false; // Notes are private unless opted in
+  let panelOpen = false;
+  let checkTimer = null;
+
+  function injectStyles() {
+    if (document.getElementById("cnote-styles")) return;
+
+    const cssTemplate = `
+      #cnote-toggle { position: fixed; right: 12px; bottom: 140px; z-index: 30; width: 36px; height: 36px; border-radius: 50%; background: var(--main-surface-primary); border: 1px solid var(--border-medium); box-shadow: 0 2px 8px rgba(0,0,0,0.1); cursor: pointer; font-size: 1rem; }
+      #cnote-toggle:hover { background: var(--surface-hover); }
+      #cnote-toggle.has-note::after { content: ''; position: absolute; top: 2px; right: 2px; width: 8px; height: 8px; border-radius: 50%; background: var(--accent-primary, #10a37f); }
+      #cnote-panel { position: fixed; right: 12px; bottom: 184px; z-index: 31; width: min(360px, 90vw); height: min(420px, 60vh); display: flex; flex-direction: column; background: var(--main-surface-primary); color: var(--text-primary); border: 1px solid var(--border-medium); border-radius: 12px; box-shadow: 0 8px 24px rgba(0,0,0,0.15); font-size: 0.875rem; }
+      #cnote-header { display: flex; align-items: center; gap: 8px; padding: 8px 12px; border-bottom: 1px solid var(--border-light); }
+      #cnote-header .cnote-title { font-weight: 600; flex: 1; }
+      #cnote-header button { padding: 2px 8px; border-radius: 6px; color: var(--text-secondary); cursor: pointer; }
+      #cnote-header button:hover, #cnote-header button.active { background: var(--surface-hover); color: var(--text-primary); }
+      #cnote-text { flex: 1; padding: 10px 12px; resize: none; border: none; outline: none; background: transparent; color: var(--text-primary); font-family: ui-monospace, monospace; font-size: 0.8125rem; }
+      #cnote-preview { flex: 1; padding: 10px 12px; overflow-y: auto; }
+      #cnote-preview h1, #cnote-preview h2, #cnote-preview h3 { font-weight: 600; margin: 8px 0 4px; }
+      #cnote-preview ul { list-style: disc; padding-left: 20px; }
+      #cnote-preview code { padding: 0 4px; border-radius: 4px; background: var(--main-surface-secondary); }
+      #cnote-preview a { text-decoration: underline; }
+      #cnote-footer { display: flex; align-items: center; justify-content: space-between; padding: 6px 12px; border-top: 1px solid var(--border-light); font-size: 0.75rem; color: var(--text-tertiary); }
+      #cnote-footer label { display: flex; align-items: center; gap: 6px; cursor: pointer; }
+    `;
+
+    const styleSheet = document.createElement("style");
+    styleSheet.id = "cnote-styles";
+    styleSheet.textContent = cssTemplate;
+    document.head.appendChild(styleSheet);
+  }
+
+  /**
+   * Renders the Markdown a note usually needs: headings, lists, emphasis,
+   * inline code and links.
+   */
+  function renderMarkdown(text) {
+    const inline = (line) =>
+      escapeHTML(line)
+        .replace(/`([^`]+)`/g, "<code>$1</code>")
+        .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+        .replace(/\*([^*]+)\*/g, "<em>$1</em>")
+        .replace(
+          /\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g,
+          '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>'
+        );
+    let html = "";
+    let inList = false;
+    text.split("\n").forEach((line) => {
+      const item = line.match(/^\s*[-*]\s+(.*)/);
+      if (item && !inList) html += "<ul>";
+      if (!item && inList) html += "</ul>";
+      inList = !!item;
+      const heading = line.match(/^(#{1,3})\s+(.*)/);
+      if (item) html += `<li>${inline(item[1])}</li>`;
+      else if (heading) {
+        const level = heading[1].length;
+        html += `<h${level}>${inline(heading[2])}</h${level}>`;
+      } else if (line.trim()) html += `<p>${inline(line)}</p>`;
+    });
+    return html + (inList ? "</ul>" : "");
+  }
+
+  /**
+   * Returns a conversation's note text, or "" if it has none.
+   * @param {string} id - Conversation ID.
+   */
+  async function getNote(id) {
+    try {
+      return (await cacheManager.getNote(id))?.text || "";
+    } catch (error) {
+      console.error("❌ [Notes] Could not load note:", error);
+      return "";
+    }
+  }
+
+  async function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const textarea = document.getElementById("cnote-text");
+    if (!textarea || !conversationId) return;
+    const text = textarea.value;
+    if (text === savedText) return;
+    try {
+      await cacheManager.putNote(conversationId, text);
+      savedText = text;
+      setStatus(
+        `Saved ${new Date().toLocaleTimeString([], {
+          hour: "numeric",
+          minute: "2-digit",
+        })}`
+      );
+      updateToggle();
+    } catch (error) {
+      console.error("❌ [Notes] Could not save note:", error);
+      setStatus("Could not save");
+    }
+  }
+
+  function setStatus(text) {
+    const status = document.getElementById("cnote-status");
+    if (status) status.textContent = text;
+  }
+
+  function updateToggle() {
+    const toggle = document.getElementById("cnote-toggle");
+    if (!toggle) return;
+    toggle.classList.toggle("has-note", !!savedText.trim());
+    toggle.title = savedText.trim() ? "Conversation notes" : "Add a note";
+  }
+
+  function showPreview(preview) {
+    const textarea = document.getElementById("cnote-text");
+    const previewEl = document.getElementById("cnote-preview");
+    textarea.style.display = preview ? "none" : "";
+    previewEl.style.display = preview ? "" : "none";
+    document
+      .getElementById("cnote-edit-btn")
+      .classList.toggle("active", !preview);
+    document
+      .getElementById("cnote-preview-btn")
+      .classList.toggle("active", preview);
+    if (preview) {
+      previewEl.innerHTML =
+        renderMarkdown(textarea.value) ||
+        `<p style="color: var(--text-tertiary);">Nothing written yet.</p>`;
+    } else {
+      textarea.focus();
+    }
+  }
+
+  function openPanel() {
+    if (!conversationId) return;
+    injectStyles();
+    panelOpen = true;
+    let panel = document.getElementById("cnote-panel");
+    if (panel) return;
+    panel = document.createElement("div");
+    panel.id = "cnote-panel";
+    panel.innerHTML = `
+      <div id="cnote-header">
+        <span class="cnote-title">Notes</span>
+        <button id="cnote-edit-btn" class="active">Edit</button>
+        <button id="cnote-preview-btn">Preview</button>
+        <button id="cnote-close-btn" title="Close">✕</button>
+      </div>
+      <textarea id="cnote-text" placeholder="Why this chat exists, what came out of it, follow-ups... Markdown works."></textarea>
+      <div id="cnote-preview" style="display: none;"></div>
+      <div id="cnote-footer">
+        <label title="Add this note to the top of Markdown and JSON exports">
+          <input type="checkbox" id="cnote-export">
+          Include in exports
+        </label>
+        <span id="cnote-status"></span>
+      </div>
+    `;
+    document.body.appendChild(panel);
+
+    const textarea = panel.querySelector("#cnote-text");
+    textarea.value = savedText;
+    textarea.addEventListener("input", () => {
+      setStatus("Editing...");
+      clearTimeout(saveTimer);
+      saveTimer = setTimeout(save, SAVE_DELAY_MS);
+    });
+    // Keep typing from reaching page shortcuts
+    textarea.addEventListener("keydown", (e) => e.stopPropagation());
+    textarea.addEventListener("blur", save);
+
+    const exportBox = panel.querySelector("#cnote-export");
+    exportBox.checked = includeInExports;
+    exportBox.addEventListener("change", () => {
+      includeInExports = exportBox.checked;
+      if (chrome?.storage?.local) {
+        chrome.storage.local.set({ [EXPORT_KEY]: includeInExports });
+      }
+    });
+    panel
+      .querySelector("#cnote-edit-btn")
+      .addEventListener("click", () => showPreview(false));
+    panel
+      .querySelector("#cnote-preview-btn")
+      .addEventListener("click", () => showPreview(true));
+    panel
+      .querySelector("#cnote-close-btn")
+      .addEventListener("click", closePanel);
+
+    // Existing notes open as rendered Markdown
+    showPreview(!!savedText.trim());
+  }
+
+  async function closePanel() {
+    panelOpen = false;
+    await save();
+    document.getElementById("cnote-panel")?.remove();
+  }
+
+  function togglePanel() {
+    if (document.getElementById("cnote-panel")) closePanel();
+    else openPanel();
+  }
+
+  /**
+   * Loads the note of the open conversation, saving the previous one first.
+   * Runs after every SPA navigation.
+   */
+  async function checkConversation() {
+    const id = ChatGPT.getConversationId() || null;
+    if (id === conversationId) return;
+    await save();
+    document.getElementById("cnote-panel")?.remove();
+    conversationId = id;
+    savedText = id ? await getNote(id) : "";
+
+    let toggle = document.getElementById("cnote-toggle");
+    if (!id) {
+      toggle?.remove();
+      return;
+    }
+    if (!toggle) {
+      injectStyles();
+      toggle = document.createElement("button");
+      toggle.id = "cnote-toggle";
+      toggle.textContent = "📝";
+      toggle.addEventListener("click", togglePanel);
+      document.body.appendChild(toggle);
+    }
+    updateToggle();
+    if (panelOpen) openPanel();
+  }
+
+  const observer = new MutationObserver(() => {
+    clearTimeout(checkTimer);
+    checkTimer = setTimeout(checkConversation, 300);
+  });
+  observer.observe(document.body, { childList: true, subtree: true });
+  window.addEventListener("beforeunload", save);
+
+  if (chrome?.storage?.local) {
+    chrome.storage.local.get([EXPORT_KEY], (result) => {
+      if (typeof result[EXPORT_KEY] === "boolean") {
+        includeInExports = result[EXPORT_KEY];
+      }
+    });
+  }
+  checkConversation();
+
+  ChatGPTShortcuts.register({
+    id: "notes.toggle",
+    name: "Toggle conversation notes",
+    binding: "Alt+N",
+    keywords: "memo annotate",
+    handler: togglePanel,
+  });
+
+  console.log("✅ [Notes] Script loaded successfully.");
+  return {
+    getNote,
+    open: openPanel,
+    get includeInExports() {
+      return includeInExports;
+    },
+  };
+})();
@@ -0,0 +1,301 @@
+window.ChatGPTOutline = (() => {
+  const COLLAPSED_KEY = "outlineCollapsed";
+  const PROMPT_LENGTH = 60;
+  const SELECTORS = {
+    turn: "article[data-turn-id]",
+    message: "[data-message-author-role]",
+    heading: ".markdown h1, .markdown h2, .markdown h3, .markdown h4",
+    stop: "[data-testid='stop-button']", // Shown while an answer streams
+  };
+
+  let collapsed = false;
+  let collapsedLoaded = false; // Attachments wait for the saved state
+  let entries = []; // { type, label, level, turnId, target }
+  let signature = "";
+  let attachments = new Map(); // turnId -> { canvases, images }
+  let attachmentsFor = ""; // "<conversationId>:<turn count>"
+  let rebuildTimer = null;
+  let scrollFrame = null;
+
+  function injectStyles() {
+    if (document.getElementById("cout-styles")) return;
+
+    const cssTemplate = `
+      #cout-panel { position: fixed; top: 72px; right: 12px; z-index: 30; width: 240px; max-height: calc(100vh - 160px); display: flex; flex-direction: column; background: var(--main-surface-primary); color: var(--text-primary); border: 1px solid var(--border-medium); border-radius: 12px; box-shadow: 0 4px 16px rgba(0,0,0,0.08); font-size: 0.8125rem; }
+      #cout-panel.collapsed { width: auto; }
+      #cout-panel.collapsed #cout-list { display: none; }
+      #cout-header { display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 6px 10px; }
+      #cout-title { font-weight: 600; }
+      #cout-toggle { padding: 2px 6px; border-radius: 6px; color: var(--text-secondary); cursor: pointer; }
+      #cout-toggle:hover { background: var(--surface-hover); }
+      #cout-list { overflow-y: auto; padding: 0 6px 6px; border-top: 1px solid var(--border-light); }
+      .cout-entry { display: block; width: 100%; padding: 4px 6px; border-radius: 6px; text-align: left; color: var(--text-secondary); white-space: nowrap; overflow: hidden; text-overflow: ellipsis; cursor: pointer; }
+      .cout-entry:hover { background: var(--surface-hover); color: var(--text-primary); }
+      .cout-entry.active { background: var(--surface-hover); color: var(--text-primary); font-weight: 500; }
+      .cout-entry.user { margin-top: 6px; color: var(--text-primary); }
+      .cout-entry.heading { font-size: 0.75rem; }
+      .cout-entry.canvas, .cout-entry.image { font-size: 0.75rem; font-style: italic; }
+      .cout-empty { padding: 8px 6px; color: var(--text-tertiary); }
+    `;
+
+    const styleSheet = document.createElement("style");
+    styleSheet.id = "cout-styles";
+    styleSheet.textContent = cssTemplate;
+    document.head.appendChild(styleSheet);
+  }
+
+  function truncate(text, length) {
+    const clean = text.replace(/\s+/g, " ").trim();
+    return clean.length > length ? `${clean.slice(0, length - 1)}…` : clean;
+  }
+
+  /**
+   * Loads canvases and generated images for the open chat. They only come
+   * from the backend, so this is refetched when the number of turns changes.
+   * A streaming answer isn't saved with its attachments yet, so the fetch
+   * waits until it ends; the stop button going away triggers a rebuild.
+   * Nothing is fetched while the panel is collapsed; opening it catches up.
+   */
+  async function loadAttachments(turnCount) {
+    if (collapsed || !collapsedLoaded) return;
+    if (document.querySelector(SELECTORS.stop)) return;
+    const conversationId = ChatGPT.getConversationId();
+    const key = `${conversationId}:${turnCount}`;
+    if (!conversationId || guestMode() || key === attachmentsFor) return;
+    const isNewTurn = attachmentsFor.startsWith(`${conversationId}:`);
+    attachmentsFor = key;
+    try {
+      const data = await ChatGPT.getApiData(null, true, isNewTurn);
+      if (!data || key !== attachmentsFor) return;
+      attachments = new Map();
+      data.turnMapData.forEach(({ canvases = [], images = [] }, turnId) => {
+        // A canvas appears once per edit; keep its latest version
+        const latest = new Map();
+        canvases.forEach((canvas) => {
+          const current = latest.get(canvas.textdoc_id);
+          if (!current || canvas.version >= current.version) {
+            latest.set(canvas.textdoc_id, canvas);
+          }
+        });
+        attachments.set(turnId, { canvases: [...latest.values()], images });
+      });
+      scheduleRebuild(0);
+    } catch (error) {
+      console.error("❌ [Outline] Could not load canvases and images:", error);
+    }
+  }
+
+  /**
+   * Builds outline entries in page order: each user prompt, then the
+   * headings, canvases and images of the answer that follows it.
+   */
+  function collectEntries() {
+    const collected = [];
+    document.querySelectorAll(SELECTORS.turn).forEach((turn) => {
+      const turnId = turn.getAttribute("data-turn-id");
+      const message = turn.querySelector(SELECTORS.message);
+      const role = message?.getAttribute("data-message-author-role");
+      if (role === "user") {
+        const label = truncate(message.innerText, PROMPT_LENGTH);
+        if (label) {
+          collected.push({
+            type: "user",
+            label,
+            level: 0,
+            turnId,
+            target: turn,
+          });
+        }
+        return;
+      }
+      turn.querySelectorAll(SELECTORS.heading).forEach((heading) => {
+        const label = truncate(heading.textContent, PROMPT_LENGTH);
+        if (!label) return;
+        collected.push({
+          type: "heading",
+          label,
+          level: parseInt(heading.tagName[1]),
+          turnId,
+          target: heading,
+        });
+      });
+      const { canvases = [], images = [] } = attachments.get(turnId) || {};
+      canvases.forEach((canvas) =>
+        collected.push({
+          type: "canvas",
+          label: `📄 ${canvas.title || "Canvas"}`,
+          level: 2,
+          turnId,
+          target: turn,
+        })
+      );
+      images.forEach((image) =>
+        collected.push({
+          type: "image",
+          label: `🖼️ ${truncate(image.prompt || "Generated image", PROMPT_LENGTH)}`,
+          level: 2,
+          turnId,
+          target: turn,
+        })
+      );
+    });
+    return collected;
+  }
+
+  function ensurePanel() {
+    let panel = document.getElementById("cout-panel");
+    if (panel) return panel;
+    injectStyles();
+    panel = document.createElement("nav");
+    panel.id = "cout-panel";
+    panel.setAttribute("aria-label", "Conversation outline");
+    panel.innerHTML = `
+      <div id="cout-header">
+        <span id="cout-title">Outline</span>
+        <button id="cout-toggle" title="Show or hide the outline"></button>
+      </div>
+      <div id="cout-list"></div>
+    `;
+    panel.querySelector("#cout-toggle").addEventListener("click", toggle);
+    panel.querySelector("#cout-list").addEventListener("click", (e) => {
+      const button = e.target.closest(".cout-entry");
+      const entry = button && entries[parseInt(button.dataset.index)];
+      if (!entry?.target.isConnected) return;
+      entry.target.scrollIntoView({ behavior: "smooth", block: "start" });
+    });
+    document.body.appendChild(panel);
+    signature = ""; // Force the list to render into the new panel
+    applyCollapsed(panel);
+    return panel;
+  }
+
+  function applyCollapsed(panel) {
+    panel.classList.toggle("collapsed", collapsed);
+    panel.querySelector("#cout-toggle").textContent = collapsed ? "☰" : "✕";
+  }
+
+  function toggle() {
+    collapsed = !collapsed;
+    const panel = document.getElementById("cout-panel");
+    if (panel) applyCollapsed(panel);
+    if (chrome?.storage?.local) {
+      chrome.storage.local.set({ [COLLAPSED_KEY]: collapsed });
+    }
+    if (!collapsed) scheduleRebuild(0); // Loads any attachments it skipped
+    updateActive();
+  }
+
+  function rebuild() {
+    const turnCount = document.querySelectorAll(SELECTORS.turn).length;
+    if (!turnCount) {
+      document.getElementById("cout-panel")?.remove();
+      entries = [];
+      return;
+    }
+    const panel = ensurePanel();
+    loadAttachments(turnCount);
+
+    const next = collectEntries();
+    const nextSignature = next
+      .map((entry) => `${entry.type}|${entry.turnId}|${entry.label}`)
+      .join("\n");
+    entries = next;
+    // Streaming answers mutate the page constantly; only re-render on change
+    if (nextSignature === signature) return;
+    signature = nextSignature;
+
+    const list = panel.querySelector("#cout-list");
+    list.innerHTML = "";
+    if (!entries.length) {
+      list.innerHTML = `<div class="cout-empty">Nothing to outline yet</div>`;
+      return;
+    }
+    entries.forEach((entry, index) => {
+      const button = document.createElement("button");
+      button.className = `cout-entry ${entry.type}`;
+      button.dataset.index = index;
+      button.style.paddingLeft = `${6 + Math.max(entry.level - 1, 0) * 10}px`;
+      button.textContent = entry.label;
+      button.title = entry.label;
+      list.appendChild(button);
+    });
+    updateActive();
+  }
+
+  function scheduleRebuild(delay = 500) {
+    clearTimeout(rebuildTimer);
+    rebuildTimer = setTimeout(rebuild, delay);
+  }
+
+  /**
+   * Highlights the last entry whose target has scrolled past the top third
+   * of the viewport.
+   */
+  function updateActive() {
+    const panel = document.getElementById("cout-panel");
+    if (!panel || collapsed) return;
+    const line = window.innerHeight / 3;
+    let activeIndex = 0;
+    entries.forEach((entry, index) => {
+      if (
+        entry.target.isConnected &&
+        entry.target.getBoundingClientRect().top <= line
+      ) {
+        activeIndex = index;
+      }
+    });
+    const buttons = panel.querySelectorAll(".cout-entry");
+    buttons.forEach((button, index) =>
+      button.classList.toggle("active", index === activeIndex)
+    );
+    buttons[activeIndex]?.scrollIntoView({ block: "nearest" });
+  }
+
+  // The chat scrolls inside its own container, so listen in the capture phase
+  document.addEventListener(
+    "scroll",
+    () => {
+      if (scrollFrame) return;
+      scrollFrame = requestAnimationFrame(() => {
+        scrollFrame = null;
+        updateActive();
+      });
+    },
+    true
+  );
+
+  // Rebuild after navigating between chats or as new turns arrive
+  const observer = new MutationObserver((mutations) => {
+    const panel = document.getElementById("cout-panel");
+    if (panel && mutations.every((m) => panel.contains(m.target))) return;
+    scheduleRebuild();
+  });
+  observer.observe(document.body, { childList: true, subtree: true });
+
+  ChatGPTShortcuts.register({
+    id: "outline.toggle",
+    name: "Toggle conversation outline",
+    binding: "Alt+O",
+    keywords: "table of contents headings",
+    handler: toggle,
+  });
+
+  if (chrome?.storage?.local) {
+    chrome.storage.local.get([COLLAPSED_KEY], (result) => {
+      collapsed = !!result[COLLAPSED_KEY];
+      collapsedLoaded = true;
+      const panel = document.getElementById("cout-panel");
+      if (panel) applyCollapsed(panel);
+      scheduleRebuild(0);
+    });
+  } else {
+    collapsedLoaded = true;
+    scheduleRebuild(0);
+  }
+
+  console.log("✅ [Outline] Script loaded successfully.");
+  return {
+    toggle,
+    refresh: () => scheduleRebuild(0),
+  };
+})();
@@ -0,0 +1,206 @@
+window.ChatGPTPalette = (() => {
+  // Lists every command registered with ChatGPTShortcuts
+  const { escapeHTML, fuzzyMatch } = ChatGPTUtils;
+  const RECENT_KEY = "paletteRecent";
+  const RECENT_LIMIT = 5;
+
+  let palette = null; // { backdrop, input, list, results, index }
+  let recent = [];
+
+  function injectStyles() {
+    if (document.getElementById("cp-styles")) return;
+
+    const cssTemplate = `
+      #cp-backdrop { position: fixed; inset: 0; z-index: 10003; display: flex; justify-content: center; align-items: flex-start; padding-top: 15vh; background-color: rgba(0, 0, 0, 0.4); font-family: inherit; }
+      #cp-palette { width: min(560px, 92vw); max-height: 60vh; display: flex; flex-direction: column; background: var(--main-surface-primary); color: var(--text-primary); border: 1px solid var(--border-medium); border-radius: 14px; box-shadow: 0 20px 40px rgba(0,0,0,0.3); overflow: hidden; }
+      #cp-input { padding: 14px 16px; border: none; border-bottom: 1px solid var(--border-light); background: transparent; color: var(--text-primary); font-size: 1rem; outline: none; }
+      #cp-list { flex: 1; overflow-y: auto; padding: 6px; }
+      .cp-item { display: flex; align-items: center; gap: 12px; padding: 8px 10px; border-radius: 8px; cursor: pointer; font-size: 0.875rem; }
+      .cp-item.active { background: var(--surface-hover); }
+      .cp-item-group { width: 72px; flex-shrink: 0; color: var(--text-tertiary); font-size: 0.75rem; }
+      .cp-item-name { flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+      .cp-item-name mark { background: none; color: inherit; text-decoration: underline; }
+      .cp-item-keys { display: flex; gap: 4px; }
+      .cp-item-keys kbd { padding: 1px 6px; border: 1px solid var(--border-medium); border-radius: 4px; font-family: inherit; font-size: 0.7rem; color: var(--text-secondary); }
+      .cp-empty { padding: 12px; color: var(--text-tertiary); font-size: 0.875rem; }
+    `;
+
+    const styleSheet = document.createElement("style");
+    styleSheet.id = "cp-styles";
+    styleSheet.textContent = cssTemplate;
+    document.head.appendChild(styleSheet);
+  }
+
+  function highlight(text, positions) {
+    return [...text]
+      .map((ch, i) =>
+        positions.includes(i)
+          ? `<mark>${escapeHTML(ch)}</mark>`
+          : escapeHTML(ch)
+      )
+      .join("");
+  }
+
+  /**
+   * Commands matching the query; recently run ones first when it is empty.
+   */
+  function search(query) {
+    return ChatGPTShortcuts.getBindings()
+      .map((command) => {
+        const byName = fuzzyMatch(query, command.name);
+        const byOther = fuzzyMatch(
+          query,
+          `${command.group} ${command.keywords}`
+        );
+        return {
+          command,
+          positions: byName.positions,
+          score: Math.max(byName.score * 2, byOther.score),
+        };
+      })
+      .filter((result) => !query.trim() || result.score > 0)
+      .sort((a, b) => {
+        if (query.trim()) return b.score - a.score;
+        const recentA = recent.indexOf(a.command.id);
+        const recentB = recent.indexOf(b.command.id);
+        if (recentA !== recentB) {
+          if (recentA === -1) return 1;
+          if (recentB === -1) return -1;
+          return recentA - recentB;
+        }
+        return (
+          a.command.group.localeCompare(b.command.group) ||
+          a.command.name.localeCompare(b.command.name)
+        );
+      });
+  }
+
+  function render() {
+    const { list, results, index } = palette;
+    if (!results.length) {
+      list.innerHTML = `<div class="cp-empty">No matching commands</div>`;
+      return;
+    }
+    list.innerHTML = results
+      .map(
+        ({ command, positions }, i) => `
+        <div class="cp-item ${i === index ? "active" : ""}" data-index="${i}">
+          <span class="cp-item-group">${escapeHTML(command.group)}</span>
+          <span class="cp-item-name">${highlight(command.name, positions)}</span>
+          <span class="cp-item-keys">${
+            command.binding
+              ? ChatGPTShortcuts.formatBinding(command.binding)
+                  .map((label) => `<kbd>${escapeHTML(label)}</kbd>`)
+                  .join("")
+              : ""
+          }</span>
+        </div>`
+      )
+      .join("");
+    list.querySelector(".cp-item.active")?.scrollIntoView({ block: "nearest" });
+  }
+
+  function update() {
+    palette.results = search(palette.input.value);
+    palette.index = 0;
+    render();
+  }
+
+  function runResult(index) {
+    const result = palette.results[index];
+    if (!result) return;
+    const id = result.command.id;
+    close();
+    recent = [id, ...recent.filter((r) => r !== id)].slice(0, RECENT_LIMIT);
+    if (chrome?.storage?.local) {
+      chrome.storage.local.set({ [RECENT_KEY]: recent });
+    }
+    // Let the palette close before the command opens its own UI
+    setTimeout(() => ChatGPTShortcuts.run(id), 0);
+  }
+
+  function handleKeydown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      const count = palette.results.length;
+      if (!count) return;
+      palette.index = (palette.index + step + count) % count;
+      render();
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      runResult(palette.index);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      close();
+    }
+    e.stopPropagation(); // Keep typing from reaching page shortcuts
+  }
+
+  function open() {
+    if (palette) {
+      palette.input.focus();
+      return;
+    }
+    injectStyles();
+    const backdrop = document.createElement("div");
+    backdrop.id = "cp-backdrop";
+    backdrop.innerHTML = `
+      <div id="cp-palette" role="dialog" aria-label="Command palette">
+        <input id="cp-input" type="text" placeholder="Type a command..." autocomplete="off">
+        <div id="cp-list"></div>
+      </div>
+    `;
+    document.body.appendChild(backdrop);
+    palette = {
+      backdrop,
+      input: backdrop.querySelector("#cp-input"),
+      list: backdrop.querySelector("#cp-list"),
+      results: [],
+      index: 0,
+    };
+
+    palette.input.addEventListener("input", update);
+    palette.input.addEventListener("keydown", handleKeydown);
+    palette.list.addEventListener("mousemove", (e) => {
+      const item = e.target.closest(".cp-item");
+      if (!item || parseInt(item.dataset.index) === palette.index) return;
+      palette.index = parseInt(item.dataset.index);
+      render();
+    });
+    palette.list.addEventListener("click", (e) => {
+      const item = e.target.closest(".cp-item");
+      if (item) runResult(parseInt(item.dataset.index));
+    });
+    backdrop.addEventListener("mousedown", (e) => {
+      if (e.target === backdrop) close();
+    });
+
+    update();
+    palette.input.focus();
+  }
+
+  function close() {
+    if (!palette) return;
+    palette.backdrop.remove();
+    palette = null;
+  }
+
+  if (chrome?.storage?.local) {
+    chrome.storage.local.get([RECENT_KEY], (result) => {
+      if (Array.isArray(result[RECENT_KEY])) recent = result[RECENT_KEY];
+    });
+  }
+
+  ChatGPTShortcuts.register({
+    id: "palette.open",
+    name: "Open command palette",
+    binding: "Mod+Shift+K",
+    handler: () => (palette ? close() : open()),
+  });
+
+  return {
+    open,
+    close,
+  };
+})();
@@ -0,0 +1,571 @@
+window.ChatGPTPdf = (() => {
+  // --- PAGE AND FONT CONFIGURATION ---
+  const PAGE_SIZES = {
+    a4: [595.28, 841.89],
+    letter: [612, 792],
+  };
+  const MARGIN = 56;
+  const FONTS = {
+    regular: { id: "F1", base: "Helvetica" },
+    bold: { id: "F2", base: "Helvetica-Bold" },
+    italic: { id: "F3", base: "Helvetica-Oblique" },
+    mono: { id: "F4", base: "Courier" },
+  };
+  // Glyph widths (1/1000 em) of the standard 14 fonts for codes 32-126
+  const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+    278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+    584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+    833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+    278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+    500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+    500, 334, 260, 334, 584,
+  ];
+  const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278,
+    278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584,
+    584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611,
+    833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+    278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278,
+    556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556,
+    500, 389, 280, 389, 584,
+  ];
+  // Characters WinAnsiEncoding places in the 0x80-0x9F range
+  const WIN_ANSI_EXTRA = {
+    "€": 0x80,
+    "‚": 0x82,
+    ƒ: 0x83,
+    "„": 0x84,
+    "…": 0x85,
+    "†": 0x86,
+    "‡": 0x87,
+    ˆ: 0x88,
+    "‰": 0x89,
+    Š: 0x8a,
+    "‹": 0x8b,
+    Œ: 0x8c,
+    Ž: 0x8e,
+    "‘": 0x91,
+    "’": 0x92,
+    "“": 0x93,
+    "”": 0x94,
+    "•": 0x95,
+    "–": 0x96,
+    "—": 0x97,
+    "˜": 0x98,
+    "™": 0x99,
+    š: 0x9a,
+    "›": 0x9b,
+    œ: 0x9c,
+    ž: 0x9e,
+    Ÿ: 0x9f,
+  };
+  const COLORS = {
+    text: [0.1, 0.1, 0.1],
+    muted: [0.45, 0.45, 0.45],
+    rule: [0.8, 0.8, 0.8],
+    codeBackground: [0.95, 0.95, 0.95],
+    user: [0.15, 0.35, 0.75],
+    assistant: [0.06, 0.5, 0.4],
+  };
+
+  // --- TEXT HELPERS ---
+  /**
+   * Maps text to WinAnsi, the encoding of the standard fonts. Characters it
+   * can't represent (emoji, CJK, ...) become "?".
+   * @param {string} text
+   * @returns {string} one char per byte
+   */
+  function toWinAnsi(text) {
+    let out = "";
+    for (const ch of text || "") {
+      const code = ch.codePointAt(0);
+      if (ch === "\t") out += "    ";
+      else if (code < 32) continue;
+      else if (code < 127 || (code >= 160 && code <= 255)) out += ch;
+      else if (WIN_ANSI_EXTRA[ch])
+        out += String.fromCharCode(WIN_ANSI_EXTRA[ch]);
+      else if (code >= 0xfe00 && code <= 0xfe0f)
+        continue; // Variation selectors
+      else out += "?";
+    }
+    return out;
+  }
+
+  /**
+   * Lists the distinct characters `toWinAnsi` would turn into "?", so the
+   * export can warn before text is lost.
+   * @param {string} text
+   * @returns {Array<string>}
+   */
+  function findUnsupportedCharacters(text) {
+    const unsupported = new Set();
+    for (const ch of text || "") {
+      if (toWinAnsi(ch) === "?" && ch !== "?") unsupported.add(ch);
+    }
+    return [...unsupported];
+  }
+
+  function textWidth(str, font, size) {
+    if (font === FONTS.mono) return str.length * 0.6 * size;
+    const widths =
+      font === FONTS.bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let width = 0;
+    for (let i = 0; i < str.length; i++) {
+      const code = str.charCodeAt(i);
+      width += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+    return (width * size) / 1000;
+  }
+
+  /**
+   * Greedy word wrap. Hard line breaks are kept, and words wider than the
+   * line are split. Monospaced text keeps its leading whitespace.
+   * @returns {Array<string>} WinAnsi lines
+   */
+  function wrapText(text, font, size, maxWidth) {
+    const lines = [];
+    String(text)
+      .replace(/\r\n?/g, "\n")
+      .split("\n")
+      .map(toWinAnsi)
+      .forEach((hardLine) => {
+        if (font === FONTS.mono) {
+          const maxChars = Math.max(1, Math.floor(maxWidth / (0.6 * size)));
+          if (!hardLine) lines.push("");
+          for (let i = 0; i < hardLine.length; i += maxChars) {
+            lines.push(hardLine.slice(i, i + maxChars));
+          }
+          return;
+        }
+        let line = "";
+        hardLine.split(" ").forEach((word) => {
+          const candidate = line ? `${line} ${word}` : word;
+          if (textWidth(candidate, font, size) <= maxWidth) {
+            line = candidate;
+            return;
+          }
+          if (line) lines.push(line);
+          line = word;
+          while (textWidth(line, font, size) > maxWidth && line.length > 1) {
+            let cut = line.length - 1;
+            while (
+              cut > 1 &&
+              textWidth(line.slice(0, cut), font, size) > maxWidth
+            )
+              cut--;
+            lines.push(line.slice(0, cut));
+            line = line.slice(cut);
+          }
+        });
+        lines.push(line);
+      });
+    return lines;
+  }
+
+  /**
+   * Escapes a WinAnsi string for a PDF literal string.
+   */
+  function pdfString(str) {
+    let out = "";
+    for (let i = 0; i < str.length; i++) {
+      const ch = str[i];
+      const code = str.charCodeAt(i);
+      if (ch === "\\" || ch === "(" || ch === ")") out += `\\${ch}`;
+      else if (code > 126) out += `\\${code.toString(8).padStart(3, "0")}`;
+      else out += ch;
+    }
+    return `(${out})`;
+  }
+
+  /**
+   * Encodes text as a UTF-16BE hex string, which outline titles and document
+   * info can use to show any character.
+   */
+  function pdfUnicodeString(text) {
+    let hex = "FEFF";
+    for (let i = 0; i < text.length; i++) {
+      hex += text.charCodeAt(i).toString(16).padStart(4, "0");
+    }
+    return `<${hex.toUpperCase()}>`;
+  }
+
+  function pdfDate(date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(
+      date.getDate()
+    )}${pad(date.getHours())}${pad(date.getMinutes())}${pad(
+      date.getSeconds()
+    )}`;
+  }
+
+  const num = (n) => Number(n.toFixed(2));
+  const rgb = (color) => color.map(num).join(" ");
+
+  // --- LAYOUT ---
+  /**
+   * Lays out a conversation on pages and writes it as a PDF.
+   * @param {Object} doc
+   * @param {string} doc.title - Document title, also used in page headers.
+   * @param {Array<string>} doc.details - Lines shown under the title.
+   * @param {Array<{heading: string, bookmark: string, role: string, blocks: Array<Object>}>} doc.sections
+   * One section per turn. Blocks are `{type, text, level, ordered, index, rows, label}`
+   * with type `paragraph`, `heading`, `list`, `code`, `quote`, `reasoning`,
+   * `table`, `image` or `rule`.
+   * @param {Object} options
+   * @param {'a4' | 'letter'} options.pageSize
+   * @param {boolean} options.titlePage - Put the title on a page of its own.
+   * @returns {Blob} `application/pdf`
+   */
+  function createPdf(
+    { title = "Untitled", details = [], sections = [] },
+    { pageSize = "a4", titlePage = true } = {}
+  ) {
+    const [width, height] = PAGE_SIZES[pageSize] || PAGE_SIZES.a4;
+    const contentWidth = width - MARGIN * 2;
+    const top = height - MARGIN - 12; // Leave room for the running header
+    const bottom = MARGIN + 12; // and for the page number
+    const pages = [];
+    const outline = [];
+    let page;
+    let y;
+
+    function newPage() {
+      page = { ops: [] };
+      pages.push(page);
+      y = top;
+    }
+    function ensureSpace(needed) {
+      if (y - needed < bottom) newPage();
+    }
+    function drawText(str, x, baseline, font, size, color = COLORS.text) {
+      page.ops.push(
+        `BT /${font.id} ${size} Tf ${rgb(color)} rg ${num(x)} ${num(
+          baseline
+        )} Td ${pdfString(str)} Tj ET`
+      );
+    }
+    function drawRect(x, rectY, w, h, color) {
+      page.ops.push(
+        `${rgb(color)} rg ${num(x)} ${num(rectY)} ${num(w)} ${num(h)} re f`
+      );
+    }
+    function drawLine(x1, lineY, x2, color = COLORS.rule) {
+      page.ops.push(
+        `${rgb(color)} RG 0.5 w ${num(x1)} ${num(lineY)} m ${num(x2)} ${num(
+          lineY
+        )} l S`
+      );
+    }
+    /**
+     * Writes wrapped lines, moving to a new page whenever one does not fit.
+     * `decorate` draws backgrounds or bars behind each line.
+     */
+    function writeLines(lines, { x, font, size, lineHeight, color, decorate }) {
+      lines.forEach((line) => {
+        ensureSpace(lineHeight);
+        y -= lineHeight;
+        if (decorate) decorate(y, lineHeight);
+        drawText(line, x, y + (lineHeight - size) / 2 + 1, font, size, color);
+      });
+    }
+
+    function renderBlock(block) {
+      const text = block.text || "";
+      switch (block.type) {
+        case "heading": {
+          const size = [16, 14, 12.5, 11.5, 11, 11][(block.level || 1) - 1];
+          y -= 6;
+          writeLines(wrapText(text, FONTS.bold, size, contentWidth), {
+            x: MARGIN,
+            font: FONTS.bold,
+            size,
+            lineHeight: size * 1.35,
+          });
+          y -= 4;
+          break;
+        }
+        case "list": {
+          const indent = MARGIN + 14 * (block.level || 0);
+          const marker = block.ordered ? `${block.index || 1}.` : "•";
+          const lines = wrapText(
+            text,
+            FONTS.regular,
+            10.5,
+            contentWidth - (indent - MARGIN) - 16
+          );
+          ensureSpace(14.5);
+          drawText(
+            toWinAnsi(marker),
+            indent,
+            y - 14.5 + 3.5,
+            FONTS.regular,
+            10.5
+          );
+          writeLines(lines, {
+            x: indent + 16,
+            font: FONTS.regular,
+            size: 10.5,
+            lineHeight: 14.5,
+          });
+          y -= 2;
+          break;
+        }
+        case "code": {
+          y -= 4;
+          if (block.label) {
+            writeLines([toWinAnsi(block.label)], {
+              x: MARGIN + 6,
+              font: FONTS.mono,
+              size: 7.5,
+              lineHeight: 12,
+              color: COLORS.muted,
+              decorate: (lineY, h) =>
+                drawRect(MARGIN, lineY, contentWidth, h, COLORS.rule),
+            });
+          }
+          writeLines(wrapText(text, FONTS.mono, 8.5, contentWidth - 12), {
+            x: MARGIN + 6,
+            font: FONTS.mono,
+            size: 8.5,
+            lineHeight: 11.5,
+            decorate: (lineY, h) =>
+              drawRect(MARGIN, lineY, contentWidth, h, COLORS.codeBackground),
+          });
+          y -= 8;
+          break;
+        }
+        case "quote":
+        case "reasoning": {
+          writeLines(wrapText(text, FONTS.italic, 10, contentWidth - 12), {
+            x: MARGIN + 12,
+            font: FONTS.italic,
+            size: 10,
+            lineHeight: 14,
+            color: COLORS.muted,
+            decorate: (lineY, h) => drawRect(MARGIN, lineY, 2, h, COLORS.rule),
+          });
+          y -= 6;
+          break;
+        }
+        case "table": {
+          (block.rows || []).forEach((row, i) => {
+            const font = i === 0 ? FONTS.bold : FONTS.regular;
+            writeLines(wrapText(row.join("  |  "), font, 9.5, contentWidth), {
+              x: MARGIN,
+              font,
+              size: 9.5,
+              lineHeight: 13,
+            });
+            ensureSpace(2);
+            drawLine(MARGIN, y - 1, MARGIN + contentWidth);
+            y -= 2;
+          });
+          y -= 6;
+          break;
+        }
+        case "image": {
+          writeLines(
+            wrapText(
+              `[Image${text ? `: ${text}` : ""}]`,
+              FONTS.italic,
+              10,
+              contentWidth
+            ),
+            {
+              x: MARGIN,
+              font: FONTS.italic,
+              size: 10,
+              lineHeight: 14,
+              color: COLORS.muted,
+            }
+          );
+          y -= 6;
+          break;
+        }
+        case "rule": {
+          ensureSpace(12);
+          y -= 6;
+          drawLine(MARGIN, y, MARGIN + contentWidth);
+          y -= 6;
+          break;
+        }
+        default: {
+          writeLines(wrapText(text, FONTS.regular, 10.5, contentWidth), {
+            x: MARGIN,
+            font: FONTS.regular,
+            size: 10.5,
+            lineHeight: 14.5,
+          });
+          y -= 6;
+        }
+      }
+    }
+
+    // Title
+    newPage();
+    const titleSize = titlePage ? 24 : 18;
+    if (titlePage) y = height * 0.62;
+    writeLines(wrapText(title, FONTS.bold, titleSize, contentWidth), {
+      x: MARGIN,
+      font: FONTS.bold,
+      size: titleSize,
+      lineHeight: titleSize * 1.3,
+    });
+    y -= 8;
+    writeLines(
+      details.flatMap((line) =>
+        wrapText(line, FONTS.regular, 10, contentWidth)
+      ),
+      {
+        x: MARGIN,
+        font: FONTS.regular,
+        size: 10,
+        lineHeight: 14,
+        color: COLORS.muted,
+      }
+    );
+    y -= 10;
+    drawLine(MARGIN, y, MARGIN + contentWidth);
+    y -= 10;
+    const firstContentPage = titlePage ? 1 : 0;
+    if (titlePage) newPage();
+
+    // One section per turn, each with an outline entry
+    sections.forEach((section) => {
+      ensureSpace(48);
+      y -= 12;
+      outline.push({
+        title: section.bookmark || section.heading,
+        pageIndex: pages.length - 1,
+        y: y + 12,
+      });
+      const color = section.role === "user" ? COLORS.user : COLORS.assistant;
+      writeLines([toWinAnsi(section.heading)], {
+        x: MARGIN,
+        font: FONTS.bold,
+        size: 12,
+        lineHeight: 16,
+        color,
+      });
+      drawLine(MARGIN, y - 3, MARGIN + contentWidth, color);
+      y -= 10;
+      section.blocks.forEach(renderBlock);
+    });
+
+    // Running header and page numbers
+    const headerTitle = wrapText(
+      title,
+      FONTS.regular,
+      8,
+      contentWidth * 0.75
+    )[0];
+    const numberedPages = pages.length - firstContentPage;
+    pages.forEach((p, i) => {
+      if (i < firstContentPage) return;
+      page = p;
+      const label = toWinAnsi(
+        `Page ${i - firstContentPage + 1} of ${numberedPages}`
+      );
+      drawText(
+        headerTitle,
+        MARGIN,
+        height - MARGIN + 4,
+        FONTS.regular,
+        8,
+        COLORS.muted
+      );
+      drawLine(MARGIN, height - MARGIN, MARGIN + contentWidth);
+      drawText(
+        label,
+        width - MARGIN - textWidth(label, FONTS.regular, 8),
+        MARGIN - 4,
+        FONTS.regular,
+        8,
+        COLORS.muted
+      );
+    });
+
+    return buildDocument({ title, width, height, pages, outline });
+  }
+
+  // --- FILE STRUCTURE ---
+  /**
+   * Serializes pages and outline into PDF objects, the xref table and trailer.
+   * @returns {Blob}
+   */
+  function buildDocument({ title, width, height, pages, outline }) {
+    const fontKeys = Object.keys(FONTS);
+    const firstPageObj = 5 + fontKeys.length;
+    const pageObj = (i) => firstPageObj + i * 2;
+    const firstOutlineObj = firstPageObj + pages.length * 2;
+    const objects = [];
+
+    objects[1] = `<< /Type /Catalog /Pages 2 0 R /Outlines 3 0 R${
+      outline.length ? " /PageMode /UseOutlines" : ""
+    } >>`;
+    objects[2] = `<< /Type /Pages /Kids [${pages
+      .map((_, i) => `${pageObj(i)} 0 R`)
+      .join(" ")}] /Count ${pages.length} >>`;
+    objects[3] = outline.length
+      ? `<< /Type /Outlines /First ${firstOutlineObj} 0 R /Last ${
+          firstOutlineObj + outline.length - 1
+        } 0 R /Count ${outline.length} >>`
+      : "<< /Type /Outlines /Count 0 >>";
+    objects[4] = `<< /Title ${pdfUnicodeString(
+      title
+    )} /Producer (Enhanced ChatGPT Tools) /CreationDate (${pdfDate(
+      new Date()
+    )}) >>`;
+    const fontResources = fontKeys
+      .map((key, i) => {
+        objects[5 + i] =
+          `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[key].base} /Encoding /WinAnsiEncoding >>`;
+        return `/${FONTS[key].id} ${5 + i} 0 R`;
+      })
+      .join(" ");
+
+    pages.forEach((p, i) => {
+      const content = p.ops.join("\n");
+      objects[pageObj(i)] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(
+        width
+      )} ${num(height)}] /Resources << /Font << ${fontResources} >> >> /Contents ${
+        pageObj(i) + 1
+      } 0 R >>`;
+      objects[pageObj(i) + 1] =
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+    });
+
+    outline.forEach((item, i) => {
+      const id = firstOutlineObj + i;
+      objects[id] = `<< /Title ${pdfUnicodeString(item.title)} /Parent 3 0 R${
+        i > 0 ? ` /Prev ${id - 1} 0 R` : ""
+      }${i < outline.length - 1 ? ` /Next ${id + 1} 0 R` : ""} /Dest [${pageObj(
+        item.pageIndex
+      )} 0 R /XYZ 0 ${num(item.y)} null] >>`;
+    });
+
+    let pdf = "%PDF-1.4\n%âãÏÓ\n";
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = pdf.length;
+      pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      pdf += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    // Every character is a single byte at this point
+    const bytes = new Uint8Array(pdf.length);
+    for (let i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i) & 0xff;
+    return new Blob([bytes], { type: "application/pdf" });
+  }
+
+  return {
+    createPdf,
+    findUnsupportedCharacters,
+  };
+})();
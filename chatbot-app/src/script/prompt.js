@@ -1,16 +1,23 @@
 window.ChatGPTprompt = (() => {
   console.log("🚀 [Prompt Manager] Content script loaded.");
+  const { fuzzyMatch, storageCall, chunkForSync, getSyncSpace } = ChatGPTUtils;
 
   // --- Configuration & State ---
   let appState = {
     prompts: [],
     uiInjected: false,
+    selection: "", // Last page text selected outside inputs
+    trigger: "/", // Typed in the composer to open the prompt launcher
+    category: "all", // "all", "pinned" or a category name
+    sort: "recent", // Key of PROMPT_SORTS; pinned prompts always come first
   };
 
   // --- IndexedDB Helper Functions ---
   const DB_NAME = "ChatGPTPromptManager";
-  const DB_VERSION = 1;
+  const DB_VERSION = 4;
   const STORE_NAME = "prompts";
+  const VERSIONS_STORE = "versions";
+  const CHAINS_STORE = "chains";
 
   function openDB() {
     return new Promise((resolve, reject) => {
@@ -30,10 +37,47 @@ window.ChatGPTprompt = (() => {
           store.createIndex("category", "category", { unique: false });
           store.createIndex("createdAt", "createdAt", { unique: false });
         }
+        // v2: a snapshot of every saved wording
+        if (!db.objectStoreNames.contains(VERSIONS_STORE)) {
+          const versions = db.createObjectStore(VERSIONS_STORE, {
+            keyPath: "versionId",
+            autoIncrement: true,
+          });
+          versions.createIndex("promptId", "promptId", { unique: false });
+        }
+        // v3: saved prompt chains
+        if (!db.objectStoreNames.contains(CHAINS_STORE)) {
+          db.createObjectStore(CHAINS_STORE, {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+        }
+        // v4: look prompts up by syncId, so a synced prompt is added once
+        const prompts = event.target.transaction.objectStore(STORE_NAME);
+        if (!prompts.indexNames.contains("syncId")) {
+          prompts.createIndex("syncId", "syncId", { unique: false });
+        }
       };
     });
   }
 
+  /**
+   * Builds the version record saved for a prompt.
+   */
+  function createSnapshot(
+    promptId,
+    prompt,
+    savedAt = new Date().toISOString()
+  ) {
+    return {
+      promptId,
+      title: prompt.title,
+      content: prompt.content,
+      category: prompt.category || "General",
+      savedAt,
+    };
+  }
+
   // --- IndexedDB Prompt Manager ---
   const promptManager = {
     async getAllPrompts() {
@@ -56,21 +100,45 @@ window.ChatGPTprompt = (() => {
     async addPrompt(prompt) {
       try {
         const db = await openDB();
-        const transaction = db.transaction([STORE_NAME], "readwrite");
+        const transaction = db.transaction(
+          [STORE_NAME, VERSIONS_STORE],
+          "readwrite"
+        );
         const store = transaction.objectStore(STORE_NAME);
 
+        // Prompts pulled from sync keep their id and timestamps
         const promptData = {
+          syncId: prompt.syncId || crypto.randomUUID(),
           title: prompt.title,
           content: prompt.content,
           category: prompt.category || "General",
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString(),
+          createdAt: prompt.createdAt || new Date().toISOString(),
+          updatedAt: prompt.updatedAt || new Date().toISOString(),
         };
 
         return new Promise((resolve, reject) => {
-          const request = store.add(promptData);
-          request.onsuccess = () => resolve(request.result);
-          request.onerror = () => reject(request.error);
+          let id;
+          const add = () => {
+            const request = store.add(promptData);
+            request.onsuccess = () => {
+              id = request.result;
+              transaction
+                .objectStore(VERSIONS_STORE)
+                .add(createSnapshot(id, promptData));
+            };
+          };
+          if (prompt.syncId) {
+            // Another tab may have pulled the same synced prompt
+            const existing = store.index("syncId").getKey(prompt.syncId);
+            existing.onsuccess = () => {
+              if (existing.result === undefined) add();
+              else id = existing.result;
+            };
+          } else {
+            add();
+          }
+          transaction.oncomplete = () => resolve(id);
+          transaction.onerror = () => reject(transaction.error);
         });
       } catch (error) {
         console.error("[Prompt Manager] Error adding prompt:", error);
@@ -78,44 +146,200 @@ window.ChatGPTprompt = (() => {
       }
     },
 
-    async updatePrompt(id, prompt) {
+    async updatePrompt(id, prompt, updatedAt = new Date().toISOString()) {
+      try {
+        const db = await openDB();
+        const transaction = db.transaction(
+          [STORE_NAME, VERSIONS_STORE],
+          "readwrite"
+        );
+        const store = transaction.objectStore(STORE_NAME);
+        const versions = transaction.objectStore(VERSIONS_STORE);
+
+        return new Promise((resolve, reject) => {
+          const getRequest = store.get(id);
+          const countRequest = versions.index("promptId").count(id);
+          countRequest.onsuccess = () => {
+            const existing = getRequest.result;
+            // Prompts saved before versioning get their old wording kept first
+            if (existing && countRequest.result === 0) {
+              versions.add(
+                createSnapshot(
+                  id,
+                  existing,
+                  existing.updatedAt || existing.createdAt
+                )
+              );
+            }
+            // Keep fields the editor does not know about, like createdAt
+            const promptData = {
+              ...existing,
+              id: id,
+              title: prompt.title,
+              content: prompt.content,
+              category: prompt.category || "General",
+              syncId: existing?.syncId || crypto.randomUUID(),
+              updatedAt,
+            };
+            store.put(promptData);
+            versions.add(createSnapshot(id, promptData, promptData.updatedAt));
+          };
+          transaction.oncomplete = () => resolve(id);
+          transaction.onerror = () => reject(transaction.error);
+        });
+      } catch (error) {
+        console.error("[Prompt Manager] Error updating prompt:", error);
+        throw error;
+      }
+    },
+
+    /**
+     * Sets fields on a prompt without saving a version or touching updatedAt.
+     * @param {Object|Function} fields - Or a function of the stored record.
+     */
+    async patchPrompt(id, fields) {
       try {
         const db = await openDB();
         const transaction = db.transaction([STORE_NAME], "readwrite");
         const store = transaction.objectStore(STORE_NAME);
 
-        const promptData = {
-          id: id,
-          title: prompt.title,
-          content: prompt.content,
-          category: prompt.category || "General",
-          updatedAt: new Date().toISOString(),
+        return new Promise((resolve, reject) => {
+          const request = store.get(id);
+          request.onsuccess = () => {
+            if (!request.result) return resolve();
+            const changes =
+              typeof fields === "function" ? fields(request.result) : fields;
+            const putRequest = store.put({ ...request.result, ...changes });
+            putRequest.onsuccess = () => resolve(putRequest.result);
+            putRequest.onerror = () => reject(putRequest.error);
+          };
+          request.onerror = () => reject(request.error);
+        });
+      } catch (error) {
+        console.error("[Prompt Manager] Error patching prompt:", error);
+      }
+    },
+
+    // Usage and pins stay on this device; sync only carries the wording
+    async markPromptUsed(id) {
+      const conversationId = getConversationId();
+      return this.patchPrompt(id, (prompt) => ({
+        useCount: (prompt.useCount || 0) + 1,
+        lastUsedAt: new Date().toISOString(),
+        lastConversationId: conversationId,
+      }));
+    },
+
+    async setPinned(id, pinned) {
+      return this.patchPrompt(id, { pinned });
+    },
+
+    async deletePrompt(id) {
+      try {
+        const db = await openDB();
+        const transaction = db.transaction(
+          [STORE_NAME, VERSIONS_STORE],
+          "readwrite"
+        );
+        const store = transaction.objectStore(STORE_NAME);
+
+        return new Promise((resolve, reject) => {
+          store.delete(id);
+          const cursorRequest = transaction
+            .objectStore(VERSIONS_STORE)
+            .index("promptId")
+            .openCursor(IDBKeyRange.only(id));
+          cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (cursor) {
+              cursor.delete();
+              cursor.continue();
+            }
+          };
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = () => reject(transaction.error);
+        });
+      } catch (error) {
+        console.error("[Prompt Manager] Error deleting prompt:", error);
+        throw error;
+      }
+    },
+
+    /**
+     * Returns the saved versions of a prompt, newest first.
+     */
+    async getVersions(promptId) {
+      try {
+        const db = await openDB();
+        const transaction = db.transaction([VERSIONS_STORE], "readonly");
+        const index = transaction.objectStore(VERSIONS_STORE).index("promptId");
+
+        return new Promise((resolve, reject) => {
+          const request = index.getAll(promptId);
+          request.onsuccess = () =>
+            resolve(request.result.sort((a, b) => b.versionId - a.versionId));
+          request.onerror = () => reject(request.error);
+        });
+      } catch (error) {
+        console.error("[Prompt Manager] Error getting versions:", error);
+        return [];
+      }
+    },
+
+    async getAllChains() {
+      try {
+        const db = await openDB();
+        const transaction = db.transaction([CHAINS_STORE], "readonly");
+        const store = transaction.objectStore(CHAINS_STORE);
+
+        return new Promise((resolve, reject) => {
+          const request = store.getAll();
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      } catch (error) {
+        console.error("[Prompt Manager] Error getting chains:", error);
+        return [];
+      }
+    },
+
+    // A chain is { title, steps: [promptId, ...] }, sent in order
+    async saveChain(chain) {
+      try {
+        const db = await openDB();
+        const transaction = db.transaction([CHAINS_STORE], "readwrite");
+        const store = transaction.objectStore(CHAINS_STORE);
+        const now = new Date().toISOString();
+        const chainData = {
+          ...chain,
+          createdAt: chain.createdAt || now,
+          updatedAt: now,
         };
 
         return new Promise((resolve, reject) => {
-          const request = store.put(promptData);
+          const request = store.put(chainData);
           request.onsuccess = () => resolve(request.result);
           request.onerror = () => reject(request.error);
         });
       } catch (error) {
-        console.error("[Prompt Manager] Error updating prompt:", error);
+        console.error("[Prompt Manager] Error saving chain:", error);
         throw error;
       }
     },
 
-    async deletePrompt(id) {
+    async deleteChain(id) {
       try {
         const db = await openDB();
-        const transaction = db.transaction([STORE_NAME], "readwrite");
-        const store = transaction.objectStore(STORE_NAME);
+        const transaction = db.transaction([CHAINS_STORE], "readwrite");
+        const store = transaction.objectStore(CHAINS_STORE);
 
         return new Promise((resolve, reject) => {
           const request = store.delete(id);
-          request.onsuccess = () => resolve(request.result);
+          request.onsuccess = () => resolve();
           request.onerror = () => reject(request.error);
         });
       } catch (error) {
-        console.error("[Prompt Manager] Error deleting prompt:", error);
+        console.error("[Prompt Manager] Error deleting chain:", error);
         throw error;
       }
     },
@@ -150,43 +374,266 @@ window.ChatGPTprompt = (() => {
         alert("Failed to export prompts. Please try again.");
       }
     },
+  };
+
+  // --- Chrome Storage Sync ---
+  // The library is stored in chrome.storage.sync as JSON split across
+  // chunk keys, with an index key written in the same call.
+  const SYNC_INDEX_KEY = "promptSyncIndex";
+  const SYNC_CHUNK_PREFIX = "promptSync_";
+  const TOMBSTONES_KEY = "promptSyncTombstones"; // chrome.storage.local
+  const SYNC_LOCK = "promptSync"; // Web Locks name, shared by every tab
+  const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+  const syncState = {
+    instanceId: crypto.randomUUID(), // Ignores change events from our writes
+    status: "idle",
+    message: "",
+    lastSyncedAt: null,
+    running: null,
+    timer: null,
+  };
+
+  function hasSyncStorage() {
+    return (
+      typeof chrome !== "undefined" && chrome.storage && chrome.storage.sync
+    );
+  }
+
+  async function readSyncedLibrary() {
+    const { [SYNC_INDEX_KEY]: index } = await storageCall("sync", "get", [
+      SYNC_INDEX_KEY,
+    ]);
+    const library = { prompts: {}, tombstones: {}, json: "", chunks: 0 };
+    if (!index) return library;
+    library.chunks = index.chunks;
+    const keys = Array.from(
+      { length: index.chunks },
+      (_, i) => `${SYNC_CHUNK_PREFIX}${i}`
+    );
+    const items = await storageCall("sync", "get", keys);
+    library.json = keys.map((key) => items[key] || "").join("");
+    try {
+      const data = JSON.parse(library.json);
+      library.prompts = data.prompts || {};
+      library.tombstones = data.tombstones || {};
+    } catch (error) {
+      console.warn("[Prompt Manager] Synced prompts are unreadable:", error);
+    }
+    return library;
+  }
+
+  async function writeSyncedLibrary(json, previousChunks) {
+    const chunks = chunkForSync(json, SYNC_CHUNK_PREFIX);
+    const items = {
+      [SYNC_INDEX_KEY]: {
+        chunks: chunks.length,
+        updatedAt: new Date().toISOString(),
+        instanceId: syncState.instanceId,
+      },
+    };
+    chunks.forEach((chunk, i) => (items[`${SYNC_CHUNK_PREFIX}${i}`] = chunk));
+
+    // The quota is shared with labels, so check what the other keys use
+    const previousKeys = Array.from(
+      { length: previousChunks },
+      (_, i) => `${SYNC_CHUNK_PREFIX}${i}`
+    );
+    const { needed, available } = await getSyncSpace(items, [
+      SYNC_INDEX_KEY,
+      ...previousKeys,
+    ]);
+    if (needed > available) {
+      throw new Error(
+        `The prompt library needs ${Math.ceil(
+          needed / 1024
+        )} KB, but only ${Math.floor(
+          available / 1024
+        )} KB of sync storage is free.`
+      );
+    }
+
+    await storageCall("sync", "set", items);
+    const staleKeys = previousKeys.slice(chunks.length);
+    if (staleKeys.length) await storageCall("sync", "remove", staleKeys);
+  }
+
+  /**
+   * Remembers a deleted prompt until the next sync carries the deletion.
+   */
+  async function recordDeletion(prompt) {
+    if (!hasSyncStorage() || !prompt?.syncId) return;
+    const { [TOMBSTONES_KEY]: tombstones = {} } = await storageCall(
+      "local",
+      "get",
+      [TOMBSTONES_KEY]
+    );
+    tombstones[prompt.syncId] = new Date().toISOString();
+    await storageCall("local", "set", { [TOMBSTONES_KEY]: tombstones });
+  }
+
+  /**
+   * Drops the local tombstones a sync has carried, keeping any recorded
+   * while it ran.
+   */
+  async function clearMergedTombstones(merged) {
+    const { [TOMBSTONES_KEY]: tombstones = {} } = await storageCall(
+      "local",
+      "get",
+      [TOMBSTONES_KEY]
+    );
+    for (const [syncId, deletedAt] of Object.entries(merged)) {
+      if (tombstones[syncId] === deletedAt) delete tombstones[syncId];
+    }
+    if (Object.keys(tombstones).length) {
+      await storageCall("local", "set", { [TOMBSTONES_KEY]: tombstones });
+    } else {
+      await storageCall("local", "remove", [TOMBSTONES_KEY]);
+    }
+  }
+
+  /**
+   * Merges the local library with chrome.storage.sync. For each prompt the
+   * newer `updatedAt` wins; a deletion wins over edits made before it.
+   * @returns {Promise<boolean>} Whether local prompts changed.
+   */
+  function syncPrompts() {
+    if (!hasSyncStorage()) {
+      setSyncStatus("unavailable");
+      return Promise.resolve(false);
+    }
+    if (syncState.running) return syncState.running;
 
-    async loadPrompts(file) {
+    // One tab merges at a time; the others wait, then merge what it wrote
+    syncState.running = navigator.locks.request(SYNC_LOCK, async () => {
+      setSyncStatus("syncing");
+      let changed = false;
       try {
-        return new Promise((resolve, reject) => {
-          const reader = new FileReader();
-          reader.onload = async (e) => {
-            try {
-              const data = JSON.parse(e.target.result);
-              if (data.prompts && Array.isArray(data.prompts)) {
-                let importCount = 0;
-                for (const prompt of data.prompts) {
-                  if (prompt.title && prompt.content) {
-                    await this.addPrompt({
-                      title: prompt.title,
-                      content: prompt.content,
-                      category: prompt.category || "Imported",
-                    });
-                    importCount++;
-                  }
-                }
-                resolve(importCount);
-              } else {
-                reject(new Error("Invalid file format"));
-              }
-            } catch (error) {
-              reject(error);
-            }
+        const remote = await readSyncedLibrary();
+        const { [TOMBSTONES_KEY]: localTombstones = {} } = await storageCall(
+          "local",
+          "get",
+          [TOMBSTONES_KEY]
+        );
+        const tombstones = {};
+        const cutoff = new Date(Date.now() - TOMBSTONE_TTL_MS).toISOString();
+        for (const [syncId, deletedAt] of [
+          ...Object.entries(remote.tombstones),
+          ...Object.entries(localTombstones),
+        ]) {
+          if (deletedAt > cutoff && deletedAt > (tombstones[syncId] || "")) {
+            tombstones[syncId] = deletedAt;
+          }
+        }
+
+        const localPrompts = await promptManager.getAllPrompts();
+        const localBySyncId = new Map();
+        for (const prompt of localPrompts) {
+          if (!prompt.syncId) {
+            prompt.syncId = crypto.randomUUID();
+            await promptManager.patchPrompt(prompt.id, {
+              syncId: prompt.syncId,
+            });
+          }
+          localBySyncId.set(prompt.syncId, prompt);
+          const updatedAt = prompt.updatedAt || prompt.createdAt || "";
+          const remotePrompt = remote.prompts[prompt.syncId];
+          const deletedAt = tombstones[prompt.syncId];
+          if (deletedAt && deletedAt >= updatedAt) {
+            await promptManager.deletePrompt(prompt.id);
+            changed = true;
+          } else if (remotePrompt && remotePrompt.updatedAt > updatedAt) {
+            await promptManager.updatePrompt(
+              prompt.id,
+              remotePrompt,
+              remotePrompt.updatedAt
+            );
+            changed = true;
+          }
+        }
+        for (const remotePrompt of Object.values(remote.prompts)) {
+          const deletedAt = tombstones[remotePrompt.syncId];
+          if (localBySyncId.has(remotePrompt.syncId)) continue;
+          if (deletedAt && deletedAt >= remotePrompt.updatedAt) continue;
+          await promptManager.addPrompt(remotePrompt);
+          changed = true;
+        }
+
+        // Write back what this device now has
+        const prompts = {};
+        for (const prompt of await promptManager.getAllPrompts()) {
+          prompts[prompt.syncId] = {
+            syncId: prompt.syncId,
+            title: prompt.title,
+            content: prompt.content,
+            category: prompt.category,
+            createdAt: prompt.createdAt,
+            updatedAt: prompt.updatedAt || prompt.createdAt,
           };
-          reader.onerror = () => reject(new Error("Failed to read file"));
-          reader.readAsText(file);
-        });
+          delete tombstones[prompt.syncId];
+        }
+        const json = JSON.stringify({ prompts, tombstones });
+        if (json !== remote.json) {
+          await writeSyncedLibrary(json, remote.chunks);
+        }
+        await clearMergedTombstones(localTombstones);
+
+        syncState.lastSyncedAt = new Date();
+        setSyncStatus("synced");
+        if (changed && isModalVisible()) await refreshPromptsList();
       } catch (error) {
-        console.error("[Prompt Manager] Error loading prompts:", error);
-        throw error;
+        console.error("[Prompt Manager] Sync failed:", error);
+        setSyncStatus("error", error.message || String(error));
+      } finally {
+        syncState.running = null;
       }
-    },
-  };
+      return changed;
+    });
+    return syncState.running;
+  }
+
+  function scheduleSync(delay = 2000) {
+    if (!hasSyncStorage()) return;
+    clearTimeout(syncState.timer);
+    syncState.timer = setTimeout(syncPrompts, delay);
+  }
+
+  function setSyncStatus(status, message = "") {
+    syncState.status = status;
+    syncState.message = message;
+    renderSyncStatus();
+  }
+
+  function renderSyncStatus() {
+    const element = document.getElementById("pm-sync-status");
+    if (!element) return;
+    const labels = {
+      idle: "Not synced yet",
+      syncing: "Syncing…",
+      synced: `Synced ${syncState.lastSyncedAt?.toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+      })}`,
+      error: "Sync failed",
+      unavailable: "Sync unavailable",
+    };
+    element.textContent = labels[syncState.status];
+    element.title =
+      syncState.status === "error"
+        ? `${syncState.message} Click to retry.`
+        : "Prompts sync through your browser account. Click to sync now.";
+    element.classList.toggle("error", syncState.status === "error");
+  }
+
+  function initSyncListener() {
+    if (!hasSyncStorage()) return;
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "sync" || !changes[SYNC_INDEX_KEY]) return;
+      const index = changes[SYNC_INDEX_KEY].newValue;
+      if (index?.instanceId === syncState.instanceId) return;
+      console.log("[Prompt Manager] Prompts changed on another device");
+      scheduleSync(500);
+    });
+  }
 
   // --- UI Styles ---
   function injectStyles() {
@@ -229,6 +676,70 @@ window.ChatGPTprompt = (() => {
       .pm-file-input { display: none; }
       .pm-empty-state { text-align: center; padding: 40px 20px; color: var(--text-tertiary); }
       .pm-empty-state h3 { margin-bottom: 8px; color: var(--text-secondary); }
+      .pm-form-hint { margin-top: 6px; font-size: 0.75rem; color: var(--text-tertiary); line-height: 1.4; }
+      .pm-form-hint code, .pm-form-label code { font-size: 0.75rem; }
+      .pm-search-bar { display: flex; gap: 8px; align-items: center; }
+      .pm-trigger-label { display: flex; gap: 6px; align-items: center; font-size: 0.75rem; color: var(--text-tertiary); white-space: nowrap; }
+      .pm-trigger-input { width: 48px; padding: 10px 8px; border: 1px solid var(--border-medium); border-radius: 8px; background: var(--main-surface-secondary); color: var(--text-primary); font-size: 0.875rem; text-align: center; outline: none; }
+      #pm-launcher { position: fixed; z-index: 10002; width: min(420px, 90vw); max-height: 320px; overflow-y: auto; padding: 6px; background: var(--main-surface-primary); color: var(--text-primary); border: 1px solid var(--border-medium); border-radius: 12px; box-shadow: 0 10px 30px rgba(0,0,0,0.2); font-size: 0.875rem; }
+      .pm-launcher-item { padding: 8px 10px; border-radius: 8px; cursor: pointer; }
+      .pm-launcher-item.active, .pm-launcher-item:hover { background: var(--surface-hover); }
+      .pm-launcher-title { font-weight: 500; }
+      .pm-launcher-title mark { background: none; color: inherit; text-decoration: underline; }
+      .pm-launcher-preview { color: var(--text-tertiary); font-size: 0.75rem; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+      .pm-launcher-empty { padding: 8px 10px; color: var(--text-tertiary); }
+      .pm-history-modal { width: 90vw; max-width: 1000px; height: 80vh; }
+      .pm-history-layout { display: flex; flex: 1; min-height: 0; }
+      .pm-history-list { width: 220px; flex-shrink: 0; border-right: 1px solid var(--border-light); overflow-y: auto; padding: 8px; }
+      .pm-history-item { padding: 8px 10px; border-radius: 6px; cursor: pointer; font-size: 0.8rem; margin-bottom: 4px; }
+      .pm-history-item:hover, .pm-history-item.active { background: var(--surface-hover); }
+      .pm-history-item small { display: block; color: var(--text-tertiary); }
+      .pm-history-detail { flex: 1; display: flex; flex-direction: column; min-width: 0; padding: 12px; gap: 8px; }
+      .pm-history-toolbar { display: flex; gap: 8px; align-items: center; font-size: 0.8rem; color: var(--text-secondary); }
+      .pm-history-toolbar select { margin-right: auto; }
+      .pm-diff { flex: 1; overflow: auto; border: 1px solid var(--border-light); border-radius: 6px; font-size: 0.8rem; }
+      .pm-diff table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+      .pm-diff th { position: sticky; top: 0; background: var(--main-surface-secondary); text-align: left; padding: 6px 8px; font-weight: 500; }
+      .pm-diff td { padding: 2px 8px; white-space: pre-wrap; word-break: break-word; vertical-align: top; border-top: 1px solid var(--border-light); }
+      .pm-diff .pm-diff-removed { background: rgba(239, 68, 68, 0.15); }
+      .pm-diff .pm-diff-added { background: rgba(16, 163, 127, 0.15); }
+      .pm-diff-meta { font-size: 0.8rem; color: var(--text-secondary); }
+      .pm-sync-status { background: none; border: none; padding: 2px 6px; border-radius: 6px; font-size: 0.75rem; font-weight: 400; color: var(--text-tertiary); cursor: pointer; }
+      .pm-sync-status:hover { background: var(--surface-hover); }
+      .pm-sync-status.error { color: #ef4444; }
+      .pm-import-modal { width: 90vw; max-width: 1000px; height: 85vh; }
+      .pm-import-row { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin-bottom: 12px; font-size: 0.8rem; color: var(--text-secondary); }
+      .pm-import-row select, .pm-import-row input[type="text"] { width: auto; padding: 6px 8px; }
+      .pm-import-table { width: 100%; border-collapse: collapse; table-layout: fixed; font-size: 0.8rem; }
+      .pm-import-table th { position: sticky; top: 0; background: var(--main-surface-secondary); text-align: left; padding: 6px 8px; font-weight: 500; }
+      .pm-import-table td { padding: 6px 8px; border-top: 1px solid var(--border-light); vertical-align: top; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+      .pm-import-table select { padding: 4px; width: 100%; }
+      .pm-import-status-duplicate, .pm-import-status-title { color: #d97706; }
+      .pm-import-status-invalid { color: #ef4444; }
+      .pm-sort-select { width: auto; padding: 10px 8px; border: 1px solid var(--border-medium); border-radius: 8px; background: var(--main-surface-secondary); color: var(--text-primary); font-size: 0.8rem; outline: none; }
+      .pm-pin-btn { background: none; border: none; padding: 0 4px 0 0; cursor: pointer; color: var(--text-tertiary); font-size: 1rem; }
+      .pm-pin-btn:hover, .pm-pin-btn.pinned { color: #d97706; }
+      .pm-stats-summary { display: flex; gap: 24px; margin-bottom: 16px; font-size: 0.875rem; color: var(--text-secondary); }
+      .pm-stats-summary strong { display: block; font-size: 1.25rem; color: var(--text-primary); }
+      .pm-stats-category { margin-bottom: 16px; }
+      .pm-stats-category h4 { margin: 0 0 6px; font-size: 0.875rem; font-weight: 600; }
+      .pm-stats-row { display: flex; gap: 8px; align-items: center; padding: 4px 0; font-size: 0.8rem; }
+      .pm-stats-row span:first-child { flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+      .pm-stats-bar { width: 120px; height: 6px; border-radius: 3px; background: var(--main-surface-secondary); overflow: hidden; }
+      .pm-stats-bar div { height: 100%; background: #10a37f; }
+      .pm-stats-row small { width: 90px; text-align: right; color: var(--text-tertiary); }
+      .pm-chain-step { display: flex; gap: 8px; align-items: center; margin-bottom: 8px; font-size: 0.875rem; }
+      .pm-chain-step .pm-action-btn { padding: 4px 8px; border-radius: 6px; }
+      .pm-chain-step .pm-action-btn:disabled { opacity: 0.4; cursor: default; }
+      #pm-chain-runner { position: fixed; right: 20px; bottom: 20px; z-index: 10002; width: 300px; padding: 14px; background: var(--main-surface-primary); color: var(--text-primary); border: 1px solid var(--border-medium); border-radius: 12px; box-shadow: 0 10px 30px rgba(0,0,0,0.2); font-size: 0.8rem; }
+      .pm-chain-runner-title { font-weight: 600; font-size: 0.875rem; }
+      .pm-chain-runner-step { color: var(--text-secondary); margin-top: 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+      .pm-chain-progress { height: 4px; margin: 8px 0; border-radius: 2px; background: var(--main-surface-secondary); overflow: hidden; }
+      .pm-chain-progress div { height: 100%; background: #10a37f; transition: width 0.3s; }
+      .pm-chain-runner-status { color: var(--text-tertiary); }
+      .pm-chain-runner-buttons { display: flex; gap: 6px; margin-top: 10px; }
+      .pm-chain-runner-buttons .pm-btn { flex: 1; padding: 4px 8px; }
+      .pm-template-preview { margin: 0; padding: 12px; max-height: 200px; overflow-y: auto; white-space: pre-wrap; word-break: break-word; border: 1px dashed var(--border-medium); border-radius: 6px; background: var(--main-surface-secondary); color: var(--text-secondary); font-family: inherit; font-size: 0.875rem; }
       #pm-close-btn {background: none; border: none; font-size: 1.5rem; cursor: pointer; color: var(--text-tertiary); transition: color 0.2s;}
     `;
 
@@ -248,34 +759,68 @@ window.ChatGPTprompt = (() => {
     container.innerHTML = `
       <div id="pm-modal" class="pm-modal">
       <div class="pm-header">
-        <h2>Prompts</h2>
+        <h2 class="flex items-center gap-2">
+          Prompts
+          <button id="pm-sync-status" class="pm-sync-status" title="Sync now"></button>
+        </h2>
         <div class="pm-header-buttons">
-          <input
-            type="file"
-            id="pm-file-input"
-            class="pm-file-input"
-            accept=".json"
-          >
-            <button id="pm-import-btn" class="flex gap-1.5 btn pm-btn" title="Import">
-              <svg
-                xmlns="http://www.w3.org/2000/svg"
-                width="16"
-                height="16"
-                viewBox="0 0 24 24"
-                fill="none"
-                stroke="currentColor"
-                stroke-width="2"
-                stroke-linecap="round"
-                stroke-linejoin="round"
-                class="lucide lucide-upload-icon lucide-upload"
-              >
-                <path d="M12 3v12" />
-                <path d="m17 8-5-5-5 5" />
-                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
-              </svg>
-              <span class="hidden md:block">Import</span>
-            </button>
-          </input>
+          <button id="pm-stats-btn" class="flex gap-1.5 btn pm-btn" title="Usage stats">
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              width="16"
+              height="16"
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="currentColor"
+              stroke-width="2"
+              stroke-linecap="round"
+              stroke-linejoin="round"
+              class="lucide lucide-chart-column-icon lucide-chart-column"
+            >
+              <path d="M3 3v16a2 2 0 0 0 2 2h16" />
+              <path d="M18 17V9" />
+              <path d="M13 17V5" />
+              <path d="M8 17v-3" />
+            </svg>
+            <span class="hidden md:block">Stats</span>
+          </button>
+          <button id="pm-chains-btn" class="flex gap-1.5 btn pm-btn" title="Chains">
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              width="16"
+              height="16"
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="currentColor"
+              stroke-width="2"
+              stroke-linecap="round"
+              stroke-linejoin="round"
+              class="lucide lucide-link-icon lucide-link"
+            >
+              <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71" />
+              <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71" />
+            </svg>
+            <span class="hidden md:block">Chains</span>
+          </button>
+          <button id="pm-import-btn" class="flex gap-1.5 btn pm-btn" title="Import">
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              width="16"
+              height="16"
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="currentColor"
+              stroke-width="2"
+              stroke-linecap="round"
+              stroke-linejoin="round"
+              class="lucide lucide-upload-icon lucide-upload"
+            >
+              <path d="M12 3v12" />
+              <path d="m17 8-5-5-5 5" />
+              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+            </svg>
+            <span class="hidden md:block">Import</span>
+          </button>
           <button id="pm-export-btn" class="flex gap-1.5 btn pm-btn" title="Export">
             <svg
               width="16"
@@ -337,6 +882,16 @@ window.ChatGPTprompt = (() => {
           class="pm-search-input"
           placeholder="Search prompts..."
         ></input>
+        <select id="pm-sort-select" class="pm-sort-select" title="Sort prompts (pinned prompts stay on top)">
+          <option value="recent">Recently used</option>
+          <option value="frequent">Most used</option>
+          <option value="newest">Newest</option>
+          <option value="title">Title</option>
+        </select>
+        <label class="pm-trigger-label" title="Type this in the message box to pick a prompt. Leave empty to turn the launcher off.">
+          Launcher
+          <input type="text" id="pm-trigger-input" class="pm-trigger-input" maxlength="3">
+        </label>
       </div>
       <div class="pm-content flex flex-row">
         <div class="pm-sidebar hidden md:block">
@@ -380,9 +935,21 @@ window.ChatGPTprompt = (() => {
             <textarea id="pm-editor-content" class="pm-form-textarea" placeholder="Enter your prompt here...">${
               prompt ? escapeHTML(prompt.content) : ""
             }</textarea>
+            <div class="pm-form-hint">
+              Variables: <code>{{name}}</code>, <code>{{name=default}}</code>,
+              <code>{{name:one|two}}</code> or <code>{{name:multiline}}</code>.
+              Built-ins: ${Object.keys(BUILT_IN_VARIABLES)
+                .map((name) => `<code>{{${name}}}</code>`)
+                .join(", ")}.
+            </div>
           </div>
         </div>
         <div class="pm-editor-footer">
+          ${
+            prompt
+              ? '<button id="pm-editor-history" class="pm-btn btn" style="margin-right: auto;">History</button>'
+              : ""
+          }
           <button id="pm-editor-cancel" class="pm-btn btn">Cancel</button>
           <button id="pm-editor-save" class="pm-btn btn">Save</button>
           <button id="pm-editor-use" class="pm-btn btn">Use</button>
@@ -401,8 +968,7 @@ window.ChatGPTprompt = (() => {
     backdrop.querySelector("#pm-editor-use").addEventListener("click", () => {
       const content = document.getElementById("pm-editor-content").value.trim();
       backdrop.remove();
-      toggleModalVisibility(false);
-      pasteText(content);
+      applyPrompt(content, prompt?.id ?? null);
     });
 
     backdrop
@@ -434,6 +1000,7 @@ window.ChatGPTprompt = (() => {
 
           backdrop.remove();
           await refreshPromptsList();
+          scheduleSync();
         } catch (error) {
           console.error("[Prompt Manager] Error saving prompt:", error);
           alert("Failed to save prompt. Please try again.");
@@ -447,6 +1014,17 @@ window.ChatGPTprompt = (() => {
       }
     });
 
+    backdrop
+      .querySelector("#pm-editor-history")
+      ?.addEventListener("click", () => {
+        showPromptHistory(prompt, (version) => {
+          document.getElementById("pm-editor-title").value = version.title;
+          document.getElementById("pm-editor-category").value =
+            version.category;
+          document.getElementById("pm-editor-content").value = version.content;
+        });
+      });
+
     // Focus title input
     setTimeout(() => {
       document.getElementById("pm-editor-title").focus();
@@ -457,7 +1035,6 @@ window.ChatGPTprompt = (() => {
   function addModalEventListeners() {
     const container = document.getElementById("pm-modal-container");
     const searchInput = document.getElementById("pm-search-input");
-    const fileInput = document.getElementById("pm-file-input");
 
     // Close modal
     container.addEventListener("click", (e) => {
@@ -478,51 +1055,101 @@ window.ChatGPTprompt = (() => {
     });
 
     document.getElementById("pm-import-btn").addEventListener("click", () => {
-      fileInput.click();
+      showImportDialog();
     });
 
-    fileInput.addEventListener("change", async (e) => {
-      const file = e.target.files[0];
-      if (!file) return;
+    document.getElementById("pm-chains-btn").addEventListener("click", () => {
+      showChainsDialog();
+    });
 
-      try {
-        const importCount = await promptManager.loadPrompts(file);
-        alert(`Successfully imported ${importCount} prompts!`);
-        await refreshPromptsList();
-        fileInput.value = ""; // Reset file input
-      } catch (error) {
-        console.error("[Prompt Manager] Import error:", error);
-        alert("Failed to import prompts. Please check the file format.");
-      }
+    document.getElementById("pm-stats-btn").addEventListener("click", () => {
+      showUsageStats();
     });
 
     // Search
     searchInput.addEventListener("input", handleSearch);
+
+    document
+      .getElementById("pm-sync-status")
+      .addEventListener("click", () => syncPrompts());
+    renderSyncStatus();
+
+    // Sort order
+    const sortSelect = document.getElementById("pm-sort-select");
+    sortSelect.value = appState.sort;
+    sortSelect.addEventListener("change", () => {
+      appState.sort = sortSelect.value;
+      renderPromptsList(getVisiblePrompts());
+      if (chrome?.storage?.local) {
+        chrome.storage.local.set({ promptSort: appState.sort });
+      }
+    });
+    if (chrome?.storage?.local) {
+      chrome.storage.local.get(["promptSort"], (result) => {
+        if (PROMPT_SORTS[result.promptSort]) {
+          appState.sort = sortSelect.value = result.promptSort;
+          renderPromptsList(getVisiblePrompts());
+        }
+      });
+    }
+
+    // Launcher trigger
+    const triggerInput = document.getElementById("pm-trigger-input");
+    triggerInput.value = appState.trigger;
+    triggerInput.addEventListener("change", () => {
+      appState.trigger = triggerInput.value.trim();
+      if (chrome?.storage?.local) {
+        chrome.storage.local.set({ promptTrigger: appState.trigger });
+      }
+    });
   }
 
   async function handleSearch() {
-    const searchInput = document.getElementById("pm-search-input");
-    const query = searchInput.value.toLowerCase().trim();
+    appState.prompts = await promptManager.getAllPrompts();
+    renderPromptsList(getVisiblePrompts());
+  }
+
+  async function refreshPromptsList() {
+    appState.prompts = await promptManager.getAllPrompts();
+    renderCategories();
+    renderPromptsList(getVisiblePrompts());
+  }
 
-    const allPrompts = await promptManager.getAllPrompts();
-    let filteredPrompts = allPrompts;
+  const PROMPT_SORTS = {
+    recent: (a, b) => (b.lastUsedAt || "").localeCompare(a.lastUsedAt || ""),
+    frequent: (a, b) =>
+      (b.useCount || 0) - (a.useCount || 0) || PROMPT_SORTS.recent(a, b),
+    newest: (a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""),
+    title: (a, b) => a.title.localeCompare(b.title),
+  };
 
-    if (query) {
-      filteredPrompts = allPrompts.filter(
+  /**
+   * Applies the selected category, the search box and the sort order.
+   */
+  function getVisiblePrompts() {
+    const query =
+      document.getElementById("pm-search-input")?.value.toLowerCase().trim() ||
+      "";
+    const sort = PROMPT_SORTS[appState.sort] || PROMPT_SORTS.recent;
+    return appState.prompts
+      .filter((prompt) =>
+        appState.category === "pinned"
+          ? prompt.pinned
+          : appState.category === "all" || prompt.category === appState.category
+      )
+      .filter(
         (prompt) =>
+          !query ||
           prompt.title.toLowerCase().includes(query) ||
           prompt.content.toLowerCase().includes(query) ||
           prompt.category.toLowerCase().includes(query)
+      )
+      .sort(
+        (a, b) =>
+          (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) ||
+          sort(a, b) ||
+          a.title.localeCompare(b.title)
       );
-    }
-
-    renderPromptsList(filteredPrompts);
-  }
-
-  async function refreshPromptsList() {
-    appState.prompts = await promptManager.getAllPrompts();
-    renderCategories();
-    renderPromptsList(appState.prompts);
   }
 
   function escapeHTML(str) {
@@ -536,9 +1163,21 @@ window.ChatGPTprompt = (() => {
   }
   function renderCategories() {
     const categories = [...new Set(appState.prompts.map((p) => p.category))];
+    const hasPinned = appState.prompts.some((p) => p.pinned);
+    if (
+      !categories.includes(appState.category) &&
+      !(appState.category === "pinned" && hasPinned)
+    ) {
+      appState.category = "all";
+    }
     const categoriesContainer = document.getElementById("pm-categories");
     const categoryHTML = `
-      <div class="pm-category-item active truncate" data-category="all" title="All Prompts">All Prompts</div>
+      <div class="pm-category-item truncate" data-category="all" title="All Prompts">All Prompts</div>
+      ${
+        hasPinned
+          ? `<div class="pm-category-item truncate" data-category="pinned" title="Pinned">★ Pinned</div>`
+          : ""
+      }
       ${categories
         .map((cat) => {
           const category = escapeHTML(cat);
@@ -553,6 +1192,10 @@ window.ChatGPTprompt = (() => {
     categoriesContainer
       .querySelectorAll(".pm-category-item")
       .forEach((item) => {
+        item.classList.toggle(
+          "active",
+          item.dataset.category === appState.category
+        );
         item.addEventListener("click", () => {
           // Remove active class from all items
           categoriesContainer
@@ -561,12 +1204,8 @@ window.ChatGPTprompt = (() => {
           // Add active class to clicked item
           item.classList.add("active");
 
-          const category = item.dataset.category;
-          const filteredPrompts =
-            category === "all"
-              ? appState.prompts
-              : appState.prompts.filter((p) => p.category === category);
-          renderPromptsList(filteredPrompts);
+          appState.category = item.dataset.category;
+          renderPromptsList(getVisiblePrompts());
         });
       });
   }
@@ -591,6 +1230,7 @@ window.ChatGPTprompt = (() => {
             await promptManager.addPrompt(e);
           }
           refreshPromptsList();
+          scheduleSync();
         });
       return;
     }
@@ -599,10 +1239,14 @@ window.ChatGPTprompt = (() => {
       .map(
         (prompt) => `
       <div class="pm-prompt-item" data-prompt-id="${prompt.id}">
-        <div class="pm-prompt-title">${escapeHTML(prompt.title).substring(
-          0,
-          200
-        )}</div>
+        <div class="pm-prompt-title">
+          <button class="pm-pin-btn ${
+            prompt.pinned ? "pinned" : ""
+          }" data-prompt-id="${prompt.id}" title="${
+          prompt.pinned ? "Unpin" : "Pin to top"
+        }">${prompt.pinned ? "★" : "☆"}</button>
+          ${escapeHTML(prompt.title).substring(0, 200)}
+        </div>
         <div class="pm-prompt-preview">${escapeHTML(prompt.content).substring(
           0,
           400
@@ -610,8 +1254,17 @@ window.ChatGPTprompt = (() => {
         <div class="pm-prompt-meta">
           <span>${escapeHTML(prompt.category).substring(0, 100)} • ${new Date(
           prompt.createdAt || prompt.updatedAt
-        ).toLocaleDateString()}</span>
+        ).toLocaleDateString()}${
+          prompt.useCount
+            ? ` • Used ${prompt.useCount}×, last ${new Date(
+                prompt.lastUsedAt
+              ).toLocaleDateString()}`
+            : ""
+        }</span>
           <div class="pm-prompt-actions">
+            <button class="pm-action-btn pm-use-btn btn" data-prompt-id="${
+              prompt.id
+            }">Use</button>
             <button class="pm-action-btn pm-edit-btn btn" data-prompt-id="${
               prompt.id
             }">Edit and Use</button>
@@ -638,19 +1291,44 @@ window.ChatGPTprompt = (() => {
       });
     });
 
-    listContainer.querySelectorAll(".pm-delete-btn").forEach((btn) => {
+    listContainer.querySelectorAll(".pm-pin-btn").forEach((btn) => {
       btn.addEventListener("click", async (e) => {
         e.stopPropagation();
         const promptId = parseInt(btn.dataset.promptId);
         const prompt = prompts.find((p) => p.id === promptId);
+        if (prompt) {
+          await promptManager.setPinned(promptId, !prompt.pinned);
+          await refreshPromptsList();
+        }
+      });
+    });
 
-        if (
-          prompt &&
-          confirm(`Are you sure you want to delete "${prompt.title}"?`)
-        ) {
-          try {
+    listContainer.querySelectorAll(".pm-use-btn").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const promptId = parseInt(btn.dataset.promptId);
+        const prompt = prompts.find((p) => p.id === promptId);
+        if (prompt) {
+          applyPrompt(prompt.content, prompt.id);
+        }
+      });
+    });
+
+    listContainer.querySelectorAll(".pm-delete-btn").forEach((btn) => {
+      btn.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        const promptId = parseInt(btn.dataset.promptId);
+        const prompt = prompts.find((p) => p.id === promptId);
+
+        if (
+          prompt &&
+          confirm(`Are you sure you want to delete "${prompt.title}"?`)
+        ) {
+          try {
             await promptManager.deletePrompt(promptId);
+            await recordDeletion(prompt);
             await refreshPromptsList();
+            scheduleSync();
           } catch (error) {
             console.error("[Prompt Manager] Error deleting prompt:", error);
             alert("Failed to delete prompt. Please try again.");
@@ -660,6 +1338,11 @@ window.ChatGPTprompt = (() => {
     });
   }
 
+  function isModalVisible() {
+    const container = document.getElementById("pm-modal-container");
+    return !!container && container.style.display !== "none";
+  }
+
   function toggleModalVisibility(show) {
     if (!appState.uiInjected) {
       if (show) injectModal();
@@ -680,13 +1363,1558 @@ window.ChatGPTprompt = (() => {
       const searchInput = document.getElementById("pm-search-input");
       searchInput.value = "";
       searchInput.focus();
-      refreshPromptsList();
+      refreshPromptsList().then(() => syncPrompts());
     } else {
       container.classList.remove("visible");
       setTimeout(() => (container.style.display = "none"), 200);
     }
   }
 
+  // --- Usage Stats ---
+  const STATS_PER_CATEGORY = 5;
+
+  /**
+   * Shows the most used prompts per category, busiest categories first.
+   */
+  async function showUsageStats() {
+    const prompts = (await promptManager.getAllPrompts()).filter(
+      (p) => p.useCount
+    );
+    const totalUses = prompts.reduce((sum, p) => sum + p.useCount, 0);
+    const maxUses = Math.max(1, ...prompts.map((p) => p.useCount));
+    const byCategory = {};
+    prompts.forEach((prompt) => {
+      (byCategory[prompt.category] ||= []).push(prompt);
+    });
+    const categories = Object.entries(byCategory)
+      .map(([category, items]) => ({
+        category,
+        uses: items.reduce((sum, p) => sum + p.useCount, 0),
+        top: items.sort(PROMPT_SORTS.frequent).slice(0, STATS_PER_CATEGORY),
+      }))
+      .sort((a, b) => b.uses - a.uses);
+
+    const backdrop = document.createElement("div");
+    backdrop.className = "pm-modal-container visible";
+    backdrop.innerHTML = `
+      <div class="pm-editor-modal">
+        <div class="pm-editor-header">
+          <h3>Usage Stats</h3>
+        </div>
+        <div class="pm-editor-form">
+          <div class="pm-stats-summary">
+            <div><strong>${totalUses}</strong>uses</div>
+            <div><strong>${prompts.length}</strong>prompts used</div>
+            <div><strong>${categories.length}</strong>categories</div>
+          </div>
+          ${
+            categories.length
+              ? categories
+                  .map(
+                    ({ category, uses, top }) => `
+          <div class="pm-stats-category">
+            <h4>${escapeHTML(category)} · ${uses} use(s)</h4>
+            ${top
+              .map(
+                (prompt) => `
+            <div class="pm-stats-row" title="Last used ${new Date(
+              prompt.lastUsedAt
+            ).toLocaleString()}">
+              <span>${escapeHTML(prompt.title)}</span>
+              <div class="pm-stats-bar"><div style="width: ${
+                (prompt.useCount / maxUses) * 100
+              }%;"></div></div>
+              <small>${prompt.useCount}× · ${new Date(
+                prompt.lastUsedAt
+              ).toLocaleDateString()}</small>
+            </div>`
+              )
+              .join("")}
+          </div>`
+                  )
+                  .join("")
+              : `<div class="pm-empty-state"><h3>No usage yet</h3><p>Prompts are counted each time they are inserted.</p></div>`
+          }
+        </div>
+        <div class="pm-editor-footer">
+          <button id="pm-stats-close" class="pm-btn btn">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(backdrop);
+    const close = () => backdrop.remove();
+    backdrop.querySelector("#pm-stats-close").addEventListener("click", close);
+    backdrop.addEventListener("click", (e) => {
+      if (e.target === backdrop) close();
+    });
+  }
+
+  // --- Import ---
+  const CSV_COLUMN_NAMES = {
+    title: ["title", "name", "act"],
+    category: ["category", "categories", "group", "folder", "tag", "tags"],
+    content: ["content", "prompt", "text", "body", "template"],
+  };
+
+  /**
+   * Parses CSV text (RFC 4180: quoted fields, doubled quotes, CRLF).
+   * @returns {Array<Array<string>>}
+   */
+  function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    text = text.replace(/^\uFEFF/, "");
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ",") {
+        row.push(field);
+        field = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && text[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += ch;
+      }
+    }
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter((r) => r.some((cell) => cell.trim()));
+  }
+
+  /**
+   * Splits a Markdown file into its YAML front matter (flat `key: value`
+   * pairs and `[a, b]` lists) and body.
+   */
+  function parseFrontMatter(text) {
+    const match = text
+      .replace(/^\uFEFF/, "")
+      .match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)([\s\S]*)$/);
+    if (!match) return { data: {}, body: text };
+    const unquote = (value) => value.replace(/^(["'])(.*)\1$/, "$2");
+    const data = {};
+    match[1].split(/\r?\n/).forEach((line) => {
+      const pair = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+      if (!pair) return;
+      const value = pair[2].trim();
+      data[pair[1].toLowerCase()] = /^\[.*\]$/.test(value)
+        ? value
+            .slice(1, -1)
+            .split(",")
+            .map((item) => unquote(item.trim()))
+            .filter(Boolean)
+        : unquote(value);
+    });
+    return { data, body: match[2] };
+  }
+
+  // cyrb53: a fast 53-bit string hash, used to spot duplicate prompts
+  function hashString(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+      const ch = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+    h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+    h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+
+  function hashPrompt(prompt) {
+    return hashString(
+      `${prompt.title.trim().toLowerCase()}\n${prompt.content.trim()}`
+    );
+  }
+
+  /**
+   * Reads the chosen files. Folder imports keep the relative path, so a
+   * Markdown file's folder can be used as its category.
+   */
+  async function readImportFiles(fileList) {
+    const files = [];
+    for (const file of fileList) {
+      const extension = file.name.split(".").pop().toLowerCase();
+      const type = {
+        json: "json",
+        csv: "csv",
+        md: "markdown",
+        markdown: "markdown",
+        txt: "markdown",
+      }[extension];
+      if (!type) continue;
+      files.push({
+        name: file.name,
+        path: file.webkitRelativePath || file.name,
+        type,
+        text: await file.text(),
+      });
+    }
+    return files;
+  }
+
+  /**
+   * Turns the imported files into prompt candidates.
+   * @param {Array<Object>} files - From readImportFiles.
+   * @param {Object} options - CSV column `mapping` and `defaultCategory`.
+   * @returns {Array<{title: string, category: string, content: string, source: string}>}
+   */
+  function extractPrompts(files, { mapping, defaultCategory }) {
+    const candidates = [];
+    const add = (prompt, source) =>
+      candidates.push({
+        title: String(prompt.title || "").trim(),
+        category: String(prompt.category || "").trim() || defaultCategory,
+        content: String(prompt.content || "").trim(),
+        source,
+      });
+
+    files.forEach((file) => {
+      try {
+        if (file.type === "json") {
+          const data = JSON.parse(file.text);
+          const items = Array.isArray(data) ? data : data.prompts;
+          if (!Array.isArray(items)) throw new Error("No prompts array");
+          items.forEach((item) =>
+            add(
+              {
+                title: item.title || item.act || item.name,
+                category: item.category,
+                content: item.content || item.prompt,
+              },
+              file.name
+            )
+          );
+        } else if (file.type === "csv") {
+          const [headers = [], ...rows] = parseCSV(file.text);
+          const column = (key) => headers.indexOf(mapping[key]);
+          rows.forEach((row) =>
+            add(
+              {
+                title: row[column("title")],
+                category: row[column("category")],
+                content: row[column("content")],
+              },
+              file.name
+            )
+          );
+        } else {
+          const { data, body } = parseFrontMatter(file.text);
+          const folder = file.path.split("/").slice(-2, -1)[0];
+          const tags = Array.isArray(data.tags) ? data.tags : [data.tags];
+          add(
+            {
+              title: data.title || file.name.replace(/\.[^.]+$/, ""),
+              category:
+                data.category ||
+                tags[0] ||
+                (folder !== file.path ? folder : ""),
+              content: body,
+            },
+            file.path
+          );
+        }
+      } catch (error) {
+        console.error(`[Prompt Manager] Could not read ${file.name}:`, error);
+        add({ title: "", content: "" }, `${file.name} (unreadable)`);
+      }
+    });
+    return candidates;
+  }
+
+  /**
+   * Marks each candidate as new, a duplicate (same title and content hash),
+   * a title match with different content, or invalid, and picks an action.
+   */
+  function classifyImports(candidates, existingPrompts, duplicateAction) {
+    const byHash = new Map(existingPrompts.map((p) => [hashPrompt(p), p]));
+    const byTitle = new Map(
+      existingPrompts.map((p) => [p.title.trim().toLowerCase(), p])
+    );
+    const seen = new Set();
+    return candidates.map((candidate) => {
+      if (!candidate.title || !candidate.content) {
+        return { ...candidate, status: "invalid", action: "skip" };
+      }
+      const hash = hashPrompt(candidate);
+      if (byHash.has(hash) || seen.has(hash)) {
+        return { ...candidate, status: "duplicate", action: "skip" };
+      }
+      seen.add(hash);
+      const existing = byTitle.get(candidate.title.toLowerCase());
+      if (existing) {
+        return {
+          ...candidate,
+          status: "title",
+          existing,
+          action: duplicateAction,
+        };
+      }
+      return { ...candidate, status: "new", action: "import" };
+    });
+  }
+
+  /**
+   * Import dialog: pick files or a folder, map CSV columns, review the
+   * preview and choose what happens to duplicates before saving anything.
+   */
+  function showImportDialog() {
+    const state = {
+      files: [],
+      headers: [],
+      mapping: { title: "", category: "", content: "" },
+      defaultCategory: "Imported",
+      duplicateAction: "skip",
+      rows: [],
+    };
+
+    const backdrop = document.createElement("div");
+    backdrop.className = "pm-modal-container visible";
+    backdrop.innerHTML = `
+      <div class="pm-editor-modal pm-import-modal">
+        <div class="pm-editor-header">
+          <h3>Import Prompts</h3>
+        </div>
+        <div class="pm-editor-form">
+          <div class="pm-import-row">
+            <input type="file" id="pm-import-files" class="pm-file-input" accept=".json,.csv,.md,.markdown,.txt" multiple>
+            <input type="file" id="pm-import-folder" class="pm-file-input" webkitdirectory multiple>
+            <button id="pm-import-choose-files" class="pm-btn btn">Choose Files</button>
+            <button id="pm-import-choose-folder" class="pm-btn btn">Choose Folder</button>
+            <span id="pm-import-files-label">Prompt Manager JSON, CSV (including act/prompt collections) or Markdown files with YAML front matter.</span>
+          </div>
+          <div class="pm-import-row" id="pm-import-mapping" style="display: none;"></div>
+          <div class="pm-import-row">
+            <label>Default category <input type="text" id="pm-import-category" class="pm-form-input" value="Imported"></label>
+            <label>When the title already exists
+              <select id="pm-import-duplicates" class="pm-form-input">
+                <option value="skip">Skip</option>
+                <option value="overwrite">Overwrite</option>
+                <option value="import">Keep both</option>
+              </select>
+            </label>
+          </div>
+          <div class="pm-import-row" id="pm-import-summary"></div>
+          <table class="pm-import-table">
+            <thead><tr><th style="width: 120px;">Action</th><th>Title</th><th style="width: 140px;">Category</th><th>Content</th><th style="width: 140px;">Status</th></tr></thead>
+            <tbody id="pm-import-rows"></tbody>
+          </table>
+        </div>
+        <div class="pm-editor-footer">
+          <button id="pm-import-cancel" class="pm-btn btn">Cancel</button>
+          <button id="pm-import-confirm" class="pm-btn btn" disabled>Import</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(backdrop);
+    const $ = (selector) => backdrop.querySelector(selector);
+
+    const STATUS_LABELS = {
+      new: "New",
+      duplicate: "Duplicate",
+      title: "Title exists",
+      invalid: "Missing title or content",
+    };
+    const renderMapping = () => {
+      const mappingRow = $("#pm-import-mapping");
+      mappingRow.style.display = state.headers.length ? "" : "none";
+      const options = (selected) =>
+        [`<option value="">(none)</option>`]
+          .concat(
+            state.headers.map(
+              (header) =>
+                `<option value="${escapeHTML(header)}" ${
+                  header === selected ? "selected" : ""
+                }>${escapeHTML(header)}</option>`
+            )
+          )
+          .join("");
+      mappingRow.innerHTML = `CSV columns:${["title", "category", "content"]
+        .map(
+          (key) =>
+            ` <label>${key} <select class="pm-form-input" data-mapping="${key}">${options(
+              state.mapping[key]
+            )}</select></label>`
+        )
+        .join("")}`;
+      mappingRow.querySelectorAll("[data-mapping]").forEach((select) =>
+        select.addEventListener("change", () => {
+          state.mapping[select.dataset.mapping] = select.value;
+          rebuild();
+        })
+      );
+    };
+
+    const renderRows = () => {
+      const counts = {};
+      state.rows.forEach((row) => {
+        counts[row.action] = (counts[row.action] || 0) + 1;
+      });
+      $("#pm-import-summary").textContent = state.rows.length
+        ? `${state.rows.length} prompt(s) found: ${counts.import || 0} to import, ${
+            counts.overwrite || 0
+          } to overwrite, ${counts.skip || 0} to skip.`
+        : "";
+      $("#pm-import-rows").innerHTML = state.rows
+        .map(
+          (row, i) => `
+          <tr>
+            <td><select class="pm-form-input" data-row="${i}" ${
+              row.status === "invalid" ? "disabled" : ""
+            }>
+              <option value="import" ${row.action === "import" ? "selected" : ""}>Import</option>
+              ${
+                row.existing
+                  ? `<option value="overwrite" ${
+                      row.action === "overwrite" ? "selected" : ""
+                    }>Overwrite</option>`
+                  : ""
+              }
+              <option value="skip" ${row.action === "skip" ? "selected" : ""}>Skip</option>
+            </select></td>
+            <td title="${escapeHTML(row.source)}">${escapeHTML(row.title)}</td>
+            <td>${escapeHTML(row.category)}</td>
+            <td title="${escapeHTML(row.content.substring(0, 500))}">${escapeHTML(
+              row.content.substring(0, 200)
+            )}</td>
+            <td class="pm-import-status-${row.status}">${STATUS_LABELS[row.status]}</td>
+          </tr>`
+        )
+        .join("");
+      $("#pm-import-rows")
+        .querySelectorAll("[data-row]")
+        .forEach((select) =>
+          select.addEventListener("change", () => {
+            state.rows[parseInt(select.dataset.row)].action = select.value;
+            renderRows();
+          })
+        );
+      const writes = (counts.import || 0) + (counts.overwrite || 0);
+      $("#pm-import-confirm").disabled = writes === 0;
+      $("#pm-import-confirm").textContent = `Import ${writes || ""}`.trim();
+    };
+
+    const rebuild = async () => {
+      const candidates = extractPrompts(state.files, state);
+      state.rows = classifyImports(
+        candidates,
+        await promptManager.getAllPrompts(),
+        state.duplicateAction
+      );
+      renderRows();
+    };
+
+    const loadFiles = async (fileList) => {
+      state.files = await readImportFiles(fileList);
+      const csvHeaders = state.files
+        .filter((file) => file.type === "csv")
+        .flatMap((file) => parseCSV(file.text)[0] || []);
+      state.headers = [...new Set(csvHeaders)];
+      for (const key of Object.keys(state.mapping)) {
+        state.mapping[key] =
+          state.headers.find((header) =>
+            CSV_COLUMN_NAMES[key].includes(header.trim().toLowerCase())
+          ) || "";
+      }
+      $("#pm-import-files-label").textContent = state.files.length
+        ? `${state.files.length} file(s) selected.`
+        : "No supported files were selected.";
+      renderMapping();
+      await rebuild();
+    };
+
+    $("#pm-import-choose-files").addEventListener("click", () =>
+      $("#pm-import-files").click()
+    );
+    $("#pm-import-choose-folder").addEventListener("click", () =>
+      $("#pm-import-folder").click()
+    );
+    ["#pm-import-files", "#pm-import-folder"].forEach((selector) =>
+      $(selector).addEventListener("change", (e) => {
+        loadFiles(e.target.files);
+        e.target.value = "";
+      })
+    );
+    $("#pm-import-category").addEventListener("change", (e) => {
+      state.defaultCategory = e.target.value.trim() || "Imported";
+      rebuild();
+    });
+    $("#pm-import-duplicates").addEventListener("change", (e) => {
+      state.duplicateAction = e.target.value;
+      rebuild();
+    });
+    $("#pm-import-cancel").addEventListener("click", () => backdrop.remove());
+    backdrop.addEventListener("click", (e) => {
+      if (e.target === backdrop) backdrop.remove();
+    });
+
+    $("#pm-import-confirm").addEventListener("click", async () => {
+      $("#pm-import-confirm").disabled = true;
+      let imported = 0;
+      let updated = 0;
+      try {
+        for (const row of state.rows) {
+          const prompt = {
+            title: row.title,
+            category: row.category,
+            content: row.content,
+          };
+          if (row.action === "import") {
+            await promptManager.addPrompt(prompt);
+            imported++;
+          } else if (row.action === "overwrite" && row.existing) {
+            await promptManager.updatePrompt(row.existing.id, prompt);
+            updated++;
+          }
+        }
+        backdrop.remove();
+        alert(
+          `Imported ${imported} prompt(s) and overwrote ${updated}. Skipped ${
+            state.rows.length - imported - updated
+          }.`
+        );
+      } catch (error) {
+        console.error("[Prompt Manager] Import error:", error);
+        alert(
+          `Import stopped after ${imported + updated} prompt(s). Please try again.`
+        );
+      }
+      await refreshPromptsList();
+      scheduleSync();
+    });
+  }
+
+  // --- Prompt Versions ---
+  /**
+   * Line diff of two texts (LCS), paired up for a side-by-side view.
+   * @returns {Array<{left: string|null, right: string|null, type: 'same'|'changed'|'removed'|'added'}>}
+   */
+  function diffLines(before, after) {
+    const a = before.split("\n");
+    const b = after.split("\n");
+    const lcs = Array.from(
+      { length: a.length + 1 },
+      () => new Uint32Array(b.length + 1)
+    );
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] =
+          a[i] === b[j]
+            ? lcs[i + 1][j + 1] + 1
+            : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const rows = [];
+    let removed = [];
+    let added = [];
+    const flush = () => {
+      for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+        const left = removed[k] ?? null;
+        const right = added[k] ?? null;
+        let type = "changed";
+        if (left === null) type = "added";
+        else if (right === null) type = "removed";
+        rows.push({ left, right, type });
+      }
+      removed = [];
+      added = [];
+    };
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        flush();
+        rows.push({ left: a[i], right: b[j], type: "same" });
+        i++;
+        j++;
+      } else if (
+        j < b.length &&
+        (i >= a.length || lcs[i][j + 1] >= lcs[i + 1][j])
+      ) {
+        added.push(b[j++]);
+      } else {
+        removed.push(a[i++]);
+      }
+    }
+    flush();
+    return rows;
+  }
+
+  /**
+   * Shows the saved versions of a prompt with a side-by-side diff, and
+   * restores the chosen one as a new save.
+   * @param {Object} prompt - The prompt being edited.
+   * @param {Function} onRestore - Called with the restored version.
+   */
+  async function showPromptHistory(prompt, onRestore) {
+    const versions = await promptManager.getVersions(prompt.id);
+    if (!versions.length) {
+      alert("This prompt has no saved versions yet.");
+      return;
+    }
+
+    const backdrop = document.createElement("div");
+    backdrop.className = "pm-modal-container visible";
+    backdrop.style.zIndex = "10002";
+    backdrop.innerHTML = `
+      <div class="pm-editor-modal pm-history-modal">
+        <div class="pm-editor-header">
+          <h3>History: ${escapeHTML(prompt.title)}</h3>
+        </div>
+        <div class="pm-history-layout">
+          <div class="pm-history-list">
+            ${versions
+              .map(
+                (version, i) => `
+            <div class="pm-history-item" data-index="${i}">
+              ${i === 0 ? "Latest" : `Version ${versions.length - i}`}
+              <small>${new Date(version.savedAt).toLocaleString()}</small>
+            </div>`
+              )
+              .join("")}
+          </div>
+          <div class="pm-history-detail">
+            <div class="pm-history-toolbar">
+              <select id="pm-history-compare" class="pm-form-input" style="width: auto;">
+                <option value="previous">Compare with previous version</option>
+                <option value="current">Compare with the editor</option>
+              </select>
+              <button id="pm-history-restore" class="pm-btn btn">Restore this version</button>
+            </div>
+            <div class="pm-diff-meta" id="pm-history-meta"></div>
+            <div class="pm-diff" id="pm-history-diff"></div>
+          </div>
+        </div>
+        <div class="pm-editor-footer">
+          <button id="pm-history-close" class="pm-btn btn">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(backdrop);
+
+    const compareSelect = backdrop.querySelector("#pm-history-compare");
+    let selected = 0;
+    const render = () => {
+      backdrop.querySelectorAll(".pm-history-item").forEach((item) => {
+        item.classList.toggle(
+          "active",
+          parseInt(item.dataset.index) === selected
+        );
+      });
+      const version = versions[selected];
+      const base =
+        compareSelect.value === "current"
+          ? {
+              title: document.getElementById("pm-editor-title")?.value ?? "",
+              category:
+                document.getElementById("pm-editor-category")?.value ?? "",
+              content:
+                document.getElementById("pm-editor-content")?.value ?? "",
+            }
+          : versions[selected + 1] || { title: "", category: "", content: "" };
+      const baseLabel =
+        compareSelect.value === "current"
+          ? "Editor"
+          : versions[selected + 1]
+          ? new Date(versions[selected + 1].savedAt).toLocaleString()
+          : "Empty";
+      const changes = ["title", "category"]
+        .filter((field) => base[field] !== version[field])
+        .map(
+          (field) =>
+            `${field[0].toUpperCase()}${field.slice(1)}: "${escapeHTML(
+              base[field]
+            )}" → "${escapeHTML(version[field])}"`
+        );
+      backdrop.querySelector("#pm-history-meta").innerHTML =
+        changes.join("<br>");
+
+      const rows = diffLines(base.content, version.content);
+      backdrop.querySelector("#pm-history-diff").innerHTML = `
+        <table>
+          <thead><tr><th>${escapeHTML(baseLabel)}</th><th>${new Date(
+            version.savedAt
+          ).toLocaleString()}</th></tr></thead>
+          <tbody>
+            ${rows
+              .map(
+                (row) => `<tr>
+              <td class="${row.type === "same" || row.left === null ? "" : "pm-diff-removed"}">${escapeHTML(row.left ?? "")}</td>
+              <td class="${row.type === "same" || row.right === null ? "" : "pm-diff-added"}">${escapeHTML(row.right ?? "")}</td>
+            </tr>`
+              )
+              .join("")}
+          </tbody>
+        </table>`;
+    };
+
+    backdrop.querySelectorAll(".pm-history-item").forEach((item) => {
+      item.addEventListener("click", () => {
+        selected = parseInt(item.dataset.index);
+        render();
+      });
+    });
+    compareSelect.addEventListener("change", render);
+    backdrop
+      .querySelector("#pm-history-close")
+      .addEventListener("click", () => backdrop.remove());
+    backdrop.addEventListener("click", (e) => {
+      if (e.target === backdrop) backdrop.remove();
+    });
+    backdrop
+      .querySelector("#pm-history-restore")
+      .addEventListener("click", async () => {
+        const version = versions[selected];
+        try {
+          await promptManager.updatePrompt(prompt.id, version);
+          onRestore(version);
+          backdrop.remove();
+          await refreshPromptsList();
+          scheduleSync();
+        } catch (error) {
+          console.error("[Prompt Manager] Error restoring version:", error);
+          alert("Failed to restore this version. Please try again.");
+        }
+      });
+
+    render();
+  }
+
+  // --- Prompt Templates ---
+  /**
+   * Variables filled in without asking. `selection` is the text selected on
+   * the page when the Prompt Manager was opened.
+   */
+  // The modal, launcher and palette all take focus before a template is
+  // filled in, so the page selection is remembered as it changes. Clicking
+  // into an input keeps it; clearing it on the page forgets it.
+  document.addEventListener("selectionchange", () => {
+    const selection = window.getSelection();
+    const node = selection?.anchorNode;
+    if (!node) return;
+    const element =
+      node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    if (element?.closest("input, textarea, [contenteditable='true']")) return;
+    appState.selection = selection.toString();
+  });
+
+  const BUILT_IN_VARIABLES = {
+    selection: async () => appState.selection,
+    clipboard: async () => {
+      try {
+        return await navigator.clipboard.readText();
+      } catch (error) {
+        console.warn("[Prompt Manager] Clipboard is not readable:", error);
+        return "";
+      }
+    },
+    date: async () => new Date().toLocaleDateString(),
+    time: async () => new Date().toLocaleTimeString(),
+    conversation_title: async () =>
+      document.title.replace(/^ChatGPT( - )?/, "").trim(),
+  };
+
+  // {{name}}, {{name=default}}, {{name:a|b|c}}, {{name:multiline=default}}
+  const TEMPLATE_VARIABLE =
+    /\{\{\s*([\w-]+)\s*(?::\s*([^=}]*?)\s*)?(?:=\s*([^}]*?)\s*)?\}\}/g;
+
+  /**
+   * Lists the variables used by a template. A name used more than once is
+   * one variable; the first occurrence that sets a type or default wins.
+   * @param {string} content
+   * @returns {Array<{name: string, type: 'text'|'multiline'|'select', options: Array<string>, defaultValue: string, builtIn: boolean}>}
+   */
+  function parseTemplate(content) {
+    const variables = new Map();
+    for (const match of content.matchAll(TEMPLATE_VARIABLE)) {
+      const [, name, type = "", defaultValue] = match;
+      const existing = variables.get(name);
+      if (existing && (existing.type !== "text" || existing.defaultValue)) {
+        continue;
+      }
+      const options = type.includes("|")
+        ? type.split("|").map((option) => option.trim())
+        : [];
+      variables.set(name, {
+        name,
+        type: options.length ? "select" : type === "multiline" ? type : "text",
+        options,
+        defaultValue: defaultValue ?? options[0] ?? "",
+        builtIn: Object.hasOwn(BUILT_IN_VARIABLES, name),
+      });
+    }
+    return [...variables.values()];
+  }
+
+  /**
+   * Replaces every variable in a template with its value.
+   * @param {string} content
+   * @param {Object<string, string>} values
+   * @returns {string}
+   */
+  function fillTemplate(content, values) {
+    return content.replace(TEMPLATE_VARIABLE, (match, name) =>
+      Object.hasOwn(values, name) ? values[name] : match
+    );
+  }
+
+  /**
+   * Inserts a prompt into the composer. Templates with variables open a
+   * form first; built-ins are resolved without asking.
+   * @param {string} content
+   * @param {number} [promptId] - Saved prompt to mark as recently used.
+   * @returns {Promise<boolean>} Whether the prompt was inserted.
+   */
+  async function applyPrompt(content, promptId = null) {
+    const variables = parseTemplate(content);
+    const values = {};
+    for (const variable of variables.filter((v) => v.builtIn)) {
+      values[variable.name] = await BUILT_IN_VARIABLES[variable.name]();
+    }
+    const fields = variables.filter((v) => !v.builtIn);
+    const filledValues = fields.length
+      ? await showTemplateForm(content, fields, values)
+      : values;
+    if (filledValues === null) return false;
+    toggleModalVisibility(false);
+    await pasteText(fillTemplate(content, filledValues));
+    if (promptId !== null) await promptManager.markPromptUsed(promptId);
+    return true;
+  }
+
+  /**
+   * Asks for the template's variables and shows a live preview of the text.
+   * @returns {Promise<Object|null>} The variable values, or null if canceled.
+   */
+  function showTemplateForm(
+    content,
+    fields,
+    builtInValues,
+    submitLabel = "Insert"
+  ) {
+    return new Promise((resolve) => {
+      const backdrop = document.createElement("div");
+      backdrop.className = "pm-modal-container visible";
+      backdrop.innerHTML = `
+        <div class="pm-editor-modal">
+          <div class="pm-editor-header">
+            <h3>Fill in Prompt</h3>
+          </div>
+          <div class="pm-editor-form">
+            ${fields
+              .map((field) => {
+                const name = escapeHTML(field.name);
+                const value = escapeHTML(field.defaultValue);
+                let input = `<input type="text" class="pm-form-input" data-variable="${name}" value="${value}">`;
+                if (field.type === "multiline") {
+                  input = `<textarea class="pm-form-textarea" style="min-height: 100px;" data-variable="${name}">${value}</textarea>`;
+                } else if (field.type === "select") {
+                  input = `<select class="pm-form-input" data-variable="${name}">${field.options
+                    .map(
+                      (option) =>
+                        `<option value="${escapeHTML(option)}" ${
+                          option === field.defaultValue ? "selected" : ""
+                        }>${escapeHTML(option)}</option>`
+                    )
+                    .join("")}</select>`;
+                }
+                return `
+            <div class="pm-form-group">
+              <label class="pm-form-label">${name.replace(/[_-]/g, " ")}</label>
+              ${input}
+            </div>`;
+              })
+              .join("")}
+            <div class="pm-form-group">
+              <label class="pm-form-label">Preview</label>
+              <pre class="pm-template-preview" id="pm-template-preview"></pre>
+            </div>
+          </div>
+          <div class="pm-editor-footer">
+            <button id="pm-template-cancel" class="pm-btn btn">Cancel</button>
+            <button id="pm-template-insert" class="pm-btn btn">${submitLabel}</button>
+          </div>
+        </div>
+      `;
+      document.body.appendChild(backdrop);
+
+      const inputs = backdrop.querySelectorAll("[data-variable]");
+      const preview = backdrop.querySelector("#pm-template-preview");
+      const collect = () => {
+        const values = { ...builtInValues };
+        inputs.forEach(
+          (input) => (values[input.dataset.variable] = input.value)
+        );
+        return values;
+      };
+      const close = (result) => {
+        backdrop.remove();
+        resolve(result);
+      };
+      const updatePreview = () =>
+        (preview.textContent = fillTemplate(content, collect()));
+
+      inputs.forEach((input) => {
+        input.addEventListener("input", updatePreview);
+        input.addEventListener("change", updatePreview);
+      });
+      backdrop.addEventListener("keydown", (e) => {
+        if (e.key === "Escape") close(null);
+        else if (e.key === "Enter" && (e.ctrlKey || e.metaKey))
+          close(collect());
+      });
+      backdrop
+        .querySelector("#pm-template-cancel")
+        .addEventListener("click", () => close(null));
+      backdrop
+        .querySelector("#pm-template-insert")
+        .addEventListener("click", () => close(collect()));
+      backdrop.addEventListener("click", (e) => {
+        if (e.target === backdrop) close(null);
+      });
+
+      updatePreview();
+      setTimeout(() => inputs[0]?.focus(), 100);
+    });
+  }
+
+  // --- Prompt Chains ---
+  const CHAIN_SELECTORS = {
+    send: "[data-testid='send-button'], #composer-submit-button",
+    stop: "[data-testid='stop-button']",
+    assistant: "[data-message-author-role='assistant']",
+  };
+  const CHAIN_POLL_MS = 500;
+  const CHAIN_SETTLE_MS = 1500; // Quiet time before a reply counts as finished
+  const CHAIN_START_TIMEOUT_MS = 30000;
+  let chainRun = null; // { chain, steps, index, status, paused, skip, aborted, panel }
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const isStreaming = () => !!document.querySelector(CHAIN_SELECTORS.stop);
+  const countReplies = () =>
+    document.querySelectorAll(CHAIN_SELECTORS.assistant).length;
+
+  /**
+   * Clicks the composer's send button once it is enabled.
+   * @returns {Promise<boolean>} Whether the message was sent.
+   */
+  async function submitComposer() {
+    for (let waited = 0; waited < 10000; waited += CHAIN_POLL_MS) {
+      const button = document.querySelector(CHAIN_SELECTORS.send);
+      if (button && !button.disabled) {
+        button.click();
+        return true;
+      }
+      await sleep(CHAIN_POLL_MS);
+    }
+    return false;
+  }
+
+  function getConversationId() {
+    return window.location.pathname.match(/\/c\/([\w-]+)/)?.[1] || null;
+  }
+
+  /**
+   * Aborts the run if the user has moved to another conversation. A chain
+   * started in a new chat adopts the ID the first message creates.
+   */
+  function checkConversation(run) {
+    const conversationId = getConversationId();
+    if (!run.conversationId) run.conversationId = conversationId;
+    else if (conversationId !== run.conversationId) {
+      run.aborted = true;
+      run.leftConversation = true;
+    }
+    return !run.aborted;
+  }
+
+  /**
+   * Waits until a new assistant reply exists and has stopped streaming.
+   * @returns {Promise<boolean>} False if no reply started, or the wait was
+   * cut short by skip or abort.
+   */
+  async function waitForReply(run, previousCount) {
+    const started = Date.now();
+    let quietSince = null;
+    while (checkConversation(run) && !run.skip) {
+      const replied = countReplies() > previousCount;
+      if (replied && !isStreaming()) {
+        quietSince ??= Date.now();
+        if (Date.now() - quietSince >= CHAIN_SETTLE_MS) return true;
+      } else {
+        quietSince = null;
+        if (
+          !replied &&
+          !isStreaming() &&
+          Date.now() - started > CHAIN_START_TIMEOUT_MS
+        ) {
+          return false;
+        }
+      }
+      await sleep(CHAIN_POLL_MS);
+    }
+    return false;
+  }
+
+  function stopGenerating() {
+    document.querySelector(CHAIN_SELECTORS.stop)?.click();
+  }
+
+  /**
+   * Runs a chain: asks once for every variable its steps use, then sends the
+   * steps one by one, waiting for each reply to finish streaming.
+   * @param {number} chainId
+   */
+  async function runChain(chainId) {
+    if (chainRun) {
+      alert("A prompt chain is already running.");
+      return;
+    }
+    const chain = (await promptManager.getAllChains()).find(
+      (c) => c.id === chainId
+    );
+    if (!chain) return;
+    const prompts = await promptManager.getAllPrompts();
+    const steps = chain.steps
+      .map((promptId) => prompts.find((p) => p.id === promptId))
+      .filter(Boolean);
+    if (!steps.length) {
+      alert("This chain has no steps. Edit it to add prompts.");
+      return;
+    }
+    if (steps.length < chain.steps.length) {
+      console.warn(
+        `[Prompt Manager] Chain "${chain.title}" refers to deleted prompts; skipping them.`
+      );
+    }
+
+    // One form for all steps; a variable used twice is asked once
+    const combined = steps.map((step) => step.content).join("\n\n———\n\n");
+    const variables = parseTemplate(combined);
+    const builtInValues = {};
+    for (const variable of variables.filter((v) => v.builtIn)) {
+      builtInValues[variable.name] = await BUILT_IN_VARIABLES[variable.name]();
+    }
+    const fields = variables.filter((v) => !v.builtIn);
+    const values = fields.length
+      ? await showTemplateForm(combined, fields, builtInValues, "Run Chain")
+      : builtInValues;
+    if (values === null) return;
+
+    toggleModalVisibility(false);
+    const run = {
+      chain,
+      steps,
+      index: 0,
+      status: "",
+      paused: false,
+      skip: false,
+      aborted: false,
+      conversationId: getConversationId(),
+      leftConversation: false,
+      panel: createChainPanel(),
+    };
+    chainRun = run;
+
+    for (; run.index < steps.length && !run.aborted; run.index++) {
+      const step = steps[run.index];
+      while (run.paused && !run.skip && checkConversation(run)) {
+        updateChainPanel(run, "Paused");
+        await sleep(CHAIN_POLL_MS);
+      }
+      if (!checkConversation(run)) break;
+      if (run.skip) {
+        run.skip = false;
+        continue;
+      }
+
+      updateChainPanel(run, "Sending…");
+      const previousCount = countReplies();
+      await pasteText(fillTemplate(step.content, values), true);
+      if (!(await submitComposer())) {
+        run.paused = true;
+        run.index--; // Retry this step on resume
+        updateChainPanel(run, "Could not send. Resume to retry.");
+        continue;
+      }
+      await promptManager.markPromptUsed(step.id);
+
+      updateChainPanel(run, "Waiting for the response…");
+      const finished = await waitForReply(run, previousCount);
+      if (run.skip) {
+        stopGenerating();
+        run.skip = false;
+      } else if (!finished && !run.aborted) {
+        run.paused = true;
+        updateChainPanel(run, "No response detected. Resume to continue.");
+      }
+    }
+
+    // Don't press stop in the conversation the user moved to
+    if (run.aborted && !run.leftConversation) stopGenerating();
+    let status = run.aborted ? "Aborted" : "Finished";
+    if (run.leftConversation) status = "Aborted: the conversation changed.";
+    updateChainPanel(run, status, true);
+    chainRun = null;
+    setTimeout(() => run.panel.remove(), 4000);
+  }
+
+  function createChainPanel() {
+    const panel = document.createElement("div");
+    panel.id = "pm-chain-runner";
+    panel.innerHTML = `
+      <div class="pm-chain-runner-title"></div>
+      <div class="pm-chain-runner-step"></div>
+      <div class="pm-chain-progress"><div></div></div>
+      <div class="pm-chain-runner-status"></div>
+      <div class="pm-chain-runner-buttons">
+        <button class="pm-btn btn" data-chain-action="pause">Pause</button>
+        <button class="pm-btn btn" data-chain-action="skip">Skip</button>
+        <button class="pm-btn btn" data-chain-action="abort">Abort</button>
+      </div>
+    `;
+    panel.addEventListener("click", (e) => {
+      const action = e.target.closest("[data-chain-action]")?.dataset
+        .chainAction;
+      if (!action || !chainRun) return;
+      if (action === "pause") chainRun.paused = !chainRun.paused;
+      else if (action === "skip") chainRun.skip = true;
+      else if (action === "abort") chainRun.aborted = true;
+      updateChainPanel(chainRun, chainRun.status);
+    });
+    document.body.appendChild(panel);
+    return panel;
+  }
+
+  function updateChainPanel(run, status, done = false) {
+    const { panel, steps, chain } = run;
+    const index = Math.min(run.index, steps.length - 1);
+    run.status = status;
+    panel.querySelector(".pm-chain-runner-title").textContent = chain.title;
+    panel.querySelector(".pm-chain-runner-step").textContent = done
+      ? `${steps.length} step(s)`
+      : `Step ${index + 1} of ${steps.length}: ${steps[index].title}`;
+    panel.querySelector(".pm-chain-progress div").style.width = `${
+      ((done ? steps.length : index) / steps.length) * 100
+    }%`;
+    panel.querySelector(".pm-chain-runner-status").textContent =
+      run.paused && !done && status !== "Paused"
+        ? `${status} Pausing after this step.`
+        : status;
+    panel.querySelector("[data-chain-action='pause']").textContent = run.paused
+      ? "Resume"
+      : "Pause";
+    panel.querySelector(".pm-chain-runner-buttons").style.display = done
+      ? "none"
+      : "";
+  }
+
+  /**
+   * Lists saved chains with run, edit and delete actions.
+   */
+  async function showChainsDialog() {
+    const backdrop = document.createElement("div");
+    backdrop.className = "pm-modal-container visible";
+    backdrop.innerHTML = `
+      <div class="pm-editor-modal">
+        <div class="pm-editor-header">
+          <h3>Prompt Chains</h3>
+        </div>
+        <div class="pm-editor-form" id="pm-chains-list"></div>
+        <div class="pm-editor-footer">
+          <button id="pm-chains-close" class="pm-btn btn">Close</button>
+          <button id="pm-chains-new" class="pm-btn btn">New Chain</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(backdrop);
+    const close = () => backdrop.remove();
+
+    const render = async () => {
+      const chains = await promptManager.getAllChains();
+      const list = backdrop.querySelector("#pm-chains-list");
+      if (!chains.length) {
+        list.innerHTML = `
+          <div class="pm-empty-state">
+            <h3>No chains yet</h3>
+            <p>A chain sends saved prompts one after another, waiting for each response.</p>
+          </div>`;
+        return;
+      }
+      list.innerHTML = chains
+        .map(
+          (chain) => `
+          <div class="pm-prompt-item" data-id="${chain.id}">
+            <div class="pm-prompt-title">${escapeHTML(chain.title)}</div>
+            <div class="pm-prompt-meta">
+              <span>${chain.steps.length} step(s)</span>
+              <div class="pm-prompt-actions">
+                <button class="pm-action-btn btn" data-action="run">Run</button>
+                <button class="pm-action-btn btn" data-action="edit">Edit</button>
+                <button class="pm-action-btn btn" data-action="delete">Delete</button>
+              </div>
+            </div>
+          </div>`
+        )
+        .join("");
+      list.querySelectorAll("[data-action]").forEach((button) =>
+        button.addEventListener("click", async () => {
+          const id = parseInt(button.closest("[data-id]").dataset.id);
+          const chain = chains.find((c) => c.id === id);
+          if (button.dataset.action === "run") {
+            close();
+            runChain(id);
+          } else if (button.dataset.action === "edit") {
+            showChainEditor(chain, render);
+          } else if (confirm(`Delete the chain "${chain.title}"?`)) {
+            await promptManager.deleteChain(id);
+            render();
+          }
+        })
+      );
+    };
+
+    backdrop.querySelector("#pm-chains-close").addEventListener("click", close);
+    backdrop
+      .querySelector("#pm-chains-new")
+      .addEventListener("click", () => showChainEditor(null, render));
+    backdrop.addEventListener("click", (e) => {
+      if (e.target === backdrop) close();
+    });
+    render();
+  }
+
+  async function showChainEditor(chain, onSave) {
+    const prompts = await promptManager.getAllPrompts();
+    if (!prompts.length) {
+      alert("Save some prompts first, then add them to a chain.");
+      return;
+    }
+    const steps = chain ? [...chain.steps] : [prompts[0].id];
+
+    const backdrop = document.createElement("div");
+    backdrop.className = "pm-modal-container visible";
+    backdrop.style.zIndex = "10002";
+    backdrop.innerHTML = `
+      <div class="pm-editor-modal">
+        <div class="pm-editor-header">
+          <h3>${chain ? "Edit Chain" : "New Chain"}</h3>
+        </div>
+        <div class="pm-editor-form">
+          <div class="pm-form-group">
+            <label class="pm-form-label">Title</label>
+            <input type="text" id="pm-chain-title" class="pm-form-input" placeholder="e.g. Outline, draft, critique" value="${escapeHTML(
+              chain?.title || ""
+            )}">
+          </div>
+          <div class="pm-form-group">
+            <label class="pm-form-label">Steps</label>
+            <div id="pm-chain-steps"></div>
+            <button id="pm-chain-add-step" class="pm-btn btn">Add Step</button>
+            <div class="pm-form-hint">Each step is sent after the previous response finishes. Variables are asked for once before the chain starts.</div>
+          </div>
+        </div>
+        <div class="pm-editor-footer">
+          <button id="pm-chain-cancel" class="pm-btn btn">Cancel</button>
+          <button id="pm-chain-save" class="pm-btn btn">Save</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(backdrop);
+    const stepsList = backdrop.querySelector("#pm-chain-steps");
+
+    const renderSteps = () => {
+      stepsList.innerHTML = steps
+        .map(
+          (promptId, i) => `
+          <div class="pm-chain-step" data-index="${i}">
+            <span>${i + 1}.</span>
+            <select class="pm-form-input">
+              ${prompts.some((p) => p.id === promptId) ? "" : `<option selected>(deleted prompt)</option>`}
+              ${prompts
+                .map(
+                  (p) =>
+                    `<option value="${p.id}" ${
+                      p.id === promptId ? "selected" : ""
+                    }>${escapeHTML(p.category)} / ${escapeHTML(
+                      p.title
+                    )}</option>`
+                )
+                .join("")}
+            </select>
+            <button class="pm-action-btn btn" data-step="up" title="Move up" ${
+              i === 0 ? "disabled" : ""
+            }>↑</button>
+            <button class="pm-action-btn btn" data-step="down" title="Move down" ${
+              i === steps.length - 1 ? "disabled" : ""
+            }>↓</button>
+            <button class="pm-action-btn btn" data-step="remove" title="Remove">✕</button>
+          </div>`
+        )
+        .join("");
+    };
+
+    stepsList.addEventListener("change", (e) => {
+      const index = parseInt(e.target.closest("[data-index]").dataset.index);
+      steps[index] = parseInt(e.target.value);
+    });
+    stepsList.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-step]");
+      if (!button) return;
+      const index = parseInt(button.closest("[data-index]").dataset.index);
+      const target = button.dataset.step === "up" ? index - 1 : index + 1;
+      if (button.dataset.step === "remove") steps.splice(index, 1);
+      else [steps[index], steps[target]] = [steps[target], steps[index]];
+      renderSteps();
+    });
+    backdrop
+      .querySelector("#pm-chain-add-step")
+      .addEventListener("click", () => {
+        steps.push(prompts[0].id);
+        renderSteps();
+      });
+    backdrop
+      .querySelector("#pm-chain-cancel")
+      .addEventListener("click", () => backdrop.remove());
+    backdrop
+      .querySelector("#pm-chain-save")
+      .addEventListener("click", async () => {
+        const title = backdrop.querySelector("#pm-chain-title").value.trim();
+        const validSteps = steps.filter((id) =>
+          prompts.some((p) => p.id === id)
+        );
+        if (!title || !validSteps.length) {
+          alert("Please give the chain a title and at least one step.");
+          return;
+        }
+        try {
+          await promptManager.saveChain({
+            ...chain,
+            title,
+            steps: validSteps,
+          });
+          backdrop.remove();
+          onSave?.();
+        } catch (error) {
+          console.error("[Prompt Manager] Error saving chain:", error);
+          alert("Failed to save the chain. Please try again.");
+        }
+      });
+
+    renderSteps();
+    setTimeout(() => backdrop.querySelector("#pm-chain-title").focus(), 100);
+  }
+
+  // --- Slash Launcher ---
+  const LAUNCHER_LIMIT = 8;
+  let launcher = null; // { element, match, results, index }
+
+  /**
+   * Finds the trigger and the query typed after it, before the caret.
+   * The trigger only counts at the start of a line or after a space.
+   */
+  function getLauncherMatch() {
+    const trigger = appState.trigger;
+    const selection = window.getSelection();
+    if (!trigger || !selection?.rangeCount || !selection.isCollapsed) {
+      return null;
+    }
+    const { startContainer, startOffset } = selection.getRangeAt(0);
+    if (startContainer.nodeType !== Node.TEXT_NODE) return null;
+    const before = startContainer.textContent.slice(0, startOffset);
+    const start = before.lastIndexOf(trigger);
+    if (start < 0 || (start > 0 && !/\s/.test(before[start - 1]))) return null;
+    const query = before.slice(start + trigger.length);
+    if (query.length > 40 || /^\s/.test(query)) return null;
+    return { node: startContainer, start, end: startOffset, query };
+  }
+
+  async function updateLauncher() {
+    let match = getLauncherMatch();
+    if (!match) return closeLauncher();
+
+    if (!launcher) {
+      // Claim the launcher before loading, so quick keystrokes share it
+      const element = document.createElement("div");
+      element.id = "pm-launcher";
+      element.className = "ignore-this";
+      element.style.display = "none";
+      document.body.appendChild(element);
+      const opened = { element, match, results: [], index: 0, loading: true };
+      launcher = opened;
+      appState.prompts = await promptManager.getAllPrompts();
+      if (launcher !== opened) return; // Closed while loading
+      launcher.loading = false;
+      element.style.display = "";
+      // The trigger may have been deleted while loading
+      match = getLauncherMatch();
+      if (!match) return closeLauncher();
+    } else if (launcher.loading) {
+      return; // The load in progress renders the latest match
+    }
+    launcher.match = match;
+    launcher.results = appState.prompts
+      .map((prompt) => ({
+        prompt,
+        score: Math.max(
+          fuzzyMatch(match.query, prompt.title).score * 2,
+          fuzzyMatch(match.query, prompt.category || "").score
+        ),
+      }))
+      .filter((result) => result.score > 0)
+      .sort(
+        (a, b) =>
+          (match.query
+            ? b.score - a.score
+            : (b.prompt.pinned ? 1 : 0) - (a.prompt.pinned ? 1 : 0)) ||
+          (b.prompt.lastUsedAt || "").localeCompare(
+            a.prompt.lastUsedAt || ""
+          ) ||
+          a.prompt.title.localeCompare(b.prompt.title)
+      )
+      .slice(0, LAUNCHER_LIMIT)
+      .map((result) => result.prompt);
+    launcher.index = Math.min(launcher.index, launcher.results.length - 1);
+    launcher.index = Math.max(launcher.index, 0);
+    renderLauncher();
+  }
+
+  function renderLauncher() {
+    const { element, results, index, match } = launcher;
+    element.innerHTML = results.length
+      ? results
+          .map(
+            (prompt, i) => `
+        <div class="pm-launcher-item ${i === index ? "active" : ""}" data-index="${i}">
+          <div class="pm-launcher-title">${escapeHTML(prompt.title)}</div>
+          <div class="pm-launcher-preview">${escapeHTML(
+            prompt.category
+          )} • ${escapeHTML(prompt.content.substring(0, 120))}</div>
+        </div>`
+          )
+          .join("")
+      : `<div class="pm-launcher-empty">No prompts match "${escapeHTML(
+          match.query
+        )}"</div>`;
+
+    element.querySelectorAll(".pm-launcher-item").forEach((item) => {
+      // mousedown keeps the caret in the composer
+      item.addEventListener("mousedown", (e) => {
+        e.preventDefault();
+        chooseLauncherItem(parseInt(item.dataset.index));
+      });
+    });
+    element
+      .querySelector(".pm-launcher-item.active")
+      ?.scrollIntoView({ block: "nearest" });
+
+    // Open above the caret, or below it near the top of the page
+    const range = document.createRange();
+    range.setStart(match.node, match.start);
+    const rect = range.getBoundingClientRect();
+    const height = element.offsetHeight;
+    element.style.left = `${Math.max(
+      8,
+      Math.min(rect.left, window.innerWidth - element.offsetWidth - 8)
+    )}px`;
+    element.style.top = `${
+      rect.top - height - 8 > 0 ? rect.top - height - 8 : rect.bottom + 8
+    }px`;
+  }
+
+  function closeLauncher() {
+    launcher?.element.remove();
+    launcher = null;
+  }
+
+  /**
+   * Removes the typed trigger and query, then expands the prompt in place.
+   */
+  async function chooseLauncherItem(index) {
+    const prompt = launcher?.results[index];
+    const { match } = launcher || {};
+    closeLauncher();
+    if (!prompt) return;
+
+    const range = document.createRange();
+    range.setStart(match.node, match.start);
+    range.setEnd(match.node, match.end);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    if (!document.execCommand("delete")) range.deleteContents();
+
+    await applyPrompt(prompt.content, prompt.id);
+  }
+
+  function handleLauncherKeydown(e) {
+    if (!launcher) return;
+    const { results } = launcher;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (!results.length) return;
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      launcher.index =
+        (launcher.index + step + results.length) % results.length;
+      renderLauncher();
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      if (!results.length) return closeLauncher();
+      chooseLauncherItem(launcher.index);
+    } else if (e.key === "Escape") {
+      closeLauncher();
+    } else {
+      return;
+    }
+    // Keep the composer from sending or moving the caret
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  function initLauncher() {
+    if (chrome?.storage?.local) {
+      chrome.storage.local.get(["promptTrigger"], (result) => {
+        if (typeof result.promptTrigger === "string") {
+          appState.trigger = result.promptTrigger;
+        }
+      });
+      chrome.storage.onChanged.addListener((changes, namespace) => {
+        if (namespace === "local" && changes.promptTrigger) {
+          appState.trigger = changes.promptTrigger.newValue ?? "/";
+        }
+      });
+    }
+    document.addEventListener("input", (e) => {
+      if (e.target.closest?.("div[contenteditable='true']")) updateLauncher();
+    });
+    document.addEventListener("keydown", handleLauncherKeydown, true);
+    document.addEventListener("mousedown", (e) => {
+      if (launcher && !launcher.element.contains(e.target)) closeLauncher();
+    });
+    document.addEventListener("focusout", (e) => {
+      if (e.target.closest?.("div[contenteditable='true']")) closeLauncher();
+    });
+  }
+
   // --- Main UI Integration ---
   function buildPromptOption(selector) {
     const fileBtn = Array.from(document.querySelectorAll(selector)).filter(
@@ -805,11 +3033,30 @@ window.ChatGPTprompt = (() => {
       buildPromptOption("div[role='menuitem']");
     });
     observer.observe(document.body, { childList: true, subtree: true });
-    document.addEventListener("keydown", (e) => {
-      if ((e.ctrlKey || e.metaKey) && e.key === "m") {
-        e.preventDefault();
-        toggleModalVisibility(true);
-      }
+    initLauncher();
+    initSyncListener();
+    scheduleSync(5000); // Pull prompts saved on other devices
+    ChatGPTShortcuts.register({
+      id: "prompt.open",
+      name: "Open saved prompts",
+      binding: "Mod+M",
+      handler: () => toggleModalVisibility(true),
+    });
+    ChatGPTShortcuts.register({
+      id: "prompt.new",
+      name: "Create new prompt",
+      handler: () => showEditor(),
+    });
+    ChatGPTShortcuts.register({
+      id: "prompt.chains",
+      name: "Run a prompt chain",
+      keywords: "workflow sequence",
+      handler: () => showChainsDialog(),
+    });
+    ChatGPTShortcuts.register({
+      id: "prompt.stats",
+      name: "Prompt usage stats",
+      handler: () => showUsageStats(),
     });
     console.log("[Prompt Manager] Initialized successfully");
   }
@@ -825,7 +3072,7 @@ window.ChatGPTprompt = (() => {
     },
     {
       title: "Summarize",
-      content: `Summarize the following content. Include: brief overview, key points as bullets, important terms:\n`,
+      content: `Summarize the following content. Include: brief overview, key points as bullets, important terms:\n\n{{selection}}`,
       category: "Education",
     },
     {
@@ -846,7 +3093,7 @@ window.ChatGPTprompt = (() => {
     {
       title: "Learn",
       content:
-        "Generate sample problems on the topic. Do not solve them yet. Wait for me to request hints or guidance before providing explanations:\n\n<topic>\n</topic>",
+        "Generate sample problems on the topic. Do not solve them yet. Wait for me to request hints or guidance before providing explanations:\n\n<topic>\n{{topic}}\n</topic>",
       category: "Education",
     },
     {
@@ -856,17 +3103,17 @@ window.ChatGPTprompt = (() => {
     },
     {
       title: "Translate",
-      content: `Translate the following text into the target language. Ensure accuracy, preserve tone, and explain cultural nuances if relevant:\n`,
+      content: `Translate the following text into {{language=English}}. Ensure accuracy, preserve tone, and explain cultural nuances if relevant:\n\n{{text:multiline}}`,
       category: "Education",
     },
     {
       title: "Improve Writing",
-      content: `Improve the clarity, grammar, and tone of the following text. Suggest improvements without changing the meaning:\n`,
+      content: `Improve the clarity, grammar, and tone of the following text. Suggest improvements without changing the meaning:\n\n{{text:multiline}}`,
       category: "Writing",
     },
     {
       title: "Email Draft",
-      content: `Draft a professional email based on this context. Include subject, greeting, body, and sign-off. Keep it concise:\n`,
+      content: `Draft a {{tone:professional|friendly|formal}} email based on this context. Include subject, greeting, body, and sign-off. Keep it concise:\n\n{{context:multiline}}`,
       category: "Productivity",
     },
     {
@@ -876,37 +3123,37 @@ window.ChatGPTprompt = (() => {
     },
     {
       title: "Code Features",
-      content: `Implement these features in the existing code. Preserve existing functionality, explain changes and show code snippets, and provide the top-level functions added/modified to copy/paste.\n<features>\n</features>\n\n<code-content name="">\n\n</code-content>`,
+      content: `Implement these features in the existing code. Preserve existing functionality, explain changes and show code snippets, and provide the top-level functions added/modified to copy/paste.\n<features>\n{{features:multiline}}\n</features>\n\n<code-content name="{{file_name}}">\n{{code:multiline}}\n</code-content>`,
       category: "Development",
     },
     {
       title: "Code Review",
-      content: `Review this code and provide improvement suggestions. Focus on: readability, performance, best practices, potential issues. Provide specific suggestions with examples:\n\n<code-content name="">\n\n</code-content>`,
+      content: `Review this code and provide improvement suggestions. Focus on: readability, performance, best practices, potential issues. Provide specific suggestions with examples:\n\n<code-content name="{{file_name}}">\n{{code:multiline}}\n</code-content>`,
       category: "Development",
     },
     {
       title: "Code Document",
-      content: `Add inline comments and generate documentation for this code. Focus on: readability, purpose of functions, parameters, and return values. Provide a documented version of the code:\n\n<code-content name="">\n\n</code-content>`,
+      content: `Add inline comments and generate documentation for this code. Focus on: readability, purpose of functions, parameters, and return values. Provide a documented version of the code:\n\n<code-content name="{{file_name}}">\n{{code:multiline}}\n</code-content>`,
       category: "Development",
     },
     {
       title: "Code Test",
-      content: `Write test cases for this code. Focus on correctness, edge cases, and performance. Show example unit tests or integration tests where applicable:\n\n<code-content name="">\n\n</code-content>`,
+      content: `Write test cases for this code. Focus on correctness, edge cases, and performance. Show example unit tests or integration tests where applicable:\n\n<code-content name="{{file_name}}">\n{{code:multiline}}\n</code-content>`,
       category: "Development",
     },
     {
       title: "Code Run",
-      content: `Explain how to run this code. Include environment setup, dependencies, build steps, and example commands. Provide sample input/output if helpful:\n\n<code-content name="">\n\n</code-content>`,
+      content: `Explain how to run this code. Include environment setup, dependencies, build steps, and example commands. Provide sample input/output if helpful:\n\n<code-content name="{{file_name}}">\n{{code:multiline}}\n</code-content>`,
       category: "Development",
     },
     {
       title: "Code Explain",
-      content: `Provide a detailed, step-by-step explanation of the following code snippet. Structure your response with sections:\n1. Overview (purpose and high-level logic).\n2. Imports/Libraries (list each, explain purpose and usage).\n3. Key Functions/Methods (describe each, including parameters, return values, and role in the code).\n4. Main Logic Flow (break down execution line by line or block by block).\n5. Arguments and Context (how inputs fit and affect behavior).\n6. Potential Improvements or Edge Cases (if applicable):\n\n<code-content name="">\n\n</code-content>`,
+      content: `Provide a detailed, step-by-step explanation of the following code snippet. Structure your response with sections:\n1. Overview (purpose and high-level logic).\n2. Imports/Libraries (list each, explain purpose and usage).\n3. Key Functions/Methods (describe each, including parameters, return values, and role in the code).\n4. Main Logic Flow (break down execution line by line or block by block).\n5. Arguments and Context (how inputs fit and affect behavior).\n6. Potential Improvements or Edge Cases (if applicable):\n\n<code-content name="{{file_name}}">\n{{code:multiline}}\n</code-content>`,
       category: "Development",
     },
     {
       title: "Debug Code",
-      content: `Fix the errors in this code. Explain changes, show code snippets, and provide the top-level functions added/modified to copy/paste:\n<error>\n</error>\n\n<code-content name="">\n\n</code-content>`,
+      content: `Fix the errors in this code. Explain changes, show code snippets, and provide the top-level functions added/modified to copy/paste:\n<error>\n{{error:multiline}}\n</error>\n\n<code-content name="{{file_name}}">\n{{code:multiline}}\n</code-content>`,
       category: "Development",
     },
     {
@@ -937,6 +3184,10 @@ window.ChatGPTprompt = (() => {
       return promptManager;
     },
     pasteText,
+    applyPrompt,
+    runChain,
+    parseTemplate,
+    fillTemplate,
     showModal: () => toggleModalVisibility(true),
     hideModal: () => toggleModalVisibility(false),
   };
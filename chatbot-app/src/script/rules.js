@@ -0,0 +1,489 @@
+window.ChatGPTRules = (() => {
+  // Rules run over the History Manager's cached conversations
+  const { cacheManager } = ChatGPThistory;
+  const { escapeHTML } = ChatGPTUtils;
+  const STORAGE_KEY = "conversationRules";
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const PREVIEW_LIMIT = 50;
+
+  /**
+   * A rule: every filled-in condition must hold, then its action runs.
+   * `appliedTo` keeps a rule from acting on the same chat twice, so a chat
+   * restored by hand isn't archived again on the next sync.
+   * @typedef {object} Rule
+   * @property {string} id
+   * @property {boolean} enabled
+   * @property {{title?: string, project?: string, staleDays?: number, labelled?: string}} when
+   *   `labelled` is "unlabeled" or a label path.
+   * @property {{action: 'label' | 'archive', label?: string}} then
+   * @property {Array<string>} appliedTo
+   */
+  let rules = [];
+  let running = false;
+
+  function injectStyles() {
+    if (document.getElementById("crule-styles")) return;
+
+    const cssTemplate = `
+      #crule-modal-container { position: fixed; inset: 0; z-index: 10000; display: flex; align-items: center; justify-content: center; background-color: rgba(0, 0, 0, 0.6); }
+      #crule-modal { width: 80vw; max-width: 760px; max-height: 85vh; display: flex; flex-direction: column; background: var(--main-surface-primary); color: var(--text-primary); border: 1px solid var(--border-medium); border-radius: 16px; box-shadow: 0 10px 30px rgba(0,0,0,0.2); overflow: hidden; font-size: 0.875rem; }
+      #crule-header { display: flex; align-items: center; justify-content: space-between; padding: 14px 20px; border-bottom: 1px solid var(--border-medium); }
+      #crule-header h2 { font-size: 1.1rem; font-weight: 600; }
+      #crule-body { flex: 1; overflow-y: auto; padding: 16px 20px; display: flex; flex-direction: column; gap: 16px; }
+      #crule-body h3 { font-weight: 600; margin-bottom: 8px; }
+      .crule-row { display: flex; align-items: center; gap: 10px; padding: 8px 10px; border: 1px solid var(--border-light); border-radius: 10px; margin-bottom: 6px; }
+      .crule-row .crule-summary { flex: 1; }
+      .crule-form { display: grid; grid-template-columns: max-content 1fr; gap: 8px 12px; align-items: center; }
+      .crule-form input, .crule-form select { padding: 6px 8px; border-radius: 8px; border: 1px solid var(--border-medium); background: var(--main-surface-secondary); color: var(--text-primary); }
+      .crule-actions { display: flex; gap: 8px; justify-content: flex-end; }
+      .crule-btn { padding: 6px 14px; border-radius: 100px; border: 1px solid var(--border-medium); background: var(--main-surface-secondary); color: var(--text-primary); cursor: pointer; }
+      .crule-btn:hover { background: var(--surface-hover); }
+      .crule-btn.primary { background: var(--text-primary); color: var(--main-surface-primary); border-color: transparent; }
+      #crule-preview { border-top: 1px solid var(--border-light); padding-top: 12px; }
+      #crule-preview ul { list-style: disc; padding-left: 20px; }
+      #crule-preview a { text-decoration: underline; }
+      .crule-muted { color: var(--text-tertiary); }
+    `;
+
+    const styleSheet = document.createElement("style");
+    styleSheet.id = "crule-styles";
+    styleSheet.textContent = cssTemplate;
+    document.head.appendChild(styleSheet);
+  }
+
+  // --- Storage ---
+
+  function loadRules() {
+    return new Promise((resolve) => {
+      if (!chrome?.storage?.local) return resolve([]);
+      chrome.storage.local.get([STORAGE_KEY], (result) =>
+        resolve(result[STORAGE_KEY] || [])
+      );
+    });
+  }
+
+  function saveRules() {
+    return new Promise((resolve) => {
+      if (!chrome?.storage?.local) return resolve();
+      chrome.storage.local.set({ [STORAGE_KEY]: rules }, resolve);
+    });
+  }
+
+  /**
+   * Changes the stored rules rather than this tab's copy, so edits and runs
+   * in other tabs aren't overwritten.
+   * @param {(rules: Array<Rule>) => Array<Rule>} update
+   */
+  async function updateRules(update) {
+    rules = update(await loadRules());
+    await saveRules();
+  }
+
+  // Other tabs edit and run rules too
+  if (chrome?.storage?.onChanged) {
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === "local" && changes[STORAGE_KEY]) {
+        rules = changes[STORAGE_KEY].newValue || [];
+        renderRules();
+      }
+    });
+  }
+
+  // --- Matching ---
+
+  /**
+   * Turns "/invoice/i" or plain "invoice" into a RegExp. Plain text matches
+   * as typed, so "c++" finds "C++", case-insensitively.
+   * @throws {SyntaxError} If a /.../ pattern is not a valid regular expression.
+   */
+  function parsePattern(pattern) {
+    const literal = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    return literal
+      ? new RegExp(literal[1], literal[2])
+      : new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+  }
+
+  // Label data may still be loading, or have failed to load
+  function labelsLoaded() {
+    return Boolean(window.ChatGPTLabel?.isLoaded());
+  }
+
+  function matches(rule, conversation) {
+    const { title, project, staleDays, labelled } = rule.when;
+    if (title && !parsePattern(title).test(conversation.title || "")) {
+      return false;
+    }
+    if (project && conversation.gizmo_id !== project) return false;
+    if (staleDays) {
+      const updated = new Date(conversation.update_time).getTime();
+      if (Date.now() - updated < staleDays * DAY_MS) return false;
+    }
+    if (labelled) {
+      if (!labelsLoaded()) return false; // Labels unknown; don't guess
+      const hit =
+        labelled === "unlabeled"
+          ? !ChatGPTLabel.getLabelsFor(conversation.id).length
+          : ChatGPTLabel.hasLabel(conversation.id, labelled);
+      if (!hit) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Whether running the rule's action would change anything.
+   */
+  function wouldChange(rule, conversation) {
+    if (rule.appliedTo?.includes(conversation.id)) return false;
+    if (rule.then.action === "archive") return !conversation.is_archived;
+    if (!labelsLoaded()) return false;
+    return !ChatGPTLabel.hasLabel(conversation.id, rule.then.label);
+  }
+
+  async function getCachedConversations() {
+    const [active, archived] = await Promise.all([
+      cacheManager.getConversations(true),
+      cacheManager.getConversations(false),
+    ]);
+    return [...active, ...archived];
+  }
+
+  /**
+   * Dry run: lists the conversations each rule would change, without
+   * changing anything.
+   * @param {Array<Rule>} ruleList
+   * @returns {Promise<Array<{rule: Rule, conversations: Array<object>}>>}
+   */
+  async function previewRules(ruleList = rules) {
+    const conversations = await getCachedConversations();
+    return ruleList.map((rule) => ({
+      rule,
+      conversations: conversations.filter(
+        (c) => matches(rule, c) && wouldChange(rule, c)
+      ),
+    }));
+  }
+
+  /**
+   * Applies every enabled rule to the cached conversations. Labels are saved
+   * at once; archiving goes through the History Manager's undoable queue.
+   * @returns {Promise<number>} How many conversations were changed.
+   */
+  async function runEnabledRules() {
+    if (running) return 0;
+    running = true;
+    let changed = 0;
+    try {
+      rules = await loadRules(); // Another tab may have run or edited them
+      const enabled = rules.filter((rule) => rule.enabled);
+      const applied = new Map(); // rule id -> conversation ids
+      const toArchive = new Set();
+      // One rule at a time, so a label added by one rule counts for the next
+      for (const rule of enabled) {
+        const [{ conversations }] = await previewRules([rule]);
+        if (conversations.length === 0) continue;
+        const ids = conversations.map((c) => c.id);
+        if (rule.then.action === "archive") {
+          ids.forEach((id) => toArchive.add(id));
+        } else {
+          await ChatGPTLabel.assignLabel(ids, rule.then.label);
+        }
+        applied.set(rule.id, ids);
+        changed += ids.length;
+      }
+      if (toArchive.size > 0) {
+        await ChatGPThistory.archiveConversations([...toArchive]);
+      }
+      if (applied.size > 0) {
+        await updateRules((stored) =>
+          stored.map((rule) =>
+            applied.has(rule.id)
+              ? {
+                  ...rule,
+                  appliedTo: [
+                    ...new Set([
+                      ...(rule.appliedTo || []),
+                      ...applied.get(rule.id),
+                    ]),
+                  ],
+                }
+              : rule
+          )
+        );
+      }
+      if (changed > 0) {
+        console.log(`[Rules] Applied rules to ${changed} conversation(s).`);
+      }
+    } catch (error) {
+      console.error("❌ [Rules] Could not apply rules:", error);
+    } finally {
+      running = false;
+    }
+    return changed;
+  }
+
+  // --- UI ---
+
+  function describeRule(rule) {
+    const { title, project, staleDays, labelled } = rule.when;
+    const conditions = [];
+    if (title) conditions.push(`title matches ${title}`);
+    if (project) conditions.push(`project is ${project}`);
+    if (staleDays) conditions.push(`not updated in ${staleDays} days`);
+    if (labelled === "unlabeled") conditions.push("unlabelled");
+    else if (labelled) conditions.push(`labelled ${labelled}`);
+    const action =
+      rule.then.action === "archive" ? "archive" : `label ${rule.then.label}`;
+    return `${conditions.join(" and ")} → ${action}`;
+  }
+
+  /**
+   * Reads the "New rule" form.
+   * @returns {Rule|null} Null (after telling the user why) if it's invalid.
+   */
+  function readForm() {
+    const value = (id) => document.getElementById(id).value.trim();
+    const when = {};
+    if (value("crule-title")) when.title = value("crule-title");
+    if (value("crule-project")) when.project = value("crule-project");
+    if (parseInt(value("crule-stale")) > 0) {
+      when.staleDays = parseInt(value("crule-stale"));
+    }
+    if (value("crule-labelled")) when.labelled = value("crule-labelled");
+    const then = { action: value("crule-action") };
+    if (then.action === "label") then.label = value("crule-label");
+
+    if (Object.keys(when).length === 0) {
+      alert("Add at least one condition.");
+      return null;
+    }
+    if (when.title) {
+      try {
+        parsePattern(when.title);
+      } catch (error) {
+        alert(`The title pattern is not valid: ${error.message}`);
+        return null;
+      }
+    }
+    if (then.action === "label" && !then.label) {
+      alert("Enter the label to apply.");
+      return null;
+    }
+    return { id: `r${Date.now()}`, enabled: false, when, then, appliedTo: [] };
+  }
+
+  function renderPreview(results) {
+    const preview = document.getElementById("crule-preview");
+    if (!preview) return;
+    preview.innerHTML = results
+      .map(({ rule, conversations }) => {
+        const shown = conversations.slice(0, PREVIEW_LIMIT);
+        const more = conversations.length - shown.length;
+        return `
+          <h3>${escapeHTML(describeRule(rule))}</h3>
+          ${
+            conversations.length === 0
+              ? `<p class="crule-muted">No conversations would change.</p>`
+              : `<p class="crule-muted">${conversations.length} conversation(s) would change:</p>
+                <ul>
+                  ${shown
+                    .map(
+                      (c) =>
+                        `<li><a href="/c/${c.id}" target="_blank" rel="noopener noreferrer">${escapeHTML(
+                          c.title || "Untitled"
+                        )}</a></li>`
+                    )
+                    .join("")}
+                  ${more > 0 ? `<li class="crule-muted">…and ${more} more</li>` : ""}
+                </ul>`
+          }
+        `;
+      })
+      .join("");
+  }
+
+  function renderRules() {
+    const list = document.getElementById("crule-list");
+    if (!list) return;
+    if (rules.length === 0) {
+      list.innerHTML = `<p class="crule-muted">No rules yet. New rules start disabled so you can preview them first.</p>`;
+      return;
+    }
+    list.innerHTML = rules
+      .map(
+        (rule) => `
+        <div class="crule-row" data-rule-id="${rule.id}">
+          <input type="checkbox" data-rule-toggle ${rule.enabled ? "checked" : ""} title="Run after every sync">
+          <span class="crule-summary">${escapeHTML(describeRule(rule))}</span>
+          <button class="crule-btn" data-rule-preview>Preview</button>
+          <button class="crule-btn" data-rule-delete>Delete</button>
+        </div>
+      `
+      )
+      .join("");
+  }
+
+  async function populateChoices() {
+    const conversations = await getCachedConversations();
+    const projects = [
+      ...new Set(conversations.map((c) => c.gizmo_id).filter(Boolean)),
+    ];
+    document.getElementById("crule-projects").innerHTML = projects
+      .map((id) => `<option value="${escapeHTML(id)}"></option>`)
+      .join("");
+    const paths = (window.ChatGPTLabel?.getLabelTree() || []).map(
+      (node) => node.path
+    );
+    document.getElementById("crule-labelled").innerHTML = `
+      <option value="">Any</option>
+      <option value="unlabeled">Unlabelled</option>
+      ${paths
+        .map(
+          (path) =>
+            `<option value="${escapeHTML(path)}">Has ${escapeHTML(path)}</option>`
+        )
+        .join("")}
+    `;
+    document.getElementById("crule-label-paths").innerHTML = paths
+      .map((path) => `<option value="${escapeHTML(path)}"></option>`)
+      .join("");
+  }
+
+  async function handleClick(e) {
+    const target = e.target;
+    if (target.id === "crule-modal-container" || target.id === "crule-close") {
+      close();
+      return;
+    }
+    const row = target.closest("[data-rule-id]");
+    const rule = row && rules.find((r) => r.id === row.dataset.ruleId);
+    if (rule && target.matches("[data-rule-preview]")) {
+      renderPreview(await previewRules([rule]));
+    } else if (rule && target.matches("[data-rule-delete]")) {
+      if (!confirm(`Delete the rule "${describeRule(rule)}"?`)) return;
+      await updateRules((stored) => stored.filter((r) => r.id !== rule.id));
+      renderRules();
+    } else if (target.id === "crule-preview-draft") {
+      const draft = readForm();
+      if (draft) renderPreview(await previewRules([draft]));
+    } else if (target.id === "crule-save") {
+      const draft = readForm();
+      if (!draft) return;
+      await updateRules((stored) => [...stored, draft]);
+      renderRules();
+      renderPreview(await previewRules([draft]));
+    } else if (target.id === "crule-run") {
+      const results = await previewRules(rules.filter((r) => r.enabled));
+      const total = results.reduce((sum, r) => sum + r.conversations.length, 0);
+      if (total === 0) {
+        alert("Enabled rules would not change any conversations.");
+        return;
+      }
+      if (!confirm(`Apply enabled rules to ${total} conversation(s)?`)) return;
+      await runEnabledRules();
+      renderPreview(await previewRules(rules.filter((r) => r.enabled)));
+    }
+  }
+
+  async function handleChange(e) {
+    const row = e.target.closest("[data-rule-id]");
+    if (row && e.target.matches("[data-rule-toggle]")) {
+      const { checked } = e.target;
+      await updateRules((stored) =>
+        stored.map((rule) =>
+          rule.id === row.dataset.ruleId ? { ...rule, enabled: checked } : rule
+        )
+      );
+    } else if (e.target.id === "crule-action") {
+      document.getElementById("crule-label").disabled =
+        e.target.value !== "label";
+    }
+  }
+
+  /**
+   * Opens the rules editor.
+   */
+  async function open() {
+    if (document.getElementById("crule-modal-container")) return;
+    injectStyles();
+    const container = document.createElement("div");
+    container.id = "crule-modal-container";
+    container.innerHTML = `
+      <div id="crule-modal" role="dialog" aria-label="Conversation rules">
+        <div id="crule-header">
+          <h2>Conversation Rules</h2>
+          <button id="crule-close" class="crule-btn">✕</button>
+        </div>
+        <div id="crule-body">
+          <section>
+            <h3>Rules</h3>
+            <div id="crule-list"></div>
+            <div class="crule-actions">
+              <button id="crule-run" class="crule-btn">Run enabled rules now</button>
+            </div>
+          </section>
+          <section>
+            <h3>New rule</h3>
+            <div class="crule-form">
+              <label for="crule-title">Title matches</label>
+              <input id="crule-title" placeholder="invoice, or /^re:/i">
+              <label for="crule-project">Project</label>
+              <input id="crule-project" list="crule-projects" placeholder="Project (gizmo) ID">
+              <datalist id="crule-projects"></datalist>
+              <label for="crule-stale">Not updated in</label>
+              <input id="crule-stale" type="number" min="1" placeholder="days">
+              <label for="crule-labelled">Labels</label>
+              <select id="crule-labelled"></select>
+              <label for="crule-action">Then</label>
+              <select id="crule-action">
+                <option value="label">Add label</option>
+                <option value="archive">Archive</option>
+              </select>
+              <label for="crule-label">Label</label>
+              <input id="crule-label" list="crule-label-paths" placeholder="e.g. Finance or client/acme">
+              <datalist id="crule-label-paths"></datalist>
+            </div>
+            <div class="crule-actions" style="margin-top: 10px;">
+              <button id="crule-preview-draft" class="crule-btn">Preview</button>
+              <button id="crule-save" class="crule-btn primary">Save rule</button>
+            </div>
+          </section>
+          <section id="crule-preview"></section>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(container);
+    container.addEventListener("click", handleClick);
+    container.addEventListener("change", handleChange);
+    // Keep typing from reaching page shortcuts
+    container.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") close();
+      else e.stopPropagation();
+    });
+
+    renderRules();
+    await populateChoices();
+  }
+
+  function close() {
+    document.getElementById("crule-modal-container")?.remove();
+  }
+
+  ChatGPTShortcuts.register({
+    id: "rules.open",
+    name: "Open conversation rules",
+    binding: "Alt+R",
+    keywords: "automation auto label archive",
+    handler: open,
+  });
+
+  loadRules().then((loaded) => {
+    rules = loaded;
+  });
+
+  console.log("✅ [Rules] Script loaded successfully.");
+  return {
+    open,
+    previewRules,
+    runEnabledRules,
+  };
+})();
@@ -1,11 +1,225 @@
-(() => {
+window.ChatGPTShortcuts = (() => {
+  // Bindings are strings like "Mod+Shift+C"; Mod is Ctrl, or ⌘ on a Mac
+  const BINDINGS_KEY = "shortcutBindings"; // User overrides: { id: binding }
+  const REGISTRY_KEY = "shortcutRegistry"; // Read by the popup's settings page
+  const { isMac, normalizeBinding, bindingFromEvent, formatBinding } =
+    ChatGPTUtils;
+
+  // ChatGPT's own shortcuts, as listed in its Ctrl + / dialog
+  const NATIVE_SHORTCUTS = [
+    { name: "Open new chat", binding: "Mod+Shift+O" },
+    { name: "Search chats", binding: "Mod+K" },
+    { name: "Toggle sidebar", binding: "Mod+Shift+S" },
+    { name: "Copy last response", binding: "Mod+Shift+C" },
+    { name: "Copy last code block", binding: "Mod+Shift+;" },
+    { name: "Delete chat", binding: "Mod+Shift+Backspace" },
+    { name: "Set custom instructions", binding: "Mod+Shift+I" },
+    { name: "Show shortcuts", binding: "Mod+/" },
+    { name: "Focus chat input", binding: "Shift+Escape" },
+  ];
+
+  // Browser chords people rely on; Print, Save and History are overridden
+  // on purpose, so they are not listed
+  const BROWSER_SHORTCUTS = [
+    { name: "Focus address bar", binding: "Mod+L" },
+    { name: "New tab", binding: "Mod+T" },
+    { name: "New window", binding: "Mod+N" },
+    { name: "Close tab", binding: "Mod+W" },
+    { name: "Reopen closed tab", binding: "Mod+Shift+T" },
+    { name: "New incognito window", binding: "Mod+Shift+N" },
+    { name: "Close window", binding: "Mod+Shift+W" },
+    { name: "Next tab", binding: "Mod+Tab" },
+    { name: "Previous tab", binding: "Mod+Shift+Tab" },
+    { name: "Reload", binding: "Mod+R" },
+    { name: "Find", binding: "Mod+F" },
+    { name: "Bookmark page", binding: "Mod+D" },
+    { name: "Downloads", binding: "Mod+J" },
+    { name: "Clear browsing data", binding: "Mod+Shift+Delete" },
+    { name: "Quit", binding: "Mod+Q" },
+  ];
+
+  const commands = new Map(); // id -> { id, name, group, defaultBinding, keywords, handler }
+  let overrides = {};
+  let persistTimer = null;
+
+  function getBinding(id) {
+    const command = commands.get(id);
+    if (!command) return "";
+    return id in overrides
+      ? normalizeBinding(overrides[id])
+      : command.defaultBinding;
+  }
+
+  /**
+   * Lists every registered command with its live binding.
+   * @returns {Array<{id: string, name: string, group: string, keywords: string, binding: string, defaultBinding: string}>}
+   */
+  function getBindings() {
+    return [...commands.values()].map(
+      ({ id, name, group, keywords, defaultBinding }) => ({
+        id,
+        name,
+        group,
+        keywords,
+        defaultBinding,
+        binding: getBinding(id),
+      })
+    );
+  }
+
+  /**
+   * Runs a command by id, as if its shortcut was pressed.
+   * @param {string} id
+   * @returns {boolean} Whether the command exists.
+   */
+  function run(id) {
+    const command = commands.get(id);
+    if (!command) return false;
+    command.handler();
+    return true;
+  }
+
+  /**
+   * Finds bindings shared by two commands, or taken by ChatGPT or the
+   * browser.
+   * @param {Array<{id: string, name: string, binding: string}>} bindings
+   * @returns {Array<{id: string, binding: string, with: string, native: boolean, browser: boolean}>}
+   */
+  function findConflicts(bindings = getBindings()) {
+    const conflicts = [];
+    bindings.forEach((command, i) => {
+      if (!command.binding) return;
+      bindings.forEach((other, j) => {
+        if (i !== j && other.binding === command.binding) {
+          conflicts.push({
+            id: command.id,
+            binding: command.binding,
+            with: other.name,
+            native: false,
+            browser: false,
+          });
+        }
+      });
+      NATIVE_SHORTCUTS.forEach((native) => {
+        if (native.binding === command.binding) {
+          conflicts.push({
+            id: command.id,
+            binding: command.binding,
+            with: native.name,
+            native: true,
+            browser: false,
+          });
+        }
+      });
+      BROWSER_SHORTCUTS.forEach((reserved) => {
+        if (reserved.binding === command.binding) {
+          conflicts.push({
+            id: command.id,
+            binding: command.binding,
+            with: reserved.name,
+            native: false,
+            browser: true,
+          });
+        }
+      });
+    });
+    return conflicts;
+  }
+
+  /**
+   * Registers a command. It is listed in the command palette, and its
+   * binding can be changed from the popup.
+   * @param {Object} command
+   * @param {string} command.id - Stable id, e.g. "history.open".
+   * @param {string} command.name - Shown in the help dialog and settings.
+   * @param {string} [command.binding] - Default binding; none if omitted.
+   * @param {string} [command.group] - Palette group; defaults to the id prefix.
+   * @param {string} [command.keywords] - Extra words the palette matches.
+   * @param {(e?: KeyboardEvent) => void} command.handler
+   */
+  function register({ id, name, binding = "", group, keywords = "", handler }) {
+    const prefix = id.split(".")[0];
+    commands.set(id, {
+      id,
+      name,
+      group: group || prefix[0].toUpperCase() + prefix.slice(1),
+      keywords,
+      defaultBinding: normalizeBinding(binding),
+      handler,
+    });
+    persistRegistry();
+  }
+
+  // Lets the popup list commands without talking to the page
+  function persistRegistry() {
+    if (!chrome?.storage?.local) return;
+    clearTimeout(persistTimer);
+    persistTimer = setTimeout(() => {
+      const registered = getBindings().map(({ id, name, defaultBinding }) => ({
+        id,
+        name,
+        defaultBinding,
+      }));
+      chrome.storage.local.set({
+        [REGISTRY_KEY]: {
+          commands: registered,
+          native: NATIVE_SHORTCUTS,
+          browser: BROWSER_SHORTCUTS,
+        },
+      });
+      findConflicts()
+        .filter((conflict) => !conflict.native)
+        .forEach((conflict) => {
+          const owner = conflict.browser
+            ? `the browser's "${conflict.with}"`
+            : `"${conflict.with}"`;
+          console.warn(
+            `[Shortcuts] ${conflict.binding} is used by both "${
+              commands.get(conflict.id).name
+            }" and ${owner}.`
+          );
+        });
+    }, 500);
+  }
+
+  function loadOverrides() {
+    if (!chrome?.storage?.local) return;
+    chrome.storage.local.get([BINDINGS_KEY], (result) => {
+      overrides = result[BINDINGS_KEY] || {};
+    });
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === "local" && changes[BINDINGS_KEY]) {
+        overrides = changes[BINDINGS_KEY].newValue || {};
+      }
+    });
+  }
+
+  function isEditable(element) {
+    return (
+      element instanceof Element &&
+      (element.isContentEditable || element.matches("input, textarea, select"))
+    );
+  }
+
+  // Single dispatcher for every registered command
+  document.addEventListener("keydown", (e) => {
+    const binding = bindingFromEvent(e);
+    if (!binding) return;
+    // Alt and function-key bindings can be typed text, so leave them to
+    // inputs and the composer
+    if (!binding.startsWith("Mod+") && isEditable(e.target)) return;
+    const command = [...commands.values()].find(
+      (c) => getBinding(c.id) === binding
+    );
+    if (!command) return;
+    e.preventDefault();
+    command.handler(e);
+  });
+
   function createEnhancedToolsSection() {
     const container = document.createDocumentFragment();
     const exist = document.querySelector("#enhanced-tool-shortcuts");
-    if (exist) return;
-    const ua = navigator.userAgent.toLowerCase();
-    const isMac = /mac|ipod|iphone|ipad/.test(ua);
-    const modifier = isMac ? "⌘" : "Ctrl";
+    if (exist) return container;
 
     // Section Header
     const header = document.createElement("dt");
@@ -14,73 +228,36 @@
     header.id = "enhanced-tool-shortcuts";
     container.appendChild(header);
 
-    // List of tools + shortcuts
-    const tools = [
-      { name: "Manage history", key: "H" },
-      // { name: "Manage labels", key: "L" },
-      { name: "Print", key: "P" },
-      { name: "Save webpage", key: "S" },
-      { name: "Open saved prompts", key: "M" },
-      // { name: "Run token check", key: "B" },
-      { name: "Toggle code blocks", shift: true, key: "C" },
-      { name: "Add code block", key: "." },
-    ];
-
-    tools.forEach((tool) => {
-      const dt = document.createElement("dt");
-      dt.textContent = tool.name;
-
-      const dd = document.createElement("dd");
-      dd.className = "text-token-text-secondary justify-self-end";
-
-      const div = document.createElement("div");
-      div.className = `inline-flex whitespace-pre *:inline-flex *:font-sans *:not-last:after:px-0.5 *:not-last:after:content-['${
-        isMac ? " " : "+"
-      }']`;
-
-      // Windows ctrl shift key
-      // Mac: shift cmd key
-
-      // Modifier key (Ctrl/Cmd)
-      const kbdMod = document.createElement("kbd");
-      kbdMod.setAttribute("aria-label", modifier);
-      const spanMod = document.createElement("span");
-      spanMod.className = "min-w-[1em]";
-      spanMod.textContent = modifier;
-      kbdMod.appendChild(spanMod);
-
-      // Shift Key if present
-      if (tool.shift) {
-        const kbdShift = document.createElement("kbd");
-        const spanShift = document.createElement("span");
-        spanShift.className = "min-w-[1em]";
-        spanShift.textContent = isMac ? "⇧" : "Shift";
-        kbdShift.appendChild(spanShift);
-
-        if (isMac) {
-          div.appendChild(kbdShift);
-          div.appendChild(kbdMod);
-        } else {
-          div.appendChild(kbdMod);
-          div.appendChild(kbdShift);
-        }
-      } else {
-        div.appendChild(kbdMod);
-      }
+    // Live bindings; disabled commands are left out
+    getBindings()
+      .filter((tool) => tool.binding)
+      .forEach((tool) => {
+        const dt = document.createElement("dt");
+        dt.textContent = tool.name;
 
-      // Shortcut key
-      const kbdKey = document.createElement("kbd");
-      const spanKey = document.createElement("span");
-      spanKey.className = "min-w-[1em]";
-      spanKey.textContent = tool.key;
-      kbdKey.appendChild(spanKey);
-      div.appendChild(kbdKey);
+        const dd = document.createElement("dd");
+        dd.className = "text-token-text-secondary justify-self-end";
 
-      dd.appendChild(div);
+        const div = document.createElement("div");
+        div.className = `inline-flex whitespace-pre *:inline-flex *:font-sans *:not-last:after:px-0.5 *:not-last:after:content-['${
+          isMac ? " " : "+"
+        }']`;
 
-      container.appendChild(dt);
-      container.appendChild(dd);
-    });
+        formatBinding(tool.binding).forEach((label) => {
+          const kbd = document.createElement("kbd");
+          kbd.setAttribute("aria-label", label);
+          const span = document.createElement("span");
+          span.className = "min-w-[1em]";
+          span.textContent = label;
+          kbd.appendChild(span);
+          div.appendChild(kbd);
+        });
+
+        dd.appendChild(div);
+
+        container.appendChild(dt);
+        container.appendChild(dd);
+      });
 
     return container;
   }
@@ -95,4 +272,18 @@
       }, 100);
     }
   });
+
+  loadOverrides();
+
+  return {
+    register,
+    run,
+    getBindings,
+    findConflicts,
+    formatBinding,
+    bindingFromEvent,
+    normalizeBinding,
+    NATIVE_SHORTCUTS,
+    BROWSER_SHORTCUTS,
+  };
 })();
@@ -48,6 +48,32 @@
   applyTheme();
   observeHostSchemeChanges();
 
+  ChatGPTShortcuts.register({
+    id: "theme.toggle",
+    name: "Toggle accent theme",
+    keywords: "color",
+    handler: async () => {
+      const { isThemeActive } = await chrome.storage.local.get("isThemeActive");
+      chrome.storage.local.set({ isThemeActive: !isThemeActive });
+    },
+  });
+
+  // One command per preset; the popup picks up themeColor when it next opens
+  ChatGPTUtils.THEME_PRESETS.forEach(({ name, color }) => {
+    ChatGPTShortcuts.register({
+      id: `theme.${name.toLowerCase()}`,
+      name: `Apply ${name} theme`,
+      keywords: "color accent",
+      handler: () => {
+        chrome.storage.local.set({
+          themeColor: color,
+          themeObject: ChatGPTUtils.generateThemeObject(color),
+          isThemeActive: true,
+        });
+      },
+    });
+  });
+
   chrome.storage.onChanged.addListener((changes, namespace) => {
     if (namespace !== "local") return;
     if (
@@ -0,0 +1,349 @@
+window.ChatGPTUtils = (() => {
+  // Helpers shared by the content scripts; loaded before all of them. The
+  // popup imports this file too, for the shortcut binding and theme helpers.
+  const MODIFIERS = ["Mod", "Alt", "Shift"];
+  const SYNC_QUOTA_BYTES = 102400; // chrome.storage.sync total, for all keys
+  const SYNC_ITEM_BYTES = 8192; // chrome.storage.sync limit per item
+  const isMac = /mac|ipod|iphone|ipad/.test(navigator.userAgent.toLowerCase());
+
+  /**
+   * Escapes text for use inside HTML markup and attribute values.
+   * @param {*} str
+   * @returns {string}
+   */
+  function escapeHTML(str) {
+    if (!str) return "";
+    return String(str)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#039;");
+  }
+
+  /**
+   * Scores how well `query` fuzzy-matches `text`: every query character must
+   * appear in order. Substrings, word starts and runs score higher.
+   * @returns {{score: number, positions: Array<number>}} score is 0 when
+   * there is no match; positions are the matched indexes in `text`.
+   */
+  function fuzzyMatch(query, text) {
+    const q = query.toLowerCase().replace(/\s+/g, "");
+    const t = text.toLowerCase();
+    if (!q) return { score: 1, positions: [] };
+    let score = t.includes(q) ? 100 - t.indexOf(q) : 0;
+    let position = -1;
+    let run = 0;
+    const positions = [];
+    for (const ch of q) {
+      const next = t.indexOf(ch, position + 1);
+      if (next < 0) return { score: 0, positions: [] };
+      run = next === position + 1 ? run + 1 : 0;
+      score += 1 + run * 2 + (next === 0 || /\W/.test(t[next - 1]) ? 5 : 0);
+      positions.push(next);
+      position = next;
+    }
+    return { score, positions };
+  }
+
+  // --- Chrome storage ---
+  // Prompts and labels both keep JSON in chrome.storage.sync, split into
+  // chunk keys next to an index key, and share its quota
+
+  function storageCall(area, method, arg) {
+    return new Promise((resolve, reject) => {
+      chrome.storage[area][method](arg, (result) => {
+        if (chrome.runtime.lastError) reject(chrome.runtime.lastError);
+        else resolve(result);
+      });
+    });
+  }
+
+  function byteLength(text) {
+    return new TextEncoder().encode(text).length;
+  }
+
+  /**
+   * Splits JSON into strings that each fit in one sync item.
+   * @param {string} json
+   * @param {string} prefix - Key prefix of the chunks, followed by an index.
+   * @returns {Array<string>}
+   */
+  function chunkForSync(json, prefix) {
+    const chunks = [];
+    let position = 0;
+    while (position < json.length) {
+      const key = `${prefix}${chunks.length}`;
+      let length = Math.min(6000, json.length - position);
+      let chunk = json.slice(position, position + length);
+      while (
+        byteLength(JSON.stringify(chunk)) + key.length > SYNC_ITEM_BYTES ||
+        /[\uD800-\uDBFF]$/.test(chunk) // Don't split a surrogate pair
+      ) {
+        length = Math.floor(length * 0.9);
+        chunk = json.slice(position, position + length);
+      }
+      chunks.push(chunk);
+      position += length;
+    }
+    return chunks;
+  }
+
+  /**
+   * Measures a sync write against the quota other keys leave free.
+   * @param {Object<string, *>} items - What is about to be written.
+   * @param {Array<string>} replacedKeys - Keys the write replaces or removes.
+   * @returns {Promise<{needed: number, available: number}>} In bytes.
+   */
+  async function getSyncSpace(items, replacedKeys) {
+    const [total, replaced] = await Promise.all([
+      storageCall("sync", "getBytesInUse", null),
+      storageCall("sync", "getBytesInUse", replacedKeys),
+    ]);
+    const needed = Object.entries(items).reduce(
+      (sum, [key, value]) =>
+        sum + key.length + byteLength(JSON.stringify(value)),
+      0
+    );
+    return { needed, available: SYNC_QUOTA_BYTES - (total - replaced) };
+  }
+
+  /**
+   * Whether a storage error means the data doesn't fit, as opposed to a
+   * failure that retrying or another area won't fix.
+   */
+  function isQuotaError(error) {
+    return (
+      error?.name === "QuotaExceededError" ||
+      /QUOTA_BYTES|MAX_ITEMS/.test(error?.message || "")
+    );
+  }
+
+  // --- Shortcut bindings ---
+  // Bindings are strings like "Mod+Shift+C"; Mod is Ctrl, or ⌘ on a Mac
+
+  /**
+   * Puts a binding's modifiers in a fixed order so bindings can be compared.
+   * @param {string} binding
+   * @returns {string} The normalized binding, or "" if it has no key.
+   */
+  function normalizeBinding(binding) {
+    if (!binding) return "";
+    const parts = binding.split("+").filter(Boolean);
+    // "Mod++" binds the plus key
+    const key = binding.endsWith("++") ? "+" : parts.pop();
+    if (!key || MODIFIERS.includes(key)) return "";
+    const modifiers = MODIFIERS.filter((modifier) => parts.includes(modifier));
+    return [...modifiers, key.length === 1 ? key.toUpperCase() : key].join("+");
+  }
+
+  /**
+   * Reads the binding typed in a keydown event. Letters and digits come from
+   * the physical key, so Shift and keyboard layouts do not change them.
+   * @param {KeyboardEvent} e
+   * @returns {string}
+   */
+  function bindingFromEvent(e) {
+    let key = e.key;
+    const physical = e.code?.match(/^(?:Key|Digit)(\w)$/);
+    if (physical) key = physical[1];
+    if (["Control", "Meta", "Alt", "Shift"].includes(key)) return "";
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push("Mod");
+    if (e.altKey) parts.push("Alt");
+    if (e.shiftKey) parts.push("Shift");
+    return normalizeBinding([...parts, key].join("+"));
+  }
+
+  /**
+   * Splits a binding into key labels in the platform's order.
+   * Windows: Ctrl Alt Shift key. Mac: ⌥ ⇧ ⌘ key.
+   * @param {string} binding
+   * @returns {Array<string>}
+   */
+  function formatBinding(binding) {
+    const parts = normalizeBinding(binding).split("+");
+    const key = binding.endsWith("++") ? "+" : parts.pop();
+    const labels = isMac
+      ? { Mod: "⌘", Alt: "⌥", Shift: "⇧" }
+      : { Mod: "Ctrl", Alt: "Alt", Shift: "Shift" };
+    const order = isMac ? ["Alt", "Shift", "Mod"] : MODIFIERS;
+    return [
+      ...order
+        .filter((modifier) => parts.includes(modifier))
+        .map((modifier) => labels[modifier]),
+      key,
+    ];
+  }
+
+  // --- Themes ---
+  // A theme is generated from one accent color. Presets keep lightness at
+  // or below the popup's cap of 70%, so text stays readable on them.
+  const THEME_PRESETS = [
+    { name: "Grey", color: "#B3B3B3" },
+    { name: "Blue", color: "#2563EB" },
+    { name: "Teal", color: "#0D9488" },
+    { name: "Green", color: "#16A34A" },
+    { name: "Orange", color: "#EA580C" },
+    { name: "Red", color: "#DC2626" },
+    { name: "Pink", color: "#DB2777" },
+    { name: "Purple", color: "#7C3AED" },
+  ];
+
+  /**
+   * Converts a "#rrggbb" color to HSL, with s and l as percentages.
+   * @param {string} hex
+   * @returns {{h: number, s: number, l: number}}
+   */
+  function hexToHsl(hex) {
+    let r = 0,
+      g = 0,
+      b = 0;
+    if (hex.length === 7) {
+      r = parseInt(hex.substring(1, 3), 16);
+      g = parseInt(hex.substring(3, 5), 16);
+      b = parseInt(hex.substring(5, 7), 16);
+    }
+    r /= 255;
+    g /= 255;
+    b /= 255;
+    const cmin = Math.min(r, g, b),
+      cmax = Math.max(r, g, b);
+    const delta = cmax - cmin;
+    let h = 0,
+      s = 0,
+      l = (cmax + cmin) / 2;
+    if (delta !== 0) {
+      s = delta / (1 - Math.abs(2 * l - 1));
+      switch (cmax) {
+        case r:
+          h = ((g - b) / delta) % 6;
+          break;
+        case g:
+          h = (b - r) / delta + 2;
+          break;
+        case b:
+          h = (r - g) / delta + 4;
+          break;
+        default:
+          break;
+      }
+      h = Math.round(h * 60);
+      if (h < 0) h += 360;
+    }
+    return { h, s: s * 100, l: l * 100 };
+  }
+
+  function hexToRgb(hex) {
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    return result
+      ? {
+          r: parseInt(result[1], 16),
+          g: parseInt(result[2], 16),
+          b: parseInt(result[3], 16),
+        }
+      : null;
+  }
+
+  /**
+   * Builds the light and dark CSS variable sets for an accent color. The
+   * popup and the theme palette commands both store the result as
+   * themeObject, which theme.js applies to the page.
+   * @param {string} mainColorHex
+   * @returns {{light: Object, dark: Object}|null} null for an invalid color.
+   */
+  function generateThemeObject(mainColorHex) {
+    const hsl = hexToHsl(mainColorHex);
+    const rgb = hexToRgb(mainColorHex);
+    if (!rgb) return null;
+    const { h, s, l } = hsl;
+    const isNearBlack = l < 15;
+    const isBlack = l === 0;
+    const isWhite = l === 100;
+    const isGrey = s < 20;
+    const lightTheme = {
+      primary: mainColorHex,
+      "submit-btn-bg": mainColorHex,
+      "submit-btn-text": "#ffffff",
+      "user-msg-bg": isNearBlack ? `hsl(0, 0%, 95%)` : `hsl(${h}, ${s}%, 95%)`,
+      "user-msg-text":
+        isNearBlack || isGrey ? `hsl(0, 0%, 15%)` : `hsl(${h}, 100%, 15%)`,
+      "secondary-btn-bg": isNearBlack
+        ? `hsl(0, 0%, 95%)`
+        : `hsl(${h}, ${s}%, 95%)`,
+      "secondary-btn-text":
+        isNearBlack || isGrey ? `hsl(0, 0%, 15%)` : `hsl(${h}, 100%, 15%)`,
+      "user-selection-bg": `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, 0.35)`,
+    };
+
+    const darkTheme = {
+      primary: mainColorHex,
+      "submit-btn-bg": mainColorHex,
+      "submit-btn-text": "#ffffff",
+      "user-msg-bg": `hsl(${h}, ${s}%, ${l * 0.5}%)`,
+      "user-msg-text":
+        isNearBlack || isGrey ? `hsl(0, 0%, 98%)` : `hsl(${h}, ${s}%, 98%)`,
+      "secondary-btn-bg": `hsl(${h}, ${s}%, ${l * 0.6}%)`,
+      "secondary-btn-text": "#ffffff",
+      "user-selection-bg": `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, 0.6)`,
+    };
+
+    if (isBlack) {
+      const lightThemeBlack = {
+        primary: mainColorHex,
+        "submit-btn-bg": mainColorHex,
+        "submit-btn-text": "#ffffff",
+        "user-msg-bg": `hsl(${h}, ${s}%, ${l * 0.5}%)`,
+        "user-msg-text":
+          isNearBlack || isGrey ? `hsl(0, 0%, 98%)` : `hsl(${h}, ${s}%, 98%)`,
+        "secondary-btn-bg": `hsl(${h}, ${s}%, ${l * 0.6}%)`,
+        "secondary-btn-text": "#ffffff",
+        "user-selection-bg": `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, 0.6)`,
+      };
+      return { light: lightThemeBlack, dark: darkTheme };
+    }
+
+    if (isWhite) {
+      const lightThemeWhite = {
+        primary: mainColorHex,
+        "submit-btn-bg": mainColorHex,
+        "submit-btn-text": "#000",
+        "user-msg-bg": `hsl(${h}, ${s}%, 98%)`,
+        "user-msg-text": `hsl(0, 0%, 0%)`,
+        "secondary-btn-bg": `hsl(${h}, ${s}%, 94%)`,
+        "secondary-btn-text": "#000",
+        "user-selection-bg": `rgba(${rgb.r - 20}, ${rgb.g - 20}, ${
+          rgb.b - 20
+        }, 0.6)`,
+      };
+      const darkThemeWhite = {
+        primary: mainColorHex,
+        "submit-btn-bg": mainColorHex,
+        "submit-btn-text": "#000",
+        "user-msg-bg": `hsl(${h}, ${s}%, 98%)`,
+        "user-msg-text": `hsl(0, 0%, 0%)`,
+        "secondary-btn-bg": `hsl(${h}, ${s}%, ${l}%)`,
+        "secondary-btn-text": "#000",
+        "user-selection-bg": `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, 0.6)`,
+      };
+      return { light: lightThemeWhite, dark: darkThemeWhite };
+    }
+    return { light: lightTheme, dark: darkTheme };
+  }
+
+  return {
+    escapeHTML,
+    fuzzyMatch,
+    storageCall,
+    chunkForSync,
+    getSyncSpace,
+    isQuotaError,
+    isMac,
+    normalizeBinding,
+    bindingFromEvent,
+    formatBinding,
+    THEME_PRESETS,
+    hexToHsl,
+    generateThemeObject,
+  };
+})();
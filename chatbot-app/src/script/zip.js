@@ -0,0 +1,137 @@
+window.ChatGPTZip = (() => {
+  // --- CRC32 ---
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  /**
+   * Computes the CRC32 checksum of the given bytes.
+   * @param {Uint8Array} bytes
+   * @returns {number} unsigned CRC32
+   */
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Converts a Date into the MS-DOS time and date fields used by ZIP headers.
+   * @param {Date} date
+   * @returns {{time: number, date: number}}
+   */
+  function toDosDateTime(date) {
+    return {
+      time:
+        (date.getHours() << 11) |
+        (date.getMinutes() << 5) |
+        Math.floor(date.getSeconds() / 2),
+      date:
+        ((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+        ((date.getMonth() + 1) << 5) |
+        date.getDate(),
+    };
+  }
+
+  /**
+   * Makes a name safe to use as a file name inside the archive.
+   * @param {string} name
+   * @param {number} maxLength
+   * @returns {string}
+   */
+  function sanitizeFileName(name, maxLength = 80) {
+    const safe = (name || "Untitled")
+      .replace(/[\\/:*?"<>|]/g, "_")
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, maxLength);
+    return safe || "Untitled";
+  }
+
+  /**
+   * Builds an uncompressed (stored) ZIP archive.
+   * @param {Array<{name: string, content: string|Uint8Array|ArrayBuffer, date?: Date}>} files
+   * @returns {Blob} the archive as `application/zip`
+   */
+  function createZip(files) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    files.forEach((file) => {
+      const nameBytes = encoder.encode(file.name);
+      const data =
+        typeof file.content === "string"
+          ? encoder.encode(file.content)
+          : new Uint8Array(file.content);
+      const crc = crc32(data);
+      const { time, date } = toDosDateTime(file.date || new Date());
+
+      // Local file header
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true); // version needed
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint16(8, 0, true); // stored, no compression
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, nameBytes.length, true);
+      local.setUint16(28, 0, true);
+      chunks.push(local, nameBytes, data);
+
+      // Central directory entry
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true); // version made by
+      central.setUint16(6, 20, true); // version needed
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, nameBytes.length, true);
+      central.setUint32(42, offset, true);
+      centralDirectory.push(central, nameBytes);
+
+      offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralDirectory.reduce(
+      (size, part) => size + part.byteLength,
+      0
+    );
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...centralDirectory, end], {
+      type: "application/zip",
+    });
+  }
+
+  return {
+    createZip,
+    crc32,
+    sanitizeFileName,
+  };
+})();
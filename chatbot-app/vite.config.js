@@ -12,29 +12,49 @@ export default defineConfig({
     rollupOptions: {
       input: {
         main: resolve(__dirname, "index.html"), // your main app entry
+        utils: resolve(__dirname, "src/script/utils.js"),
         theme: resolve(__dirname, "src/script/theme.js"), // your separate file
     //    token: resolve(__dirname, "src/script/token.js"), // your separate file
         history: resolve(__dirname, "src/script/history.js"), // your separate file
-     //   label: resolve(__dirname, "src/script/label.js"), // your separate file
+        label: resolve(__dirname, "src/script/label.js"), // your separate file
+        zip: resolve(__dirname, "src/script/zip.js"),
+        pdf: resolve(__dirname, "src/script/pdf.js"),
+        docx: resolve(__dirname, "src/script/docx.js"),
         export: resolve(__dirname, "src/script/export.js"), // your separate file
         api: resolve(__dirname, "src/script/api.js"),
         prompt: resolve(__dirname, "src/script/prompt.js"),
         shortcut: resolve(__dirname, "src/script/shortcut.js"),
+        palette: resolve(__dirname, "src/script/palette.js"),
         code: resolve(__dirname, "src/script/code.js"),
+        navigate: resolve(__dirname, "src/script/navigate.js"),
+        outline: resolve(__dirname, "src/script/outline.js"),
+        bookmark: resolve(__dirname, "src/script/bookmark.js"),
+        notes: resolve(__dirname, "src/script/notes.js"),
+        rules: resolve(__dirname, "src/script/rules.js"),
       },
       output: {
         entryFileNames: (assetInfo) => {
           if (
             [
+              "utils",
               "theme",
               "token",
               "history",
               "label",
+              "zip",
+              "pdf",
+              "docx",
               "export",
               "api",
               "prompt",
               "shortcut",
-              "code"
+              "palette",
+              "code",
+              "navigate",
+              "outline",
+              "bookmark",
+              "notes",
+              "rules"
             ].find((e) => e === assetInfo.name)
           ) {
             return "script/[name].js"; // output to dist/script/content.js